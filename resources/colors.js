@@ -243,7 +243,7 @@ function getLatexRainbowColor(p, muted = 'lighten') {
     String.fromCharCode(97 + idxB)}`;
 }
 
-if (typeof window === 'undefined') {
+if (typeof window === 'undefined' && typeof module === 'object' && module !== null) {
   module.exports = {
     Color,
     getRainbowColor,
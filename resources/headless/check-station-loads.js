@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+// Headless (Node.js) check that the loads of the bolts of a multi-pitch belay station are consistent with the forces on the belayer.
+// Usage: node resources/headless/check-station-loads.js <setup.json>
+// The setup file is read like in run-simulation.js, multi-pitch is switched on. The station bolts only hold the belayer, so the peak
+// load of a station bolt has to stay within the rope tension at the belayer plus the belayer's weight, plus the force which changes
+// the belayer's velocity (e.g. when a leg of the station stops the belayer after being pulled up). The script exits with status 1 otherwise.
+
+const { runSimulation, readSetupFile } = require('./run-simulation.js');
+
+/** @type {number} relative tolerance (compared to the bound) for the peak load of a station bolt, allowing for the force averaging */
+const STATION_LOAD_TOLERANCE = 0.02;
+
+/**
+ * Simulate a fall on a multi-pitch route and compare the peak loads of the station bolts with the forces on the belayer
+ * @param {ClimbingFallSetup} setup the setup parameters for the climbing fall (will not be modified)
+ * @return {Promise<{boltLoads: number[], ropeTension: number, belayerWeight: number, belayerForce: number, bound: number}>} resolves to the
+ *         peak loads (in Newton) of the station bolts, the peak rope tension at the belayer, the belayer's weight, the belayer's peak
+ *         force, and the resulting bound for the station bolt loads (all in Newton)
+ */
+async function checkStationLoads(setup) {
+  const saveObject = await runSimulation({ ...setup, 'multi-pitch': true });
+  const lastSnapshot = saveObject.result[saveObject.result.length - 1];
+  const boltLoads = lastSnapshot.bodies.filter(body => body.hasOwnProperty('load') && body.load.role === 'belay-station').map(body => body.load.peak);
+  const ropeTension = lastSnapshot.bodies.filter(body => body.hasOwnProperty('runningMaxima') && body.runningMaxima.hasOwnProperty('belayerStretching'))
+    .reduce((sum, rope) => sum + rope.runningMaxima.belayerStretching, 0); // both ropes of a half or twin rope system pull on the belayer
+  const belayerWeight = GRAVITY_OF_EARTH * saveObject.configuration['belayer-weight'];
+  const belayerForce = lastSnapshot.bodies.find(body => body.name === 'belayer').runningMaxima.force;
+  return { boltLoads, ropeTension, belayerWeight, belayerForce, bound: ropeTension + belayerWeight + belayerForce };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.length !== 1 || args[0] === '-h' || args[0] === '--help') {
+    console.error('Usage: node resources/headless/check-station-loads.js <setup.json>');
+    process.exit(args.length !== 1 ? 1 : 0);
+  }
+  checkStationLoads(readSetupFile(args[0])).then(check => {
+    console.log(`Rope tension at the belayer ${(check.ropeTension / 1000).toFixed(2)} kN, belayer's weight ${(check.belayerWeight / 1000).toFixed(2)} kN, belayer's peak force ${(check.belayerForce / 1000).toFixed(2)} kN`);
+    let consistent = (check.boltLoads.length > 0);
+    check.boltLoads.forEach((load, i) => {
+      console.log(`Station bolt ${i + 1}: peak load ${(load / 1000).toFixed(2)} kN`);
+      if (load > (1 + STATION_LOAD_TOLERANCE) * check.bound) consistent = false;
+    });
+    if (!consistent) {
+      console.error(`The station bolt loads are not within the rope tension, the weight and the peak force of the belayer (${(check.bound / 1000).toFixed(2)} kN)`);
+      process.exit(1);
+    }
+  }).catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  checkStationLoads
+};
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+// Headless (Node.js) entry point for running climbing fall simulations without a browser.
+// Usage: node resources/headless/run-simulation.js <setup.json> [result.json]
+// The setup file may either contain a ClimbingFallSetup object directly, or a saved simulation result
+// (in which case its configuration property is used). The written result file can be loaded in the viewer.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/** @type {string[]} the scripts required for running the physics engine, in the order in which index.html loads them */
+const ENGINE_SCRIPTS = [
+  'colors.js',
+  'physics-engine/vec.js',
+  'physics-engine/geometry.js',
+  'physics-engine/physics-materials.js',
+  'physics-engine/physics.js',
+  'physics-engine/physics-world.js',
+  'physics-engine/rope-calibration.js',
+  'globals.js',
+  'units.js'
+];
+
+/** @type {boolean} whether the engine scripts have already been loaded into the global scope */
+let engineLoaded = false;
+
+/**
+ * Load the physics engine scripts into the global scope (the same way the browser does it for index.html).
+ * Calling this function more than once has no effect.
+ */
+function loadSimulationEngine() {
+  if (engineLoaded) return;
+  const resourcesDir = path.join(__dirname, '..');
+  for (const script of ENGINE_SCRIPTS) {
+    const fileName = path.join(resourcesDir, script);
+    vm.runInThisContext(fs.readFileSync(fileName, 'utf8'), { filename: fileName });
+  }
+  engineLoaded = true;
+}
+
+/**
+ * Run a climbing fall simulation without a browser
+ * @param {ClimbingFallSetup} setup the setup parameters for the climbing fall (will not be modified)
+ * @param {(percent: number, time: number) => void} [progressCallback] called regularly with the percentage of the simulation which
+ *                                                                     has been completed and the simulated time in seconds
+ * @return {Promise<{date: string, configuration: ClimbingFallSetup, result: {time: number, bodies: ObjectSnapshot[]}[]}>} resolves to an object
+ *                                                                     with the same structure as the files written by SimulationStorageManager.saveResultAsFile
+ */
+function runSimulation(setup, progressCallback = () => {}) {
+  loadSimulationEngine();
+  const configuration = {
+    version: GLOBALS.version,
+    versionDate: GLOBALS.versionDate,
+    ...setup
+  };
+  return new Promise((resolve, reject) => {
+    try {
+      const climbingFallWorld = new ClimbingFallWorld(configuration, new PhysicsWorld());
+      climbingFallWorld.precalculatePositions(progressCallback, (completed, simTime, snapshots) => {
+        configuration['simulation-duration'] = simTime;
+        resolve({
+          date: (new Date()).toISOString(),
+          configuration,
+          result: snapshots
+        });
+      }, configuration['simulation-duration'], configuration['frame-rate'], [], 0, 0, 500, reject);
+    } catch (e) { // errors before the first progress report
+      reject(e);
+    }
+  });
+}
+
+/**
+ * Read a simulation setup from a JSON file
+ * @param {string} fileName the name of the JSON file, containing either a ClimbingFallSetup object or a saved simulation result
+ * @return {ClimbingFallSetup} the setup parameters for the climbing fall
+ */
+function readSetupFile(fileName) {
+  const data = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  if (data !== null && typeof data === 'object' && typeof data.configuration === 'object')
+    return data.configuration;
+  return data;
+}
+
+/**
+ * Get the default file name for a simulation result (same pattern as used by SimulationStorageManager.saveResultAsFile)
+ * @param {Date} d the date to use in the file name
+ * @return {string} the file name
+ */
+function defaultResultFileName(d) {
+  const pad = n => String(n).padStart(2, '0'); // zero-pad to 2 digits
+  return `climbing-fall-${d.getFullYear()}_${pad(d.getMonth() + 1)}_${pad(d.getDate())}-${pad(d.getHours())}_${pad(d.getMinutes())}.json`;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.length < 1 || args.length > 2 || args[0] === '-h' || args[0] === '--help') {
+    console.error('Usage: node resources/headless/run-simulation.js <setup.json> [result.json]');
+    process.exit(args.length < 1 ? 1 : 0);
+  }
+  const setup = readSetupFile(args[0]);
+  const outFile = (args.length > 1) ? args[1] : defaultResultFileName(new Date());
+  let lastReport = -1;
+  runSimulation(setup, (percent, time) => {
+    if (Math.floor(percent) > lastReport) {
+      lastReport = Math.floor(percent);
+      process.stderr.write(`\rProgress: ${percent.toFixed(2).padStart(6)} %, currently at time ${time.toFixed(2)} s`);
+    }
+  }).then(saveObject => {
+    fs.writeFileSync(outFile, JSON.stringify(saveObject));
+    process.stderr.write(`\nSimulation completed up to time ${saveObject.configuration['simulation-duration'].toFixed(2)} s, result written to ${outFile}\n`);
+  }).catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadSimulationEngine,
+  runSimulation,
+  readSetupFile
+};
@@ -3,7 +3,7 @@
 const GEOMETRY_EPS = 1e-7;
 
 /**
- * A class for representing certain subsets (full space, plane, line, point, empty set) of 3D space
+ * A class for representing certain subsets (full space, plane, line, point, empty set, convex polyhedron) of 3D space
  */
 class GeometricObject {
   /**
@@ -31,6 +31,11 @@ class GeometricObject {
    * @type {boolean}
    */
   get isPoint() { return false; }
+  /**
+   * Whether this object represents a bounded convex polyhedron in 3D space
+   * @type {boolean}
+   */
+  get isPolyhedron() { return false; }
   /**
    * Whether this object represents the empty subset of 3D space
    * @type {boolean}
@@ -245,6 +250,142 @@ class EmptySpace extends GeometricObject {
   }
 }
 
+/**
+ * A bounded convex polyhedron in 3D space, given as the intersection of the half-spaces behind its faces. Intersections with other
+ * geometric objects are not supported by calculateGeomObjIntersection.
+ */
+class ConvexPolyhedron extends GeometricObject {
+  /**
+   * Create a new convex polyhedron
+   * @param {Plane[]} faces the planes containing the faces of the polyhedron, with normal vectors pointing outwards (all points x in
+   *                        the polyhedron satisfy x * normal (inner prod.) <= offset for all faces). The faces must enclose a bounded region.
+   */
+  constructor(faces) {
+    super();
+    /** @type {Plane[]} the planes containing the faces of the polyhedron, with normal vectors pointing outwards */
+    this.faces = faces;
+    /** @type {V[]} the corners of the polyhedron */
+    this.vertices = [];
+    for (let i = 0; i < faces.length; i++) {
+      for (let j = i + 1; j < faces.length; j++) {
+        const edgeLine = calculateGeomObjIntersection(faces[i], faces[j]);
+        if (!edgeLine.isLine) continue;
+        for (let k = j + 1; k < faces.length; k++) {
+          const corner = calculateGeomObjIntersection(edgeLine, faces[k]);
+          if (corner.isPoint && this.contains(corner.anyPoint) && !this.vertices.some(v => v.minus(corner.anyPoint).norm() < GEOMETRY_EPS))
+            this.vertices.push(corner.anyPoint);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create a box (cuboid) which may be rotated around the vertical axis
+   * @param {V} center the center of the box
+   * @param {V} size the lengths of the box edges in x-, y-, and z-direction (before the rotation)
+   * @param {number} [rotation=0] the rotation of the box around the vertical (y) axis in degrees
+   * @return {ConvexPolyhedron} the box
+   */
+  static box(center, size, rotation = 0) {
+    const angle = Math.PI * rotation / 180;
+    const axes = [new V(Math.cos(angle), 0, -Math.sin(angle)), new V(0, 1, 0), new V(Math.sin(angle), 0, Math.cos(angle))];
+    const faces = [];
+    for (let i = 0; i < 3; i++) {
+      faces.push(new Plane(axes[i], axes[i].dot(center) + size.arr[i] / 2));
+      faces.push(new Plane(axes[i].times(-1), -axes[i].dot(center) + size.arr[i] / 2));
+    }
+    return new ConvexPolyhedron(faces);
+  }
+
+  get isPolyhedron() { return true; }
+  get isEmpty() { return this.vertices.length === 0; }
+  get anyPoint() {
+    if (this.vertices.length === 0) return null;
+    return this.vertices.reduce((sum, v) => sum.plus(v), new V(0, 0, 0)).times(1 / this.vertices.length); // the centroid of the corners
+  }
+  get subsetDimension() { return this.vertices.length === 0 ? -1 : 3; }
+  /**
+   * Check whether a point is contained in this polyhedron (including its surface)
+   * @param {V} pt the point for which the method checks whether it is contained in this polyhedron
+   * @return {boolean} whether the given point is contained in this polyhedron
+   */
+  contains(pt) { return this.faces.every(face => face.normal.dot(pt) <= face.offset + GEOMETRY_EPS); }
+
+  /**
+   * Find the face through which a point contained in this polyhedron can leave it on the shortest way
+   * @param {V} pt a point contained in this polyhedron
+   * @return {{face: Plane, depth: number}} the closest face and the distance of the point to it
+   */
+  closestFace(pt) {
+    let closest = null;
+    let depth = Infinity;
+    for (const face of this.faces) {
+      const faceDepth = face.offset - face.normal.dot(pt);
+      if (faceDepth < depth) {
+        closest = face;
+        depth = faceDepth;
+      }
+    }
+    return { face: closest, depth: depth };
+  }
+
+  /**
+   * Find the shortest way for a point contained in this polyhedron to leave it when moving perpendicularly to a given direction
+   * @param {V} pt a point contained in this polyhedron
+   * @param {V} direction the direction along which the point does not move (length 1)
+   * @param {number} minNormalFraction faces are only taken into account if the component of their normal vector perpendicular to
+   *                                   the direction is at least this long (otherwise, the point would have to move very far)
+   * @return {{direction: V, distance: number}|null} the direction (length 1) in which the point leaves the polyhedron and the
+   *                                                 distance it has to move, or null if there is no face to leave through
+   */
+  closestExitPerpendicularTo(pt, direction, minNormalFraction) {
+    let closest = null;
+    for (const face of this.faces) {
+      const exitDirection = face.normal.minus(direction.times(direction.dot(face.normal)));
+      const normalFraction = exitDirection.norm();
+      if (normalFraction < minNormalFraction) continue;
+      const distance = (face.offset - face.normal.dot(pt)) / normalFraction;
+      if (closest === null || distance < closest.distance)
+        closest = { direction: exitDirection.times(1 / normalFraction), distance: distance };
+    }
+    return closest;
+  }
+
+  /**
+   * Get the edges of this polyhedron
+   * @return {{start: V, end: V, normals: [V, V]}[]} the end points of the edges, and the normal vectors of the two faces meeting at each edge
+   */
+  edges() {
+    const result = [];
+    for (let i = 0; i < this.faces.length; i++) {
+      for (let j = i + 1; j < this.faces.length; j++) {
+        const corners = this.vertices.filter(v => this.faces[i].contains(v) && this.faces[j].contains(v));
+        if (corners.length >= 2)
+          result.push({ start: corners[0], end: corners[1], normals: [this.faces[i].normal, this.faces[j].normal] });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the corners of every face of this polyhedron, ordered along the boundary of the face
+   * @return {V[][]} the corners of the faces (faces with less than 3 corners are omitted)
+   */
+  faceVertices() {
+    const result = [];
+    for (const face of this.faces) {
+      const corners = this.vertices.filter(v => face.contains(v));
+      if (corners.length < 3) continue;
+      const center = corners.reduce((sum, v) => sum.plus(v), new V(0, 0, 0)).times(1 / corners.length);
+      const axisA = corners[0].minus(center).normalize();
+      const axisB = face.normal.cross(axisA);
+      const angleOf = v => Math.atan2(v.minus(center).dot(axisB), v.minus(center).dot(axisA));
+      result.push(corners.sort((v1, v2) => angleOf(v1) - angleOf(v2)));
+    }
+    return result;
+  }
+}
+
 /**
  * Calculate the intersection between two geometric objects
  * @param {GeometricObject} o1 the first object
@@ -34,6 +34,15 @@ class Spring {
     this.currentLength = this.diff.norm();
   }
 
+  /**
+   * The current stiffness of the spring in N/m, i.e., the rate at which the tension changes when the spring length changes
+   * (with all internal spring states fixed)
+   * @type {number}
+   */
+  get stiffness() {
+    return 0;
+  }
+
   /**
    * Execute a time step for this spring. Required if there are internal spring states which need to be
    * updated such as the viscous extension.
@@ -43,6 +52,15 @@ class Spring {
     // nothing to do for simple springs
   }
 
+  /**
+   * Let the spring recover while it is unloaded for some time (e.g. a rope between two falls). Only affects springs with internal
+   * spring states such as the viscous extension.
+   * @param {number} duration the recovery time in seconds
+   */
+  recover(duration) {
+    // nothing to do for simple springs
+  }
+
   /**
    * Shift rest length from this spring to another spring
    * @param {Spring} spring2 the spring to which to transfer the rest length
@@ -102,6 +120,14 @@ class LinearSpring extends Spring {
     this.elasticEnergy = 0.5 * (this.currentLength - this.restLength) * (this.currentLength - this.restLength) / (this.restLength * this.elasticityConstant);
   }
 
+  /**
+   * The current stiffness of the spring in N/m, i.e., the rate at which the tension changes when the spring length changes
+   * @type {number}
+   */
+  get stiffness() {
+    return 1 / (this.restLength * this.elasticityConstant);
+  }
+
   /**
    * Shift rest length from this spring to another spring
    * @param {Spring} spring2 the spring to which to transfer the rest length
@@ -253,6 +279,20 @@ class ViscoelasticSpring extends Spring {
     }
   }
 
+  /**
+   * The current stiffness of the spring in N/m, i.e., the rate at which the tension changes when the spring length changes
+   * (with the internal viscous extension fixed)
+   * @type {number}
+   */
+  get stiffness() {
+    if (this.elasticityConstant2 == 0) // simple linear spring or Kelvin model
+      return 1 / (this.restLength * this.elasticityConstant);
+    const slsStiffness = 1 / (this.restLength * this.elasticityConstant) + 1 / (this.restLength * this.elasticityConstant2);
+    if (this.useHybridModel && this.hybridLinearWeight > 0)
+      return this.hybridLinearWeight / (this.restLength * this.linearElasticityConst) + (1 - this.hybridLinearWeight) * slsStiffness;
+    return slsStiffness;
+  }
+
   /**
    * Execute a time step for this spring. Updates the internal viscous extension.
    * @param {number} delta the length of the time step in seconds
@@ -267,6 +307,17 @@ class ViscoelasticSpring extends Spring {
     }
   }
 
+  /**
+   * Let the spring recover while it is unloaded for some time (e.g. a rope between two falls). Without tension, spring 1 and the
+   * Maxwell arm balance each other at an extension of viscExt * c1 / (c1 + c2), and the viscous extension decays exponentially
+   * with the time constant viscosity * (c1 + c2) (exact solution of the time step equation).
+   * @param {number} duration the recovery time in seconds
+   */
+  recover(duration) {
+    if (this.elasticityConstant2 == 0) return; // simple linear spring or Kelvin model: no internal state
+    this.viscExt *= Math.exp(-duration / (this.viscosity * (this.elasticityConstant + this.elasticityConstant2)));
+  }
+
   /**
    * Shift rest length from this spring to another spring
    * @param {Spring} spring2 the spring to which to transfer the rest length
@@ -316,14 +367,14 @@ class ViscoelasticSpring extends Spring {
    */
   splitOffSpring(restLength, connectingBody, splitAt = 'start') {
     if (splitAt === 'start') {
-      const newSpring = new ViscoelasticSpring(this.bodyA, connectingBody, 0, this.elasticityConstant, this.elasticityConstant2, this.viscosity);
+      const newSpring = new ViscoelasticSpring(this.bodyA, connectingBody, 0, this.elasticityConstant, this.elasticityConstant2, this.viscosity, this.useHybridModel);
       newSpring.viscExt = 0;
       newSpring.maxExt = 0;
       this.shiftRestLengthTo(newSpring, restLength);
       this.bodyA = connectingBody;
       return newSpring;
     } else {
-      const newSpring = new ViscoelasticSpring(connectingBody, this.bodyB, 0, this.elasticityConstant, this.elasticityConstant2, this.viscosity);
+      const newSpring = new ViscoelasticSpring(connectingBody, this.bodyB, 0, this.elasticityConstant, this.elasticityConstant2, this.viscosity, this.useHybridModel);
       newSpring.viscExt = 0;
       newSpring.maxExt = 0;
       this.shiftRestLengthTo(newSpring, restLength);
@@ -333,13 +384,199 @@ class ViscoelasticSpring extends Spring {
   }
 }
 
+/**
+ * @typedef {Object} StressStrainCurve the tension of a spring as a function of its strain (extension relative to the rest length), given
+ * as tables of points between which the tension is interpolated linearly (beyond the first and the last point, the tension is extrapolated
+ * linearly). In both tables, the strains and the tensions must be strictly increasing.
+ * @property {[number, number][]} loading pairs of strain and tension (in Newton) for stretching the spring beyond its maximal strain so far
+ * @property {[number, number][]} unloading pairs of strain and tension (in Newton) for relaxing the spring below its maximal strain so far.
+ *                                          The curve is shifted along the strain axis so that it meets the loading curve at the maximal strain
+ *                                          (see TabulatedSpring).
+ */
+
+/**
+ * Interpolate a table of points linearly (and extrapolate linearly beyond the first and the last point)
+ * @param {[number, number][]} table the points of the table, with strictly increasing x-coordinates
+ * @param {number} x the x-coordinate at which to evaluate the table
+ * @return {number} the interpolated y-coordinate
+ */
+function interpolateTable(table, x) {
+  let i = 1;
+  while (i + 1 < table.length && table[i][0] < x) i++;
+  const [[x0, y0], [x1, y1]] = [table[i - 1], table[i]];
+  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+/**
+ * Invert the linear interpolation of a table of points (see interpolateTable)
+ * @param {[number, number][]} table the points of the table, with strictly increasing x- and y-coordinates
+ * @param {number} y the y-coordinate for which to find the x-coordinate
+ * @return {number} the x-coordinate at which the interpolated table has the given y-coordinate
+ */
+function invertTable(table, y) {
+  return interpolateTable(table.map(([x0, y0]) => [y0, x0]), y);
+}
+
+/**
+ * The slope of the linear interpolation of a table of points (see interpolateTable)
+ * @param {[number, number][]} table the points of the table, with strictly increasing x-coordinates
+ * @param {number} x the x-coordinate at which to evaluate the slope (at a point of the table, the slope to its left is used)
+ * @return {number} the slope of the interpolated table
+ */
+function tableSlope(table, x) {
+  let i = 1;
+  while (i + 1 < table.length && table[i][0] < x) i++;
+  return (table[i][1] - table[i - 1][1]) / (table[i][0] - table[i - 1][0]);
+}
+
+/**
+ * Integrate the linear interpolation of a table of points (see interpolateTable)
+ * @param {[number, number][]} table the points of the table, with strictly increasing x-coordinates
+ * @param {number} from the lower bound of the integral
+ * @param {number} to the upper bound of the integral (may be smaller than the lower bound)
+ * @return {number} the integral of the interpolated table from the lower to the upper bound
+ */
+function integrateTable(table, from, to) {
+  if (to < from) return -integrateTable(table, to, from);
+  const xs = [from, ...table.map(([x]) => x).filter(x => x > from && x < to), to]; // the interpolation is linear between these points
+  let integral = 0;
+  for (let i = 1; i < xs.length; i++)
+    integral += 0.5 * (interpolateTable(table, xs[i - 1]) + interpolateTable(table, xs[i])) * (xs[i] - xs[i - 1]);
+  return integral;
+}
+
+/**
+ * A spring connecting two bodies whose tension is given by a tabulated stress-strain curve, separately for loading and unloading
+ * (see StressStrainCurve). Beyond its maximal strain so far, the spring follows the loading curve. Below it, the spring follows the
+ * unloading curve, shifted so that it meets the loading curve at the maximal strain, both when relaxing and when being stretched again.
+ * The shift is the permanent elongation of the spring, which grows with the maximal strain.
+ */
+class TabulatedSpring extends Spring {
+  /**
+   * Create a new tabulated spring
+   * @param {Body} end1 the body at one end of the spring
+   * @param {Body} end2 the body at the other end of the spring
+   * @param {number} restLength the (current) rest length of the spring in meters
+   * @param {StressStrainCurve} stressStrainCurve the tension of the spring as a function of its strain, for loading and unloading
+   */
+  constructor(end1, end2, restLength, stressStrainCurve) {
+    super(end1, end2, restLength);
+    /** @type {StressStrainCurve} the tension of the spring as a function of its strain, for loading and unloading */
+    this.stressStrainCurve = stressStrainCurve;
+    /** @type {number} maximal extension of the spring in meters */
+    this.maxExt = Math.max(this.currentLength - this.restLength, 0);
+    this.updateTension();
+  }
+
+  /**
+   * The strain by which the unloading curve is shifted so that it meets the loading curve at the maximal strain
+   * @type {number}
+   */
+  get unloadingShift() {
+    const maxStrain = this.maxExt / this.restLength;
+    return maxStrain - invertTable(this.stressStrainCurve.unloading, interpolateTable(this.stressStrainCurve.loading, maxStrain));
+  }
+
+  /**
+   * Update the spring tension (this method should be called when the spring's end bodies have moved)
+   */
+  updateTension() {
+    super.updateTension();
+    const currentExtension = this.currentLength - this.restLength;
+    const strain = currentExtension / this.restLength;
+    const { loading, unloading } = this.stressStrainCurve;
+    if (currentExtension >= this.maxExt) { // loading beyond the maximal strain so far
+      this.maxExt = currentExtension;
+      this.tension = interpolateTable(loading, strain);
+    } else {
+      this.tension = interpolateTable(unloading, strain - this.unloadingShift);
+    }
+    // only the energy which the spring gives back when relaxing along the (shifted) unloading curve is stored, the rest of the work done
+    // by loading is dissipated (counting the area under the loading curve would create energy whenever the spring is stretched again)
+    this.elasticEnergy = this.restLength * integrateTable(unloading, invertTable(unloading, 0), strain - this.unloadingShift);
+  }
+
+  /**
+   * The current stiffness of the spring in N/m, i.e., the rate at which the tension changes when the spring length changes
+   * (with the maximal strain fixed)
+   * @type {number}
+   */
+  get stiffness() {
+    const strain = (this.currentLength - this.restLength) / this.restLength;
+    const slope = (this.currentLength - this.restLength >= this.maxExt)
+      ? tableSlope(this.stressStrainCurve.loading, strain)
+      : tableSlope(this.stressStrainCurve.unloading, strain - this.unloadingShift);
+    return slope / this.restLength;
+  }
+
+  /**
+   * Shift rest length from this spring to another spring
+   * @param {Spring} spring2 the spring to which to transfer the rest length
+   * @param {number} [restLength=null] the amount of rest length to shift in meters. If set to null, the entire rest length of
+   *                                   this spring will be shifted.
+   */
+  shiftRestLengthTo(spring2, restLength = null) {
+    if (restLength === null || typeof restLength === 'undefined')
+      restLength = this.restLength;
+    if (spring2 instanceof TabulatedSpring) {
+      const maxExtShift = restLength / this.restLength * this.maxExt;
+      this.restLength -= restLength;
+      spring2.restLength += restLength;
+      this.maxExt -= maxExtShift;
+      spring2.maxExt += maxExtShift;
+    } else {
+      throw new Error(`TabulatedSpring.shiftRestLengthTo(): parameter spring2's type is not supported`);
+    }
+  }
+
+  /**
+   * Merge this spring into an adjacent spring so that the original connecting body is no longer a spring end.
+   * This spring should not be used anymore after merging (it will have rest length 0).
+   * @param {Spring} spring2 the spring into which to merge this spring
+   */
+  mergeInto(spring2) {
+    if (spring2.bodyA === this.bodyB) {
+      this.shiftRestLengthTo(spring2);
+      spring2.bodyA = this.bodyA;
+    } else if (spring2.bodyB === this.bodyA) {
+      this.shiftRestLengthTo(spring2);
+      spring2.bodyB = this.bodyB;
+    } else {
+      throw new Error(`TabulatedSpring.mergeInto() called with non-adjacent springs`);
+    }
+  }
+
+  /**
+   * Split this spring into two springs
+   * @param {number} restLength the rest length (in meters) of the newly created spring (will be subtracted from this spring's rest length)
+   * @param {Body} connectingBody the body connecting this spring to the newly created spring
+   * @param {'start'|'end'} [splitAt='start'] whether the newly created spring will be on the side of bodyA (start) or bodyB (end)
+   * @return {Spring} the newly created spring
+   */
+  splitOffSpring(restLength, connectingBody, splitAt = 'start') {
+    if (splitAt === 'start') {
+      const newSpring = new TabulatedSpring(this.bodyA, connectingBody, 0, this.stressStrainCurve);
+      newSpring.maxExt = 0;
+      this.shiftRestLengthTo(newSpring, restLength);
+      this.bodyA = connectingBody;
+      return newSpring;
+    } else {
+      const newSpring = new TabulatedSpring(connectingBody, this.bodyB, 0, this.stressStrainCurve);
+      newSpring.maxExt = 0;
+      this.shiftRestLengthTo(newSpring, restLength);
+      this.bodyB = connectingBody;
+      return newSpring;
+    }
+  }
+}
+
 /**
  * Create a new viscoelastic spring using the LinearSpring interface (with automatic selection of reasonable values for the SLS model)
  * @param {Body} end1 the body at one end of the spring
  * @param {Body} end2 the body at the other end of the spring
  * @param {number} restLength the (current) rest length of the spring in meters
  * @param {number} elasticityConstant the elasticity constant of the spring in 1/Newton
- * @param {number} [p=0.75] fraction of the spring behavior corresponding to a simple linear spring. The remaining behavior is governed by the Maxwell arm.
+ * @param {number} [p=0.6] fraction of the spring behavior corresponding to a simple linear spring. The remaining behavior is governed by the Maxwell arm.
  * @param {number} [t=0.1] target relaxation time (approximate time in which the internal viscous extension catches up with the actual extension)
  * @param {boolean} [hybridModel=false] whether to use a hybrid rope model: linear up to maximum extension, SLS after that
  * @return {ViscoelasticSpring} a new viscoelastic spring somewhat similar in behavior to a LinearSpring with the given parameters
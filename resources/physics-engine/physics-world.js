@@ -2,41 +2,373 @@
 /**
  * @typedef {Object} ClimbingFallSetup setup parameters for a climbing fall simulation
  * @property {number} wall-angle the angle of the climbing wall, in overhanging degrees
+ * @property {string} [wall-profile] sections of a piecewise wall profile, one per line (default is no profile, i.e., a plane wall with the angle wall-angle, see parseWallProfile for the format)
  * @property {number} climber-height height of climber above ground / belay in meters
  * @property {number} climber-weight weight of climber in kilograms
  * @property {number} [climber-wall-distance] distance of climber to wall in meters (measured parallel to the ground) (default is 0.3)
  * @property {number} climber-sideways number of meters the climber is placed to the right of the belay
  * @property {boolean} fixed-anchor whether the belay is a fixed anchor (otherwise it is assumed to be a moving mass)
  * @property {number} [belayer-weight] weight of belayer in kilograms (needed if belay is not a fixed anchor)
+ * @property {boolean} [belayer-fixed] whether the belayer is tethered to an anchor on the ground (default is false, has no effect if the belay is a fixed anchor)
+ * @property {number} [tether-length] length of the tether between belayer and ground anchor in meters (default is 0.6)
+ * @property {number} [tether-stiffness] stiffness of the tether between belayer and ground anchor in kN/m (default is 20)
  * @property {number} [belayer-wall-distance] distance of belayer to wall in meters (measured parallel to the ground) (default is 0.5)
+ * @property {'none'|'tube'|'assisted-braking'} [belay-device] the belay device through which the rope runs at the belayer's end (default is 'none', i.e., the rope is rigidly attached)
+ * @property {number} [brake-hand-force] the force (in Newton) with which the belayer's braking hand holds the rope (default is 200, see BelayDevice)
+ * @property {number} [belay-device-friction] the friction coefficient between rope and belay device (default is 0.3, see BelayDevice)
+ * @property {number} [lock-speed] slip speed of the rope in m/s above which an assisted-braking device locks (default is 0.5, see AssistedBrakingDevice)
+ * @property {number} [lock-tension] rope tension in Newton above which an assisted-braking device locks (default is 2000, see AssistedBrakingDevice)
+ * @property {number} [lock-delay] delay in milliseconds before an assisted-braking device starts locking (default is 10, see AssistedBrakingDevice)
+ * @property {number} [slip-before-lock] length of rope in meters slipping through an assisted-braking device while it locks (default is 0.05, see AssistedBrakingDevice)
+ * @property {boolean} [cam-held-open] whether the belayer holds the cam of an assisted-braking device open at the beginning of the fall (default is false)
+ * @property {number} [cam-release-time] time in seconds at which the belayer releases the cam (needed if cam-held-open is true)
+ * @property {string} [belay-actions] scripted belay actions, one per line (default is no actions, see parseBelayActions for the format)
+ * @property {number} [belay-reaction-delay] reaction time of the belayer in milliseconds, by which all belay actions are delayed (default is 0)
  * @property {number} draw-number number of quickdraws through which the rope passes (can be 0)
  * @property {number} [last-draw-height] height of last draw on climber's side above ground / belay in meters (needed if draw-number > 0)
  * @property {number} [draw-i-height] height of i-th draw (0-indexed) above ground / belay in meters (measured orthogonally to the ground). i should be replaced by a number in the property name.
  * @property {number} [draw-i-wall-distance] distance of i-th draw (0-indexed) to wall in meters (measured parallel to the ground) (default is 0.1). i should be replaced by a number in the property name.
  * @property {number} [draw-i-sideways] number of meters the i-th draw (0-indexed) is placed to the right of the belay. i should be replaced by a number in the property name.
  * @property {number} [friction-coefficient] friction coefficient of quickdraws (default is 0.125, see constructor of Body class)
+ * @property {number} [draw-i-friction] friction coefficient of the carabiner of the i-th draw (0-indexed) (default is friction-coefficient). i should be replaced by a number in the property name.
+ * @property {1|2} [draw-i-rope] which of the two half ropes is clipped to the i-th draw (0-indexed) (default is alternating, starting with rope 1 at the lowest draw;
+ *                               only used if rope-system is 'half'). i should be replaced by a number in the property name.
  * @property {boolean} draw-slings whether to model the quickdraws as being attached to a bolt in the wall via a sling (otherwise, they are just fixed points)
+ * @property {number} [draw-i-sling-length] length of the sling of the i-th draw (0-indexed) in meters (default is 0.2, only used if draw-slings is true). i should be replaced by a number in the property name.
+ * @property {'dyneema'|'nylon'} [draw-i-sling-material] material of the sling of the i-th draw (0-indexed) (default is 'dyneema', see SLING_MATERIALS; only used if draw-slings is true).
+ *                                                       i should be replaced by a number in the property name.
+ * @property {boolean} [draw-i-absorber] whether the sling of the i-th draw (0-indexed) is an energy absorber (screamer) which tears under high loads
+ *                                       (default is false, see EnergyAbsorber; only used if draw-slings is true). i should be replaced by a number in the property name.
+ * @property {number} [draw-i-strength] strength in kilonewton of the protection of the i-th draw (0-indexed) for loads straight down; the protection fails
+ *                                       and the rope no longer runs through the draw once its load exceeds the strength (default is that it never fails, see
+ *                                       ProtectionPoint.strength; the load on the bolt is used if draw-slings is true). i should be replaced by a number in the property name.
+ * @property {number} [draw-i-side-strength] strength in kilonewton of the protection of the i-th draw (0-indexed) for sideways or upward loads (default is
+ *                                           draw-i-strength, see ProtectionPoint.sideStrength). i should be replaced by a number in the property name.
+ * @property {number} [absorber-tearing-force] force in Newton needed for tearing an energy absorber (default is 2000)
+ * @property {number} [absorber-tear-length] length in meters by which an energy absorber can extend by tearing (default is 0.4)
  * @property {number} [slack] amount of rope slack in the system in meters (default is 0.1)
  * @property {number} rope-segments number of segments used for the simulation of the rope
  * @property {number} elasticity-constant elasticity constant of the rope in 10^-3 per Newton ("milli" per Newton)
  * @property {number} rope-weight weight of the rope in kilograms per meter
- * @property {'linear'|'sls'} rope-model which physical model to use for the rope (available models: linear spring, standard linear solid model)
+ * @property {RopeModel} rope-model which physical model to use for the rope (available models: linear spring, standard linear solid model, hybrid model,
+ *                                tabulated stress-strain curve)
+ * @property {number} [sls-linear-fraction] fraction of the behavior of the viscoelastic rope models (sls and hybrid) corresponding to a linear spring,
+ *                                          between 0 and 1 (default is 0.6, see linearSpringWithViscoelasticDamping)
+ * @property {number} [sls-relaxation-time] relaxation time of the viscoelastic rope models in seconds (default is 0.1, see linearSpringWithViscoelasticDamping)
+ * @property {string} [rope-loading-curve] the stress-strain curve of the rope for loading, required for the tabulated rope model (see parseStressStrainCurve)
+ * @property {string} [rope-unloading-curve] the stress-strain curve of the rope for unloading, for the tabulated rope model (see parseStressStrainCurve;
+ *                                           default is the loading curve, i.e., no hysteresis)
  * @property {number} rope-bend-damping the higher the value, the stiffer the rope (less bending)
  * @property {number} rope-stretch-damping the higher the value, the less springy the rope is
+ * @property {RopeSystem} [rope-system] whether the climber is tied into a single rope, or into two half ropes or twin ropes (default is 'single').
+ *                                      Both ropes run from the belayer to the climber; the rope parameters above apply to the first rope.
+ * @property {number} [second-elasticity-constant] elasticity constant of the second rope of a double rope system (default is elasticity-constant)
+ * @property {number} [second-rope-weight] weight of the second rope in kilograms per meter (default is rope-weight)
+ * @property {RopeModel} [second-rope-model] rope model of the second rope (default is rope-model)
+ * @property {number} [second-sls-linear-fraction] linear fraction of the second rope (default is sls-linear-fraction)
+ * @property {number} [second-sls-relaxation-time] relaxation time of the second rope in seconds (default is sls-relaxation-time)
+ * @property {string} [second-rope-loading-curve] loading curve of the second rope (default is rope-loading-curve)
+ * @property {string} [second-rope-unloading-curve] unloading curve of the second rope (default is rope-unloading-curve)
+ * @property {number} [second-rope-bend-damping] bend damping of the second rope (default is rope-bend-damping)
+ * @property {number} [second-rope-stretch-damping] stretch damping of the second rope (default is rope-stretch-damping)
  * @property {boolean} ground-present whether the ground should be inserted as a barrier into the model (like the climbing wall); it might make sense to remove the ground in multi-pitch settings
+ * @property {boolean} [multi-pitch] whether the belay is a hanging belay station on a multi-pitch route (default is false). There is no ground (ground-present,
+ *                                   belayer-fixed and belayer-wall-distance are ignored), and unless the belay is a fixed anchor, the belayer hangs from two bolts
+ *                                   above them, each connected to the belayer by a leg of sling (see ClimbingFallWorld.addBelayStation). Without any draw
+ *                                   clipped, the climber falls past the belay (a fall factor of up to 2).
+ * @property {number} [belay-station-height] height in meters of the bolts of the belay station above the belayer (default is 0.6, only used if multi-pitch is true)
+ * @property {number} [belay-station-bolt-spacing] horizontal distance in meters between the two bolts of the belay station (default is 0.3, only used if multi-pitch is true)
+ * @property {'dyneema'|'nylon'} [belay-station-sling-material] material of the sling connecting the bolts of the belay station to the belayer (default is 'dyneema',
+ *                                                              see SLING_MATERIALS; only used if multi-pitch is true)
+ * @property {boolean} [jesus-point] whether the rope runs through a Jesus point, i.e., a carabiner clipped to a bolt above the belay station, before it runs to
+ *                                   the first draw (default is false, only used if multi-pitch is true). All ropes of a double rope system are clipped to it.
+ * @property {number} [jesus-point-height] height in meters of the Jesus point above the belayer (default is 1.5, only used if jesus-point is true)
+ * @property {number} [wall-friction] friction coefficient for bodies sliding along the wall (default is 0)
+ * @property {number} [wall-restitution] restitution coefficient of the wall, i.e., the fraction of the impact speed with which bodies bounce off (default is 0)
+ * @property {boolean} [rope-edge-contact] whether the rope bends over the edges of the wall, the ground and obstacles and slides over them with capstan friction
+ *                                          (default is false: no contact between the rope and edges, and the rope uses the wall friction where it touches a barrier)
+ * @property {number} [rope-wall-friction] friction coefficient between the rope and the wall, the ground and obstacles (default is 0.3, only used if rope-edge-contact is true)
+ * @property {number} [ground-friction] friction coefficient for bodies sliding along the ground (default is 0)
+ * @property {number} [ground-restitution] restitution coefficient of the ground (default is 0)
+ * @property {string} [obstacles] obstacles of finite size, one per line (default is no obstacles, see parseObstacles for the format)
  * @property {number} [ground-level] height of ground relative to the belay in meters, <= 0 because belay cannot be below ground (needed if ground-present is true)
+ * @property {boolean} [drop-test] whether to simulate the drop test of the UIAA 101 (EN 892) standard instead of a climbing fall (default is false). The
+ *                                  geometry is fixed (see DROP_TEST_GEOMETRY): the wall, ground, climber position, belayer, multi-pitch, quickdraw and rope system settings
+ *                                  are ignored, climber-weight is the falling mass (80 kg in the standard), and friction-coefficient is used for the edge. The step
+ *                                  sizes are limited so that the short rope remains stable (see DROP_TEST_MAX_STEP_PER_SEGMENT_CROSSING).
+ * @property {number} [drop-test-interval] time in seconds between two drops of a drop test series (default is 3); the number of drops follows from simulation-duration
+ * @property {number} [drop-test-rope-strength] impact force in kilonewton beyond which the rope does not hold a drop of the drop test; the series ends with the
+ *                                              first drop which is not held (default is that the rope holds every drop)
+ * @property {boolean} [fall-series] whether to simulate a series of falls on the same rope (default is false): the climber falls, hangs in the rope, and is
+ *                                   put back at the start position every fall-series-interval seconds, with the rope taken in to its original length. The
+ *                                   internal state of the rope carries over from one fall to the next (see ClimbingFallWorld.resetFall). Scripted belay
+ *                                   actions are timed from the start of the simulation, not from the start of every fall.
+ * @property {number} [fall-series-interval] time in seconds between two falls of a fall series (default is 4); the number of falls follows from simulation-duration
+ * @property {number} [fall-recovery-time] time in seconds for which the unloaded rope recovers between two falls of a fall series or drops of a drop test
+ *                                         series (default is 0, see Rope.recover). The recovery is not simulated step by step and does not count towards simulation-duration.
  * @property {number} physics-step-size the time step size for a single step of the simulation in milliseconds
+ * @property {Integrator} [integrator] the numerical integrator used for the time steps of the simulation (default is 'semi-implicit-euler')
+ * @property {boolean} [adaptive-step-size] whether to adapt the time step size during the simulation (default is false). If true, physics-step-size is the minimal step size.
+ * @property {number} [max-step-size] the maximal time step size in milliseconds if adaptive-step-size is true (default is 1)
+ * @property {number} [step-error-tolerance] the tolerated local position error per time step in micrometers if adaptive-step-size is true (default is 1)
  * @property {number} frame-rate the rate at which snapshots are captured in the simulation in frames per second
  * @property {number} simulation-duration the time in seconds for which the fall simulation should be run (not computation time, but simulated time)
+ * @property {number} [random-seed] seed for the small random offsets of the start positions of the climber, the belayer and the bolts, so that a simulation
+ *                                  can be repeated exactly (default is a different random offset for every simulation, see seededRandom)
  * @property {string} version the version of the climbing simulation for which this setup object was created
  * @property {string} versionDate the date corresponding to the above version
  */
 
+/**
+ * @typedef {'semi-implicit-euler'|'velocity-verlet'|'rk4'|'implicit-euler'} Integrator a numerical integrator for the time steps of the simulation:
+ *          semi-implicit (symplectic) Euler, velocity Verlet, classical 4th-order Runge-Kutta, or implicit Euler (for the spring forces,
+ *          linearized, solved for every body separately)
+ */
+
+/**
+ * @typedef {'single'|'half'|'twin'} RopeSystem how the climber is tied in: into a single rope, into two half ropes (each rope is clipped to
+ *          its own draws, see draw-i-rope in ClimbingFallSetup), or into two twin ropes (both ropes are clipped to every draw)
+ */
+
+/**
+ * @typedef {Object} AdaptiveSteppingSettings settings of the adaptive step size controller of a physics world
+ * @property {number} minStep the minimal time step length in seconds
+ * @property {number} maxStep the maximal time step length in seconds
+ * @property {number} tolerance the tolerated local position error per time step in meters
+ */
+
 /** @type {number} gravity acceleration constant in m/s^2 */
 const GRAVITY_OF_EARTH = 9.807;
 /** @type {V} gravity acceleration vector pointing downward along the y-axis (i.e. y-axis is height above ground) */
 const GRAVITY_VEC = new V(0, -GRAVITY_OF_EARTH, 0);
 
+/** @type {number} speed (in m/s) below which bodies hitting a barrier do not bounce off (resting contact) */
+const BARRIER_RESTING_SPEED = 0.05;
+
+/** @type {number} depth (in meters) by which a rope must cut into an edge before it is bent over the edge (see PhysicsWorld.updateRopeEdgeContacts) */
+const ROPE_EDGE_TOLERANCE = 1e-4;
+
+/** @type {number} smallest component of a face normal perpendicular to the rope for which a rope joint can leave an obstacle through the face (see PhysicsWorld.ensureBarrierConstraints) */
+const OBSTACLE_MIN_ROPE_NORMAL = 0.1;
+/** @type {number} largest distance (in meters) by which a rope joint is moved out of an obstacle; deeper rope joints are left within it (see PhysicsWorld.ensureBarrierConstraints) */
+const OBSTACLE_MAX_ROPE_EXIT = 0.01;
+
+/** @type {number} distance (in meters) from the wall of the bolts of a multi-pitch belay station and of a Jesus point (see ClimbingFallWorld.addBelayStation) */
+const BELAY_STATION_WALL_DISTANCE = 0.1;
+
+/** @type {Object<string, number>} default durations (in seconds) of the different types of belay actions */
+const BELAY_ACTION_DEFAULT_DURATIONS = {
+  'jump': 0.3,
+  'step': 0.4,
+  'pay-out': 0.3,
+  'take-in': 0.3
+};
+
+/**
+ * @type {Object<string, {elasticityConstant: number, maxStrain: number}>} properties of the materials of quickdraw slings: the elasticity
+ * constant (in 1/Newton) and the maximal extension relative to the sling length (beyond which the sling does not stretch, see StaticSling)
+ */
+const SLING_MATERIALS = {
+  'dyneema': { elasticityConstant: 0.079e-3, maxStrain: 0.025 },
+  'nylon': { elasticityConstant: 0.16e-3, maxStrain: 0.08 }
+};
+
+/**
+ * @type {{anchorEdgeDistance: number, dropHeight: number, edgeRadius: number}} geometry of the drop test of the UIAA 101 (EN 892) standard
+ * (in meters): the rope is clamped at the anchor and runs horizontally over an edge at a distance of anchorEdgeDistance, and the mass is
+ * dropped from dropHeight above the edge, next to the edge by its radius (see ClimbingFallWorld.setupDropTest)
+ */
+const DROP_TEST_GEOMETRY = { anchorEdgeDistance: 0.3, dropHeight: 2.3, edgeRadius: 0.005 };
+
+/**
+ * @type {number} maximal step size of the drop test relative to the time a stretching wave takes to cross a rope segment (see Rope.stretchWaveSpeed):
+ * the short rope of the drop test becomes numerically unstable at about 0.2 times this crossing time (e.g. above 0.04 ms with 30 segments of a
+ * typical rope, and stable at 0.01 ms with 70 segments), so the step size is limited to 0.12 times this crossing time
+ */
+const DROP_TEST_MAX_STEP_PER_SEGMENT_CROSSING = 0.12;
+
+/**
+ * @type {number} tolerated growth of the mechanical energy of the falling mass and the rope during a drop of the drop test, relative to the
+ * potential energy of the mass at the drop height; the energy cannot grow physically, so larger growth means that the simulation has become unstable
+ */
+const DROP_TEST_ENERGY_TOLERANCE = 0.1;
+
+/**
+ * Create a pseudo-random number generator (mulberry32) with a fixed seed, so that the random start positions of a simulation can be repeated
+ * @param {number} seed the seed (an integer)
+ * @return {() => number} a function returning pseudo-random numbers between 0 (inclusive) and 1 (exclusive), like Math.random
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the rope settings (see Rope) from the setup parameters
+ * @param {ClimbingFallSetup} setupSettings the setup parameters for the climbing fall
+ * @param {string} [prefix=''] prefix of the setup parameters of the rope, e.g. 'second-' for the second rope of a double rope system; parameters
+ *                             without a prefixed version fall back to the parameters without prefix
+ * @return {{elasticityConstant: number, weightPerMeter: number, ropeModel: RopeModel, linearFraction?: number, relaxationTime?: number, stressStrainCurve?: StressStrainCurve,
+ *          bendDamping: number, stretchDamping: number}} the rope settings
+ */
+function ropeSettings(setupSettings, prefix = '') {
+  const has = key => setupSettings.hasOwnProperty(prefix + key) || setupSettings.hasOwnProperty(key);
+  const get = key => setupSettings.hasOwnProperty(prefix + key) ? setupSettings[prefix + key] : setupSettings[key];
+  const settings = {
+    elasticityConstant: get('elasticity-constant') / 1000,
+    weightPerMeter: get('rope-weight'),
+    ropeModel: get('rope-model'),
+    bendDamping: get('rope-bend-damping'),
+    stretchDamping: get('rope-stretch-damping')
+  };
+  if (has('sls-linear-fraction'))
+    settings.linearFraction = get('sls-linear-fraction');
+  if (has('sls-relaxation-time'))
+    settings.relaxationTime = get('sls-relaxation-time');
+  if (settings.ropeModel === 'tabulated') {
+    const loading = parseStressStrainCurve(has('rope-loading-curve') ? get('rope-loading-curve') : '');
+    if (loading.length === 0)
+      throw new Error('The tabulated rope model requires a loading curve');
+    const unloading = parseStressStrainCurve(has('rope-unloading-curve') ? get('rope-unloading-curve') : '');
+    settings.stressStrainCurve = { loading, unloading: (unloading.length > 0) ? unloading : loading };
+  }
+  return settings;
+}
+
+/**
+ * Parse scripted belay actions. Every non-empty line describes one action in the format "time type amount [duration]", where time is
+ * the start time in seconds, type is one of jump, step, pay-out and take-in, amount is the height of the jump, the length of the step,
+ * or the length of rope paid out or taken in (in meters), and duration is the duration of the action in seconds (default depends on
+ * the type, see BELAY_ACTION_DEFAULT_DURATIONS). Everything after a # is ignored.
+ * @param {string} text the scripted belay actions
+ * @return {BelayAction[]} the parsed belay actions
+ */
+function parseBelayActions(text) {
+  const actions = [];
+  for (const line of text.split('\n')) {
+    const parts = line.split('#')[0].trim().split(/\s+/);
+    if (parts.length === 1 && parts[0] === '') continue;
+    if (parts.length < 3 || parts.length > 4 || !BELAY_ACTION_DEFAULT_DURATIONS.hasOwnProperty(parts[1]))
+      throw new Error(`Invalid belay action: ${line.trim()}`);
+    const [time, amount, duration] = [parts[0], parts[2], parts.length > 3 ? parts[3] : BELAY_ACTION_DEFAULT_DURATIONS[parts[1]]].map(Number);
+    if (!(time >= 0) || !(amount >= 0) || !(duration > 0))
+      throw new Error(`Invalid belay action: ${line.trim()}`);
+    actions.push({ type: parts[1], time, amount, duration });
+  }
+  return actions;
+}
+
+/**
+ * Parse the sections of a piecewise wall profile. Every non-empty line describes one section in the format "length angle", where
+ * length is the length of the section in meters (measured along the wall) and angle is its angle in overhanging degrees, between
+ * -90 (horizontal ledge) and 90 (horizontal roof). The sections are listed from bottom to top, the first one starts at the height of
+ * the belay. Everything after a # is ignored.
+ * @param {string} text the sections of the wall profile
+ * @return {{length: number, angle: number}[]} the parsed sections
+ */
+function parseWallProfile(text) {
+  const sections = [];
+  for (const line of text.split('\n')) {
+    const parts = line.split('#')[0].trim().split(/\s+/);
+    if (parts.length === 1 && parts[0] === '') continue;
+    const [length, angle] = parts.map(Number);
+    if (parts.length !== 2 || !(length > 0) || !(angle >= -90 && angle <= 90))
+      throw new Error(`Invalid wall profile section: ${line.trim()}`);
+    sections.push({ length, angle });
+  }
+  return sections;
+}
+
+/**
+ * Parse a stress-strain curve of a rope (see StressStrainCurve). Every non-empty line describes one point of the curve in the format
+ * "strain force", where strain is the elongation of the rope in percent of its rest length and force is the rope tension in kilonewton.
+ * The points are listed in the order of increasing strain, and the force must increase with the strain. Everything after a # is ignored.
+ * @param {string} text the points of the stress-strain curve
+ * @return {[number, number][]} the parsed points as pairs of strain (relative to the rest length) and tension (in Newton); empty if there
+ *                              are no points, otherwise at least two points
+ */
+function parseStressStrainCurve(text) {
+  const points = [];
+  for (const line of text.split('\n')) {
+    const parts = line.split('#')[0].trim().split(/\s+/);
+    if (parts.length === 1 && parts[0] === '') continue;
+    const [strain, force] = parts.map(Number);
+    const previous = (points.length > 0) ? points[points.length - 1] : [-Infinity, -Infinity];
+    if (parts.length !== 2 || isNaN(strain) || isNaN(force) || !(strain / 100 > previous[0]) || !(force * 1000 > previous[1]))
+      throw new Error(`Invalid point of the stress-strain curve: ${line.trim()}`);
+    points.push([strain / 100, force * 1000]);
+  }
+  if (points.length === 1)
+    throw new Error('A stress-strain curve needs at least two points');
+  return points;
+}
+
+/**
+ * @typedef {Object} ObstacleDescription description of an obstacle of finite size in a climbing fall setup
+ * @property {'box'} type the type of the obstacle (currently, only boxes are supported)
+ * @property {number} wallDistance the distance of the center of the obstacle to the wall in meters (measured parallel to the ground)
+ * @property {number} height the height of the center of the obstacle above the belay in meters
+ * @property {number} sideways the number of meters the center of the obstacle is placed to the right of the belay
+ * @property {[number, number, number]} size the depth (away from the wall), height and width (sideways) of the obstacle in meters
+ * @property {number} rotation the rotation of the obstacle around the vertical axis in degrees
+ */
+
+/**
+ * Parse the obstacles of a climbing fall setup. Every non-empty line describes one obstacle in the format
+ * "box distance height sideways depth height width [rotation]", where the first three numbers give the position of the center of the
+ * box (its distance to the wall, its height above the belay and the number of meters to the right of the belay), the next three
+ * numbers give its size (depth away from the wall, height and width), and rotation is the rotation around the vertical axis in
+ * degrees (default is 0). All lengths are given in meters. Everything after a # is ignored.
+ * @param {string} text the obstacles
+ * @return {ObstacleDescription[]} the parsed obstacles
+ */
+function parseObstacles(text) {
+  const obstacles = [];
+  for (const line of text.split('\n')) {
+    const parts = line.split('#')[0].trim().split(/\s+/);
+    if (parts.length === 1 && parts[0] === '') continue;
+    const numbers = parts.slice(1).map(Number);
+    if (parts[0] !== 'box' || numbers.length < 6 || numbers.length > 7 || numbers.some(isNaN) || !numbers.slice(3, 6).every(x => x > 0))
+      throw new Error(`Invalid obstacle: ${line.trim()}`);
+    obstacles.push({
+      type: parts[0],
+      wallDistance: numbers[0],
+      height: numbers[1],
+      sideways: numbers[2],
+      size: numbers.slice(3, 6),
+      rotation: numbers.length > 6 ? numbers[6] : 0
+    });
+  }
+  return obstacles;
+}
+
+/**
+ * @typedef {Object} Barrier a barrier which no objects may pass, either blocking a half-space or the region behind a polygonal profile
+ * @property {V|null} normal the normal vector of a half-space barrier, pointing away from the blocked half-space (null for profile barriers)
+ * @property {number} shift the dot product of the normal vector and a point in a half-space barrier (0 for profile barriers)
+ * @property {V[]|null} profile the corner points of a profile barrier in the x-y plane, from bottom to top (null for half-space barriers)
+ * @property {string} name a name for the barrier
+ * @property {number} friction the friction coefficient for bodies sliding along the barrier
+ * @property {number} restitution the restitution coefficient of the barrier
+ */
+
+/**
+ * @typedef {Object} RopeEdge a convex edge of a barrier or an obstacle over which a rope can bend
+ * @property {V} point a point on the edge
+ * @property {V} direction the direction of the edge (length 1)
+ * @property {number} minT the edge consists of the points point + t * direction with minT <= t <= maxT (may be -Infinity)
+ * @property {number} maxT see minT (may be Infinity)
+ * @property {[V, V]} normals the outward normal vectors of the two faces meeting at the edge
+ * @property {V} boxMin the minimal coordinates of the points of the edge (components may be -Infinity)
+ * @property {V} boxMax the maximal coordinates of the points of the edge (components may be Infinity)
+ * @property {string} name the name of the barrier or obstacle to which the edge belongs
+ */
+
 /**
  * The physics world contains all objects which are relevant to the physics simulation
  */
@@ -53,8 +385,16 @@ class PhysicsWorld {
     this.bodyCapturing = [];
     /** @type {Map<number, number>} maps body ids to their index in the bodies array */
     this.bodyIdMap = new Map();
-    /** @type {{normal:V, shift:number, name:string}[]} an array containing all barriers of the physics world */
+    /** @type {Barrier[]} an array containing all barriers of the physics world */
     this.barriers = [];
+    /** @type {RopeEdge[]} the convex edges of all barriers and obstacles of the physics world, over which ropes can bend */
+    this.ropeEdges = [];
+    /** @type {Integrator} the numerical integrator used for the time steps of the bodies in the world */
+    this.integrator = 'semi-implicit-euler';
+    /** @type {AdaptiveSteppingSettings|null} settings of the adaptive step size controller (null if fixed time steps are used) */
+    this.adaptiveStepping = null;
+    /** @type {number} the length (in seconds) proposed by the adaptive step size controller for the next time step (only used if adaptiveStepping is set) */
+    this.nextStepSize = 0;
   }
   
   /**
@@ -75,6 +415,21 @@ class PhysicsWorld {
       return;
     }
     body.parentWorld = this;
+    if (body instanceof Obstacle) {
+      for (const edge of body.shape.edges()) {
+        const edgeVec = edge.end.minus(edge.start);
+        this.ropeEdges.push({
+          point: edge.start,
+          direction: edgeVec.normalize(),
+          minT: 0,
+          maxT: edgeVec.norm(),
+          normals: edge.normals,
+          boxMin: new V(Math.min(edge.start.x, edge.end.x), Math.min(edge.start.y, edge.end.y), Math.min(edge.start.z, edge.end.z)),
+          boxMax: new V(Math.max(edge.start.x, edge.end.x), Math.max(edge.start.y, edge.end.y), Math.max(edge.start.z, edge.end.z)),
+          name: body.name
+        });
+      }
+    }
     this.bodyIdMap.set(body.id, this.bodies.length);
     this.bodies.push(body);
     this.bodyTimestepping.push(timeStepping);
@@ -133,33 +488,312 @@ class PhysicsWorld {
    * @param {V} normalVec the normal vector of the barrier, which must have length 1 and should point away from the half-space which is blocked
    * @param {V} pointInBarrier a point lying on the barrier
    * @param {string} name a name for the barrier
+   * @param {number} [friction=0] the friction coefficient for bodies sliding along the barrier
+   * @param {number} [restitution=0] the restitution coefficient of the barrier (0: bodies do not bounce off, 1: bodies bounce off without losing speed)
    */
-  addBarrier(normalVec, pointInBarrier, name) {
+  addBarrier(normalVec, pointInBarrier, name, friction = 0, restitution = 0) {
     if (Math.abs(normalVec.normsq() - 1) > PHYSICS_GLOBALS.EPS)
       throw new Error('A normal vector of a barrier must have length 1!');
     const barrierInfo = {
       normal: normalVec,
       shift: normalVec.dot(pointInBarrier),
-      name: name
+      profile: null,
+      name: name,
+      friction: friction,
+      restitution: restitution
     };
     this.barriers.push(barrierInfo);
   }
   
   /**
-   * Ensure that all objects satisfy the constraints imposed by barriers (blocked half-spaces). In particular, if a body is located
-   * within a blocked half-space, it will be moved to the closest unblocked point directly on the barrier. Any velocity components
-   * pointing into the blocked half-space will be nullified.
+   * Add a barrier to the physics world which is given by a polygonal profile in the x-y plane and extends infinitely in the z-direction.
+   * The region to the left of the profile (when following it from bottom to top) is blocked. The first and the last section of the
+   * profile are extended infinitely. The profile should not intersect itself.
+   * @param {V[]} profilePoints the corner points of the profile (at least 2, the z-coordinates are ignored)
+   * @param {string} name a name for the barrier
+   * @param {number} [friction=0] the friction coefficient for bodies sliding along the barrier
+   * @param {number} [restitution=0] the restitution coefficient of the barrier (0: bodies do not bounce off, 1: bodies bounce off without losing speed)
    */
-  ensureBarrierConstraints() {
+  addProfileBarrier(profilePoints, name, friction = 0, restitution = 0) {
+    if (profilePoints.length < 2)
+      throw new Error('A barrier profile needs at least 2 points!');
+    const barrierInfo = {
+      normal: null,
+      shift: 0,
+      profile: profilePoints.map(pt => new V(pt.x, pt.y, 0)),
+      name: name,
+      friction: friction,
+      restitution: restitution
+    };
+    this.barriers.push(barrierInfo);
+    for (let i = 1; i + 1 < barrierInfo.profile.length; i++) { // the corners at which the profile turns left are convex edges
+      const dirBefore = barrierInfo.profile[i].minus(barrierInfo.profile[i - 1]).normalize();
+      const dirAfter = barrierInfo.profile[i + 1].minus(barrierInfo.profile[i]).normalize();
+      if (dirBefore.cross(dirAfter).z > PHYSICS_GLOBALS.EPS)
+        this.ropeEdges.push({
+          point: barrierInfo.profile[i],
+          direction: new V(0, 0, 1),
+          minT: -Infinity,
+          maxT: Infinity,
+          normals: [new V(dirBefore.y, -dirBefore.x, 0), new V(dirAfter.y, -dirAfter.x, 0)],
+          boxMin: new V(barrierInfo.profile[i].x, barrierInfo.profile[i].y, -Infinity),
+          boxMax: new V(barrierInfo.profile[i].x, barrierInfo.profile[i].y, Infinity),
+          name: name
+        });
+    }
+  }
+
+  /**
+   * Find the point of a profile barrier which is closest to a given point (only the x- and y-coordinates are considered)
+   * @param {V[]} profile the corner points of the profile barrier (see addProfileBarrier)
+   * @param {V} pos the point for which to find the closest point of the profile
+   * @return {{point: V, normal: V}} the closest point of the profile (with the z-coordinate of pos), and the outward normal of the profile
+   *                                 at this point (at a corner, the mean of the normals of the two adjacent sections)
+   */
+  closestProfilePoint(profile, pos) {
+    const pos2D = new V(pos.x, pos.y, 0);
+    let closest = null;
+    let closestDistSq = Infinity;
+    let closestNormal = null;
+    const sectionNormals = [];
+    for (let i = 0; i + 1 < profile.length; i++) {
+      const dir = profile[i + 1].minus(profile[i]).normalize();
+      sectionNormals.push(new V(dir.y, -dir.x, 0)); // the blocked region lies to the left of the profile
+    }
+    for (let i = 0; i + 1 < profile.length; i++) {
+      const start = profile[i];
+      const sectionVec = profile[i + 1].minus(start);
+      let t = pos2D.minus(start).dot(sectionVec) / sectionVec.normsq();
+      if (i > 0) t = Math.max(t, 0); // the first section is extended infinitely downwards
+      if (i + 2 < profile.length) t = Math.min(t, 1); // the last section is extended infinitely upwards
+      const pt = start.plus(sectionVec.times(t));
+      const distSq = pt.minus(pos2D).normsq();
+      if (distSq < closestDistSq) {
+        closest = pt;
+        closestDistSq = distSq;
+        if (t <= 0 && i > 0)
+          closestNormal = sectionNormals[i - 1].plus(sectionNormals[i]).normalize();
+        else if (t >= 1 && i + 2 < profile.length)
+          closestNormal = sectionNormals[i].plus(sectionNormals[i + 1]).normalize();
+        else
+          closestNormal = sectionNormals[i];
+      }
+    }
+    return { point: new V(closest.x, closest.y, pos.z), normal: closestNormal };
+  }
+
+  /**
+   * Apply the impulse of a contact between a body and a barrier or an obstacle to the body. Any velocity component pointing into the
+   * barrier will be reversed and scaled by the restitution coefficient (or nullified for slow contacts, so that bodies can rest on the
+   * barrier). The contact impulse also slows down the movement along the barrier (Coulomb friction, the friction impulse is at most the
+   * friction coefficient times the normal impulse). The contact impulse is recorded by the body (see Body.recordContactImpulse).
+   * @param {Body} body the body touching the barrier or obstacle
+   * @param {V} normal the normal vector of the contact (length 1), pointing away from the barrier or obstacle
+   * @param {{name: string, friction: number, restitution: number}} barrier the barrier or obstacle
+   * @param {number} [friction] the friction coefficient of the contact (default is the friction coefficient of the barrier or obstacle)
+   * @param {boolean} [recordImpulse=true] whether the body records the contact impulse (false for trial states, see prepareRungeKuttaStep)
+   * @return {number} the velocity change (in m/s) caused by the contact
+   */
+  applyContactImpulse(body, normal, barrier, friction = barrier.friction, recordImpulse = true) {
+    const velocityIntoBarrier = -normal.dot(body.velocity);
+    if (velocityIntoBarrier <= 0) return 0;
+    const restitution = (velocityIntoBarrier > BARRIER_RESTING_SPEED) ? barrier.restitution : 0;
+    const normalVelocityChange = (1 + restitution) * velocityIntoBarrier;
+    const tangentialVelocity = body.velocity.plus(normal.times(velocityIntoBarrier)); // velocity component along the barrier
+    const tangentialSpeed = tangentialVelocity.norm();
+    const frictionVelocityChange = Math.min(tangentialSpeed, friction * normalVelocityChange);
+    let velocityChange = normal.times(normalVelocityChange);
+    if (frictionVelocityChange > 0)
+      velocityChange = velocityChange.minus(tangentialVelocity.times(frictionVelocityChange / tangentialSpeed));
+    body.velocity = body.velocity.plus(velocityChange);
+    if (recordImpulse)
+      body.recordContactImpulse(velocityChange.times(body.mass), barrier.name);
+    return velocityChange.norm();
+  }
+
+  /**
+   * Ensure that all objects satisfy the constraints imposed by barriers and obstacles. In particular, if a body is located within a
+   * blocked region, it will be moved to the closest unblocked point directly on the barrier, and the contact impulse is applied to the
+   * body (see applyContactImpulse). Obstacles only push out bodies with positive mass, so that fixed points may lie within them.
+   * The joints of ropes with a contact friction coefficient use it instead of the friction coefficient of the barrier or obstacle.
+   * Obstacles push rope joints out perpendicularly to the rope, and the contact impulse is perpendicular to the rope as well: as a
+   * rope joint is a point of the rope material, pushing it out along the rope (e.g., onto the top face when the rope hangs over the
+   * edge of a box) would stretch the adjacent rope piece in a single time step and pin the rope at the edge, although a real rope
+   * slides over the edge. Rope joints deep within an obstacle are not moved, as the rope already runs through the obstacle there
+   * (e.g., if it is clipped to draws on both sides of it).
+   * @param {boolean} [recordImpulses=true] whether the bodies record the contact impulses (false for trial states, see prepareRungeKuttaStep)
+   * @return {number} the largest velocity change (in m/s) caused by a barrier or an obstacle (0 if there were no contacts)
+   */
+  ensureBarrierConstraints(recordImpulses = true) {
+    let maxVelocityChange = 0;
+    const obstacles = this.bodies.filter(body => body instanceof Obstacle);
+    const ropeJointFriction = new Map(); // maps rope joints to the contact friction coefficient of their rope
+    const ropeJointDirections = new Map(); // maps rope joints to the direction of the rope at the joint (length 1)
+    for (const rope of this.bodies) {
+      if (!(rope instanceof Rope)) continue;
+      for (let i = 1; i + 1 < rope.bodies.length; i++) {
+        if (rope.contactFriction !== null)
+          ropeJointFriction.set(rope.bodies[i], rope.contactFriction);
+        if (obstacles.length === 0) continue;
+        const deflPtsBefore = rope.ropeSegments[i - 1].deflectionPoints;
+        const deflPtsAfter = rope.ropeSegments[i].deflectionPoints;
+        const before = (deflPtsBefore.length > 0) ? deflPtsBefore[deflPtsBefore.length - 1] : rope.bodies[i - 1];
+        const after = (deflPtsAfter.length > 0) ? deflPtsAfter[0] : rope.bodies[i + 1];
+        const direction = after.pos.minus(before.pos);
+        if (direction.norm() > PHYSICS_GLOBALS.EPS)
+          ropeJointDirections.set(rope.bodies[i], direction.normalize());
+      }
+    }
     for (const body of this.bodies) {
-      if (body instanceof Rope) continue;
+      if (body instanceof Rope || body instanceof Obstacle) continue;
+      const friction = ropeJointFriction.has(body) ? ropeJointFriction.get(body) : null;
       for (const barrier of this.barriers) {
-        const dist = barrier.normal.dot(body.pos);
-        if (dist <= barrier.shift) {
+        let normal = barrier.normal;
+        if (barrier.profile === null) {
+          const dist = barrier.normal.dot(body.pos);
+          if (dist > barrier.shift) continue;
           body.pos = body.pos.plus(barrier.normal.times(barrier.shift - dist));
-          const velocityIntoBarrier = -barrier.normal.dot(body.velocity);
-          if (velocityIntoBarrier > 0)
-            body.velocity = body.velocity.plus(barrier.normal.times(velocityIntoBarrier));
+        } else {
+          const closest = this.closestProfilePoint(barrier.profile, body.pos);
+          const offset = closest.point.minus(body.pos);
+          if (offset.dot(closest.normal) < 0) continue;
+          const dist = offset.norm();
+          if (dist > PHYSICS_GLOBALS.EPS) normal = offset.times(1 / dist);
+          else normal = closest.normal;
+          body.pos = closest.point;
+        }
+        maxVelocityChange = Math.max(maxVelocityChange, this.applyContactImpulse(body, normal, barrier, friction !== null ? friction : barrier.friction, recordImpulses));
+      }
+      if (body.mass <= 0) continue;
+      for (const obstacle of obstacles) {
+        if (!obstacle.shape.contains(body.pos)) continue;
+        let normal;
+        if (ropeJointDirections.has(body)) { // rope joint: leaves the obstacle perpendicularly to the rope
+          const exit = obstacle.shape.closestExitPerpendicularTo(body.pos, ropeJointDirections.get(body), OBSTACLE_MIN_ROPE_NORMAL);
+          if (exit === null || exit.distance > OBSTACLE_MAX_ROPE_EXIT) continue; // the rope already runs through the obstacle
+          normal = exit.direction;
+          body.pos = body.pos.plus(normal.times(exit.distance));
+        } else {
+          const exit = obstacle.shape.closestFace(body.pos);
+          normal = exit.face.normal;
+          body.pos = body.pos.plus(normal.times(exit.depth));
+        }
+        maxVelocityChange = Math.max(maxVelocityChange, this.applyContactImpulse(body, normal, obstacle, friction !== null ? friction : obstacle.friction, recordImpulses));
+      }
+    }
+    return maxVelocityChange;
+  }
+
+  /**
+   * Find the point of an edge which is closest to a straight piece of rope, and check whether the rope piece cuts into the edge
+   * @param {V} start the start of the straight rope piece
+   * @param {V} end the end of the straight rope piece
+   * @param {RopeEdge} edge the edge
+   * @return {{cutDepth: number, ropeFraction: number, edgePoint: V}} the depth (in meters) by which the rope piece cuts into the edge
+   *                                                                   (negative if it passes outside the edge or if one of its ends lies
+   *                                                                   within the barrier or obstacle), the fraction of the rope
+   *                                                                   piece (from start) at which it is closest to the edge, and the
+   *                                                                   point of the edge closest to the rope piece
+   */
+  ropeEdgeContact(start, end, edge) {
+    const ropeVec = end.minus(start);
+    const offset = start.minus(edge.point);
+    const a = ropeVec.normsq();
+    const b = ropeVec.dot(edge.direction);
+    const c = ropeVec.dot(offset);
+    const f = edge.direction.dot(offset);
+    const clamp = (x, min, max) => Math.min(max, Math.max(min, x));
+    // minimize the distance between start + s * ropeVec (0 <= s <= 1) and edge.point + t * edge.direction (minT <= t <= maxT)
+    let s = (a - b * b > PHYSICS_GLOBALS.EPS) ? clamp((b * f - c) / (a - b * b), 0, 1) : 0;
+    let t = b * s + f;
+    if (t < edge.minT || t > edge.maxT) {
+      t = clamp(t, edge.minT, edge.maxT);
+      s = clamp((t * b - c) / a, 0, 1);
+    }
+    const edgePoint = edge.point.plus(edge.direction.times(t));
+    const distVec = start.plus(ropeVec.times(s)).minus(edgePoint);
+    const outside = pt => Math.max(pt.minus(edgePoint).dot(edge.normals[0]), pt.minus(edgePoint).dot(edge.normals[1])) > 0;
+    const cutDepth = (outside(start) && outside(end)) ? -Math.max(distVec.dot(edge.normals[0]), distVec.dot(edge.normals[1])) : -1;
+    return { cutDepth, ropeFraction: s, edgePoint };
+  }
+
+  /**
+   * Let the ropes bend over the convex edges of barriers and obstacles (only ropes with a contact friction coefficient, see
+   * Rope.contactFriction). Wherever a straight piece of a rope segment cuts into an edge, an EdgeContactPoint is inserted into the rope
+   * segment as a deflection point, so that the rope slides over the edge with capstan friction. Edge contact points follow the rope
+   * along the edge, and they are removed as soon as the rope no longer bends over the edge.
+   * Rope segments cannot be split between two deflection points (see RopeSegment.postprocessTimeStepB), so the rope parts between an
+   * edge contact point and another deflection point are kept short: edge contact points are not inserted where such a part would be
+   * longer than half the maximal rest length, and they are removed where such a part grows too long. Similarly, edge contact points
+   * are removed when the rope slides through them until one of the adjacent parts is shorter than the minimal rest length.
+   */
+  updateRopeEdgeContacts() {
+    if (this.ropeEdges.length === 0) return;
+    for (const rope of this.bodies) {
+      if (!(rope instanceof Rope) || rope.contactFriction === null) continue;
+      for (const ropeSeg of rope.ropeSegments) {
+        // update or remove existing edge contacts
+        for (let i = 0; i < ropeSeg.deflectionPoints.length; i++) {
+          const edgeContact = ropeSeg.deflectionPoints[i];
+          if (!(edgeContact instanceof EdgeContactPoint)) continue;
+          const before = (i === 0) ? ropeSeg.bodyA : ropeSeg.deflectionPoints[i - 1];
+          const after = (i + 1 === ropeSeg.deflectionPoints.length) ? ropeSeg.bodyB : ropeSeg.deflectionPoints[i + 1];
+          const contact = this.ropeEdgeContact(before.pos, after.pos, edgeContact.edge);
+          const partTooLong = (i > 0 && ropeSeg.springStates[i].restLength > 0.9 * ropeSeg.maxRestLength)
+            || (i + 1 < ropeSeg.deflectionPoints.length && ropeSeg.springStates[i + 1].restLength > 0.9 * ropeSeg.maxRestLength);
+          const partTooShort = Math.min(ropeSeg.springStates[i].restLength, ropeSeg.springStates[i + 1].restLength) < ropeSeg.minRestLength;
+          if (contact.cutDepth > 0 && !partTooLong && !partTooShort) { // the rope still bends over the edge
+            edgeContact.pos = contact.edgePoint;
+            edgeContact.clearForces();
+          } else { // the rope has left the edge (or the contact point is too close to the adjacent one)
+            ropeSeg.removeDeflectionPoint(i);
+            i--;
+          }
+        }
+        // insert new edge contacts (at most one per straight rope piece and time step)
+        for (let i = 0; i < ropeSeg.springStates.length; i++) {
+          const start = (i === 0) ? ropeSeg.bodyA : ropeSeg.deflectionPoints[i - 1];
+          const end = (i === ropeSeg.deflectionPoints.length) ? ropeSeg.bodyB : ropeSeg.deflectionPoints[i];
+          for (const edge of this.ropeEdges) {
+            if (Math.max(start.pos.x, end.pos.x) < edge.boxMin.x || Math.min(start.pos.x, end.pos.x) > edge.boxMax.x
+              || Math.max(start.pos.y, end.pos.y) < edge.boxMin.y || Math.min(start.pos.y, end.pos.y) > edge.boxMax.y
+              || Math.max(start.pos.z, end.pos.z) < edge.boxMin.z || Math.min(start.pos.z, end.pos.z) > edge.boxMax.z)
+              continue; // the rope piece does not reach the edge
+            const contact = this.ropeEdgeContact(start.pos, end.pos, edge);
+            if (contact.cutDepth <= ROPE_EDGE_TOLERANCE) continue;
+            const lengthBefore = contact.edgePoint.minus(start.pos).norm();
+            const lengthAfter = end.pos.minus(contact.edgePoint).norm();
+            const restLengthBefore = ropeSeg.springStates[i].restLength * lengthBefore / (lengthBefore + lengthAfter);
+            const restLengthAfter = ropeSeg.springStates[i].restLength - restLengthBefore;
+            if (restLengthBefore < ropeSeg.minRestLength || restLengthAfter < ropeSeg.minRestLength)
+              continue; // the edge is too close to the end of the rope piece, the barrier constraints take care of the rope joint
+            if ((i > 0 && restLengthBefore > 0.5 * ropeSeg.maxRestLength) || (i < ropeSeg.deflectionPoints.length && restLengthAfter > 0.5 * ropeSeg.maxRestLength))
+              continue; // the part between the edge and the adjacent deflection point would be too long
+            const edgeContact = new EdgeContactPoint(edge, contact.edgePoint, rope.contactFriction);
+            ropeSeg.springStates.splice(i, 0, ropeSeg.springStates[i].splitOffSpring(restLengthBefore, edgeContact, 'start'));
+            ropeSeg.deflectionPoints.splice(i, 0, edgeContact);
+            ropeSeg.deflectionPointSlidingSpeeds.splice(i, 0, 0);
+            i++; // skip the second part of the rope piece
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove failed protection from the ropes (see ProtectionPoint.hasFailed), so that the ropes run straight to the next deflection
+   * point. The failed protection point itself remains in the world.
+   */
+  removeFailedProtection() {
+    for (const rope of this.bodies) {
+      if (!(rope instanceof Rope)) continue;
+      for (const ropeSeg of rope.ropeSegments) {
+        for (let i = 0; i < ropeSeg.deflectionPoints.length; i++) {
+          if ((ropeSeg.deflectionPoints[i] instanceof ProtectionPoint) && ropeSeg.deflectionPoints[i].hasFailed) {
+            ropeSeg.removeDeflectionPoint(i);
+            i--;
+          }
         }
       }
     }
@@ -167,28 +801,88 @@ class PhysicsWorld {
 
   /**
    * Execute a time step for this physics world. Calls the timeStep and applyGravity (and potentially applyRopeForces) methods
-   * of all bodies in the world which were added with parameter timeStepping=true (see addBody). Also calls ensureBarrierConstraints.
+   * of all bodies in the world which were added with parameter timeStepping=true (see addBody). Also calls ensureBarrierConstraints,
+   * updateRopeEdgeContacts and removeFailedProtection.
    * Note that this method first executes a time step with the forces currently applied to the bodies, then ensures barrier
    * constraints, and then applies appropriate gravity and rope forces for the new body positions. This is intended behavior,
    * but this also means that forces have to be initialized before the first real time step. Call the method with delta=0 to
    * initialize forces.
+   * With the 'rk4' integrator, the forces are additionally evaluated at three intermediate states before the time step (see
+   * prepareRungeKuttaStep). The internal rope states (viscous extension, sliding through deflection points) are still updated once per time step.
+   * If adaptiveStepping is set, the method finally updates nextStepSize (see updateNextStepSize).
    * @param {number} delta the length of the time step in seconds (set to 0 to only initialize forces)
    */
   timeStep(delta) {
+    const movableBodies = (this.adaptiveStepping !== null) ? this.bodies.filter(body => (body instanceof Body) && body.mass > 0) : [];
+    const startAccelerations = movableBodies.map(body => body.appliedForces.times(1 / body.mass));
     if (delta > 0) {
+      if (this.integrator === 'rk4')
+        this.prepareRungeKuttaStep(delta);
       for (let i = 0; i < this.bodies.length; i++) {
         if (this.bodyTimestepping[i]) {
           this.bodies[i].timeStep(delta);
         }
       }
     } else {
-      for (let i = 0; i < this.bodies.length; i++) {
-        if (this.bodyTimestepping[i]) {
-          this.bodies[i].clearForces();
-        }
+      this.clearForces();
+    }
+    const barrierVelocityChange = this.ensureBarrierConstraints();
+    this.updateRopeEdgeContacts();
+    this.removeFailedProtection();
+    this.applyForces();
+    if (this.adaptiveStepping !== null) {
+      if (delta > 0)
+        this.updateNextStepSize(delta, movableBodies, startAccelerations, barrierVelocityChange);
+      else
+        this.nextStepSize = this.adaptiveStepping.minStep;
+    }
+  }
+
+  /**
+   * Propose the length of the next time step (adaptive step size control). The local error of a time step is estimated by how
+   * much the positions would have changed if the forces had changed linearly (instead of being constant) during the step, i.e.,
+   * half the change of acceleration times the squared step length. Velocity changes caused by barrier contacts are treated in
+   * the same way. The step length is then scaled so that the estimated error matches the tolerance, and it is limited to the
+   * range given by the settings, as well as by the stability limit of the stiff rope springs (see Body.maxStableTimeStep).
+   * Time steps are never repeated: a step with an error exceeding the tolerance only reduces the length of the next step.
+   * @param {number} delta the length of the time step in seconds which has just been executed
+   * @param {Body[]} movableBodies the bodies in the world which could move during the time step
+   * @param {V[]} startAccelerations the accelerations (in m/s^2) of the movable bodies at the beginning of the time step
+   * @param {number} barrierVelocityChange the largest velocity change (in m/s) caused by a barrier during the time step
+   */
+  updateNextStepSize(delta, movableBodies, startAccelerations, barrierVelocityChange) {
+    const { minStep, maxStep, tolerance } = this.adaptiveStepping;
+    let maxAccelerationChange = 0;
+    for (let i = 0; i < movableBodies.length; i++)
+      maxAccelerationChange = Math.max(maxAccelerationChange, movableBodies[i].appliedForces.times(1 / movableBodies[i].mass).minus(startAccelerations[i]).norm());
+    const error = Math.max(0.5 * maxAccelerationChange * delta * delta, 0.5 * barrierVelocityChange * delta);
+    // the error grows with the cube of the step length (the change of force is roughly proportional to the step length)
+    const optimalStep = (error > 0) ? 0.9 * delta * Math.cbrt(tolerance / error) : Infinity;
+    const previousStep = Math.max(this.nextStepSize, delta); // delta may have been shortened to hit a given point in time
+    const stepSize = Math.max(0.2 * previousStep, Math.min(2 * previousStep, optimalStep)); // change the step length gradually
+    let stableStep = Infinity;
+    for (let i = 0; i < this.bodies.length; i++) {
+      if (this.bodyTimestepping[i])
+        stableStep = Math.min(stableStep, this.bodies[i].maxStableTimeStep);
+    }
+    this.nextStepSize = Math.max(minStep, Math.min(stepSize, maxStep, 0.5 * stableStep));
+  }
+
+  /**
+   * Clear the forces of all bodies in the world which were added with parameter timeStepping=true (see addBody)
+   */
+  clearForces() {
+    for (let i = 0; i < this.bodies.length; i++) {
+      if (this.bodyTimestepping[i]) {
+        this.bodies[i].clearForces();
       }
     }
-    this.ensureBarrierConstraints();
+  }
+
+  /**
+   * Apply gravity and rope forces to all bodies in the world which were added with parameter timeStepping=true (see addBody)
+   */
+  applyForces() {
     for (let i = 0; i < this.bodies.length; i++) {
       if (this.bodyTimestepping[i]) {
         this.bodies[i].applyGravity(GRAVITY_VEC);
@@ -198,6 +892,82 @@ class PhysicsWorld {
     }
   }
 
+  /**
+   * Prepare a time step with the classical 4th-order Runge-Kutta method. Evaluates the forces at three intermediate (trial) states,
+   * in which the barrier constraints are enforced as well (without recording contact impulses), restores the current state, and then
+   * replaces the applied forces of every movable body with the weighted average of the four force evaluations and sets its drift
+   * velocity (see Body.driftVelocity) to the weighted average of the four velocities. The sliding of the rope through the deflection
+   * points is integrated in the same way (see RopeSegment.rungeKuttaSliding). The subsequent semi-implicit Euler step of the bodies
+   * then yields the Runge-Kutta result.
+   * The force evaluations of the trial states have no side effects: all fields which they modify (e.g. the running force maxima of the
+   * ropes, the loads of protection points, or the maximal extension of the rope springs) are restored along with the current state,
+   * so that the rope states and the rope tensions used by the time step refer to the current state.
+   * @param {number} delta the length of the time step in seconds
+   */
+  prepareRungeKuttaStep(delta) {
+    const bodies = this.bodies.filter(body => (body instanceof Body) && body.mass > 0);
+    const stateObjects = []; // all objects which a force evaluation modifies
+    const slidingSegments = []; // rope segments in which the rope slides through deflection points
+    for (const body of this.bodies) {
+      stateObjects.push(body);
+      if (!(body instanceof Rope)) continue;
+      for (const ropeSeg of body.ropeSegments) {
+        stateObjects.push(ropeSeg, ...ropeSeg.springStates);
+        if (ropeSeg.deflectionPoints.length > 0) slidingSegments.push(ropeSeg);
+      }
+    }
+    const savedStates = stateObjects.map(object => ({ ...object })); // shallow copies suffice, as fields are replaced rather than modified in place
+    const startSlidingSpeeds = slidingSegments.map(ropeSeg => ropeSeg.deflectionPointSlidingSpeeds.slice()); // the only array modified in place
+    const restoreState = () => {
+      for (let i = 0; i < stateObjects.length; i++)
+        Object.assign(stateObjects[i], savedStates[i]);
+      for (let j = 0; j < slidingSegments.length; j++)
+        slidingSegments[j].deflectionPointSlidingSpeeds = startSlidingSpeeds[j].slice();
+    };
+    const slidingAccelerations = (ropeSeg) => ropeSeg.deflectionPoints.map((_, k) => ropeSeg.slidingForces(k).effectiveSlidingForce / ropeSeg.mass);
+    const startPositions = bodies.map(body => body.pos);
+    const startVelocities = bodies.map(body => body.velocity);
+    const accelerations = [bodies.map(body => body.appliedForces.times(1 / body.mass))]; // accelerations at the start and at the intermediate states
+    const velocities = [startVelocities]; // velocities at the start and at the intermediate states
+    const ropeAccelerations = [slidingSegments.map(slidingAccelerations)]; // the same for the sliding of the rope through the deflection points
+    const ropeSpeeds = [startSlidingSpeeds];
+    for (const stageFactor of [0.5, 0.5, 1]) {
+      const lastStage = accelerations.length - 1;
+      restoreState();
+      for (let i = 0; i < bodies.length; i++) {
+        bodies[i].pos = startPositions[i].plus(velocities[lastStage][i].times(stageFactor * delta));
+        bodies[i].velocity = startVelocities[i].plus(accelerations[lastStage][i].times(stageFactor * delta));
+      }
+      for (let j = 0; j < slidingSegments.length; j++) {
+        const ropeSeg = slidingSegments[j];
+        for (let k = 0; k < ropeSeg.deflectionPoints.length; k++) {
+          ropeSeg.deflectionPointSlidingSpeeds[k] = startSlidingSpeeds[j][k] + ropeAccelerations[lastStage][j][k] * stageFactor * delta;
+          ropeSeg.springStates[k].shiftRestLengthTo(ropeSeg.springStates[k+1], ropeSpeeds[lastStage][j][k] * stageFactor * delta);
+        }
+      }
+      this.ensureBarrierConstraints(false);
+      this.clearForces();
+      this.applyForces();
+      accelerations.push(bodies.map(body => body.appliedForces.times(1 / body.mass)));
+      velocities.push(bodies.map(body => body.velocity));
+      ropeAccelerations.push(slidingSegments.map(slidingAccelerations));
+      ropeSpeeds.push(slidingSegments.map(ropeSeg => ropeSeg.deflectionPointSlidingSpeeds.slice()));
+    }
+    restoreState();
+    const weightedAverage = (vectors) => vectors[0].plus(vectors[1].times(2)).plus(vectors[2].times(2)).plus(vectors[3]).times(1 / 6);
+    const weightedScalarAverage = (values) => (values[0] + 2 * values[1] + 2 * values[2] + values[3]) / 6;
+    for (let i = 0; i < bodies.length; i++) {
+      bodies[i].appliedForces = weightedAverage(accelerations.map(stage => stage[i])).times(bodies[i].mass);
+      bodies[i].driftVelocity = weightedAverage(velocities.map(stage => stage[i]));
+    }
+    for (let j = 0; j < slidingSegments.length; j++) {
+      slidingSegments[j].rungeKuttaSliding = {
+        accelerations: slidingSegments[j].deflectionPoints.map((_, k) => weightedScalarAverage(ropeAccelerations.map(stage => stage[j][k]))),
+        speeds: slidingSegments[j].deflectionPoints.map((_, k) => weightedScalarAverage(ropeSpeeds.map(stage => stage[j][k])))
+      };
+    }
+  }
+
   /**
    * Capture a snapshot of the current state of the bodies in this world. Only bodies added with parameter
    * capturing=true (see addBody) will be taken into account.
@@ -243,6 +1013,7 @@ class PhysicsWorld {
     this.bodyCapturing = [];
     this.bodyIdMap.clear();
     this.barriers = [];
+    this.ropeEdges = [];
   }
 }
 
@@ -260,6 +1031,10 @@ class ClimbingFallWorld {
   constructor(setupSettings = null, physicsWorld = null) {
     /** @type {number} the wall angle given as overhanging degrees */
     this.wallAngle = 0;
+    /** @type {V[]} the corner points of the wall profile in the x-y plane, from bottom to top (the first and the last section extend infinitely) */
+    this.wallProfile = [new V(0, 0, 0), new V(0, 1, 0)];
+    /** @type {Obstacle[]} the obstacles of finite size (e.g. volumes or ledges) */
+    this.obstacles = [];
     /** @type {number} height of climber above ground / belay in meters */
     this.startHeight = 10;
     /** @type {number} mass of climber in kilograms */
@@ -273,19 +1048,33 @@ class ClimbingFallWorld {
     this.anchorMass = 0;
     /** @type {Body} the body object representing the belayer / anchor */
     this.anchor = null;
+    /** @type {Body|null} the body object representing the ground anchor to which the belayer is tethered (null if the belayer is not tethered) */
+    this.groundAnchor = null;
+    /** @type {StaticSling|null} the tether between the belayer and the ground anchor (null if the belayer is not tethered) */
+    this.tether = null;
+    /** @type {ProtectionPoint[]} the bolts of the belay station from which the belayer hangs on a multi-pitch route (empty if the belayer does not hang) */
+    this.stationBolts = [];
+    /** @type {StaticSling[]} the legs of sling connecting the bolts of the belay station to the belayer (see stationBolts) */
+    this.stationSlings = [];
 
-    /** @type {number} (rest) length of rope in meters */
+    /** @type {number} (rest) length of rope in meters (of the first rope of a double rope system) */
     this.ropeLength = 1;
+    /** @type {number[]} (rest) lengths of all climbing ropes in meters (see ropes) */
+    this.ropeLengths = [];
     /** @type {number} height of last draw above ground / belay (set to 0 for no deflection point) */
     this.lastDrawHeight = 0;
     /** @type {number} number of rope segments */
     this.ropeSegmentNum = 1;
     
-    /** @type {Body} the body object representing the last deflection point (the draw closest to the climber) */
+    /** @type {Body} the body object representing the last deflection point (the draw closest to the climber, or the Jesus point if no draw is clipped) */
     this.deflectionPoint = null;
+    /** @type {ProtectionPoint|null} the Jesus point through which the rope runs before the first draw on a multi-pitch route (null if there is none) */
+    this.jesusPoint = null;
 
-    /** @type {Rope} the rope object representing the climbing rope */
+    /** @type {Rope} the rope object representing the climbing rope (the first rope of a double rope system) */
     this.rope = null;
+    /** @type {Rope[]} all climbing ropes: a single rope, or two half ropes or twin ropes (see RopeSystem) */
+    this.ropes = [];
 
     /** @type {number} the fall factor for the given setup */
     this.fallFactor = 0;
@@ -298,7 +1087,7 @@ class ClimbingFallWorld {
     /** @type {PhysicsWorld} the physics world containing all the bodies of this climbing fall setup */
     this.physicsWorld = physicsWorld;
 
-    /** @type {number} the maximal simulation step size in seconds */
+    /** @type {number} the maximal simulation step size in seconds (the minimal step size if the physics world uses adaptive step sizes) */
     this.maxStep = 0.01 / 1000;
 
     /** @type {number} the duration of the current simulation in seconds (potentially the partial progress of the currently running simulation) */
@@ -306,23 +1095,58 @@ class ClimbingFallWorld {
     /** @type {boolean} whether the current simulation should be interrupted after the next progress report */
     this.interruptSimulation = false;
 
+    /** @type {number|null} the time in seconds between two falls of a fall series or drop test series (null if only a single fall is simulated) */
+    this.fallInterval = null;
+    /** @type {number} the time in seconds since the start of the fall series */
+    this.fallSeriesTime = 0;
+    /** @type {number} the time in seconds for which the unloaded rope recovers between two falls of a fall series (see resetFall) */
+    this.fallRecoveryTime = 0;
+    /** @type {boolean} whether the drop test of the UIAA 101 (EN 892) standard is simulated instead of a climbing fall (see setupDropTest) */
+    this.dropTest = false;
+    /** @type {number|null} the mechanical energy of the falling mass and the rope at the start of the current drop of a drop test (see checkDropTestEnergy) */
+    this.dropStartEnergy = null;
+
     if (setupSettings !== null && (typeof setupSettings === 'object')) {
       if (this.physicsWorld === null || (typeof this.physicsWorld !== 'object'))
         this.physicsWorld = new PhysicsWorld();
       else
         this.physicsWorld.clear();
 
-      const belayerWallDistance = setupSettings.hasOwnProperty('belayer-wall-distance') ? setupSettings['belayer-wall-distance'] : 0.5;
+      if (setupSettings['drop-test']) { // the drop test has a fixed geometry, which replaces the climbing fall setup
+        this.setupDropTest(setupSettings);
+        this.setupStepping(setupSettings, DROP_TEST_MAX_STEP_PER_SEGMENT_CROSSING * this.rope.defaultSegmentLength / this.rope.stretchWaveSpeed);
+        return;
+      }
+
+      const random = setupSettings.hasOwnProperty('random-seed') ? seededRandom(setupSettings['random-seed']) : Math.random;
+      const hangingBelay = setupSettings['multi-pitch'] && !setupSettings['fixed-anchor']; // the belayer hangs from a belay station
+      const groundPresent = setupSettings['ground-present'] && !setupSettings['multi-pitch'];
+      let belayerWallDistance = setupSettings.hasOwnProperty('belayer-wall-distance') ? setupSettings['belayer-wall-distance'] : 0.5;
       const climberWallDistance = setupSettings.hasOwnProperty('climber-wall-distance') ? setupSettings['climber-wall-distance'] : 0.3;
 
       this.wallAngle = setupSettings['wall-angle']; // overhanging degrees
+      const wallSections = parseWallProfile(setupSettings.hasOwnProperty('wall-profile') ? setupSettings['wall-profile'] : '');
+      if (wallSections.length === 0)
+        wallSections.push({ length: 1, angle: this.wallAngle });
+      this.wallProfile = [new V(-belayerWallDistance, 0, 0)]; // the wall profile starts at the height of the belay
+      for (const section of wallSections) {
+        const angle = Math.PI * section.angle / 180;
+        this.wallProfile.push(this.wallProfile[this.wallProfile.length - 1].plus(new V(Math.sin(angle), Math.cos(angle), 0).times(section.length)));
+      }
+      if (hangingBelay) { // the belayer hangs straight below the bolts of the belay station, unless the wall below them leans back
+        const stationWallX = this.wallAt(setupSettings.hasOwnProperty('belay-station-height') ? setupSettings['belay-station-height'] : 0.6).x + belayerWallDistance;
+        const shift = belayerWallDistance - BELAY_STATION_WALL_DISTANCE - Math.max(0, stationWallX);
+        this.wallProfile = this.wallProfile.map(point => point.plus(new V(shift, 0, 0)));
+        belayerWallDistance -= shift;
+      }
 
       this.startHeight = setupSettings['climber-height']; // height of climber above ground / belay
       this.climberMass = setupSettings['climber-weight'];
-      this.climber = new Body(
-        this.startHeight * Math.tan(Math.PI * this.wallAngle / 180) + (climberWallDistance - belayerWallDistance) - 0.01 + 0.02 * Math.random(),
+      const climberClass = setupSettings['fall-series'] ? FallSeriesMass : Body; // the climber records the results of a fall series
+      this.climber = new climberClass(
+        this.wallAt(this.startHeight).x + climberWallDistance - 0.01 + 0.02 * random(),
         this.startHeight,
-        setupSettings['climber-sideways'] - 0.01 + 0.02 * Math.random(),
+        setupSettings['climber-sideways'] - 0.01 + 0.02 * random(),
         this.climberMass,
         'climber'
       );
@@ -332,89 +1156,508 @@ class ClimbingFallWorld {
 
       this.anchorHeight = 0;
       this.anchorMass = setupSettings['fixed-anchor'] ? 0 : setupSettings['belayer-weight'];
-      this.anchor = new Body(-0.01 + 0.02 * Math.random(), this.anchorHeight, -0.01 + 0.02 * Math.random(), this.anchorMass, 'belayer');
+      if (!setupSettings['fixed-anchor'] && groundPresent) { // the belayer stands on the ground
+        const towardsWall = new V(-1, 0, 0); // the wall is at negative x coordinates (see wall barrier below)
+        this.anchor = new StandingBelayer(-0.01 + 0.02 * random(), this.anchorHeight, -0.01 + 0.02 * random(), this.anchorMass, setupSettings['ground-level'], towardsWall);
+      } else {
+        this.anchor = new Body(-0.01 + 0.02 * random(), this.anchorHeight, -0.01 + 0.02 * random(), this.anchorMass, 'belayer');
+      }
       this.physicsWorld.addBody(this.anchor, false, true);
       this.anchor.drawingColor = new Color(77, 136, 78);
+      if (hangingBelay)
+        this.addBelayStation(setupSettings, random);
+      else if (!setupSettings['fixed-anchor'] && setupSettings['belayer-fixed'])
+        this.addBelayerTether(setupSettings);
 
-      this.ropeLength = 0;
       const deflectionPoints = [];
-      let lastPos = this.anchor.pos;
       for (let i = 0; i < setupSettings['draw-number']; i++) {
         const drawWallDistance = setupSettings['draw-slings'] ? 0 : (setupSettings.hasOwnProperty(`draw-${i}-wall-distance`) ? setupSettings[`draw-${i}-wall-distance`] : 0.1);
-        const slingLength = 0.2;
-        const boltX = setupSettings[`draw-${i}-height`] * Math.tan(Math.PI * this.wallAngle / 180) + (drawWallDistance - belayerWallDistance) - 0.01 + 0.02 * Math.random();
+        const slingLength = setupSettings.hasOwnProperty(`draw-${i}-sling-length`) ? setupSettings[`draw-${i}-sling-length`] : 0.2;
+        const slingMaterial = setupSettings.hasOwnProperty(`draw-${i}-sling-material`) ? setupSettings[`draw-${i}-sling-material`] : 'dyneema';
+        if (!SLING_MATERIALS.hasOwnProperty(slingMaterial))
+          throw new Error(`Invalid sling material of draw ${i + 1}: ${slingMaterial}`);
+        const wall = this.wallAt(setupSettings[`draw-${i}-height`]);
+        const boltX = wall.x + drawWallDistance - 0.01 + 0.02 * random();
         const boltY = setupSettings[`draw-${i}-height`];
-        const boltZ = setupSettings[`draw-${i}-sideways`] - 0.01 + 0.02 * Math.random();
-        const bolt = new Body(boltX, boltY, boltZ, 0, 'bolt');
+        const boltZ = setupSettings[`draw-${i}-sideways`] - 0.01 + 0.02 * random();
+        const bolt = new ProtectionPoint(boltX, boltY, boltZ, 0, 'bolt', i, 'bolt');
         const carabinerPos = setupSettings['draw-slings']
           ? (
-            (this.wallAngle < 0)
-            ? bolt.pos.plus(new V(Math.cos(Math.PI * (90 + this.wallAngle) / 180) * slingLength, -Math.sin(Math.PI * (90 + this.wallAngle) / 180) * slingLength, 0))
+            (wall.angle < 0)
+            ? bolt.pos.plus(new V(Math.cos(Math.PI * (90 + wall.angle) / 180) * slingLength, -Math.sin(Math.PI * (90 + wall.angle) / 180) * slingLength, 0))
             : bolt.pos.plus(new V(0, -slingLength, 0))
           ) : bolt.pos;
-        bolt.drawingColor = new Color(153, 153, 153);
+        const shade = (setupSettings['draw-number'] > 1) ? 0.6 * (setupSettings['draw-number'] - 1 - i) / (setupSettings['draw-number'] - 1) : 0; // lower draws are drawn in lighter colors
+        bolt.drawingColor = new Color(153, 153, 153).darken(shade);
         bolt.drawingRadius = 0.04; // 4 cm
-        bolt.ignoreInGraphs = true;
-        const nDeflPt = new Body(...carabinerPos.arr, setupSettings['draw-slings'] ? 0.04 : 0, 'quickdraw');
+        const nDeflPt = new ProtectionPoint(...carabinerPos.arr, setupSettings['draw-slings'] ? 0.04 : 0, 'quickdraw', i, 'carabiner');
         this.physicsWorld.addBody(nDeflPt, !setupSettings['draw-slings'], true); // time-stepping of deflection points is not done automatically by the rope, but if the deflection point is also a sling end, then sling time-stepping takes care of it
-        if (setupSettings.hasOwnProperty('friction-coefficient'))
+        if (setupSettings.hasOwnProperty(`draw-${i}-friction`))
+          nDeflPt.frictionCoefficient = setupSettings[`draw-${i}-friction`];
+        else if (setupSettings.hasOwnProperty('friction-coefficient'))
           nDeflPt.frictionCoefficient = setupSettings['friction-coefficient'];
-        nDeflPt.drawingColor = new Color(52, 90, 93);
-        if (i != setupSettings['draw-number'] - 1)
-          nDeflPt.ignoreInGraphs = true;
+        nDeflPt.drawingColor = new Color(52, 90, 93).lighten(shade);
+        const protection = setupSettings['draw-slings'] ? bolt : nDeflPt; // the piece which holds the draw on the wall
+        if (setupSettings['draw-slings']) nDeflPt.anchor = bolt;
+        if (setupSettings.hasOwnProperty(`draw-${i}-strength`))
+          protection.strength = setupSettings[`draw-${i}-strength`] * 1000;
+        if (setupSettings.hasOwnProperty(`draw-${i}-side-strength`))
+          protection.sideStrength = setupSettings[`draw-${i}-side-strength`] * 1000;
         deflectionPoints.push(nDeflPt);
-        const segLen = nDeflPt.pos.minus(lastPos).norm();
-        this.ropeLength += segLen;
-        lastPos = nDeflPt.pos;
 
         if (setupSettings['draw-slings']) {
           this.physicsWorld.addBody(bolt, false, true); // time-stepping of sling ends happens automatically through sling time-stepping
-          const sling = new StaticSling(slingLength, 3, bolt, nDeflPt);
+          const slingSettings = { elasticityConstant: SLING_MATERIALS[slingMaterial].elasticityConstant };
+          const sling = setupSettings[`draw-${i}-absorber`]
+            ? new EnergyAbsorber(slingLength, 3, bolt, nDeflPt, SLING_MATERIALS[slingMaterial].maxStrain * slingLength, slingSettings,
+              setupSettings.hasOwnProperty('absorber-tearing-force') ? setupSettings['absorber-tearing-force'] : 2000,
+              setupSettings.hasOwnProperty('absorber-tear-length') ? setupSettings['absorber-tear-length'] : 0.4, i)
+            : new StaticSling(slingLength, 3, bolt, nDeflPt, SLING_MATERIALS[slingMaterial].maxStrain * slingLength, slingSettings);
           sling.drawingColor = new Color(102, 102, 102);
           sling.ignoreInGraphs = true;
           this.physicsWorld.addBody(sling, true, true);
         }
       }
-      const finalSegLen = this.climber.pos.minus(lastPos).norm();
-      this.ropeLength += finalSegLen + (setupSettings.hasOwnProperty('slack') ? setupSettings['slack'] : 0.1); // 10 cm slack
       this.ropeSegmentNum = setupSettings['rope-segments'];
       // this.climber.mass = (this.ropeLength * 0.062) / (this.ropeSegmentNum - 1); this.climberMass = this.climber.mass; // no climber at the end of the rope
 
-      this.deflectionPoint = (setupSettings['draw-number'] > 0) ? deflectionPoints[deflectionPoints.length - 1] : null;
+      if (setupSettings['multi-pitch'] && setupSettings['jesus-point']) {
+        const jesusPointHeight = setupSettings.hasOwnProperty('jesus-point-height') ? setupSettings['jesus-point-height'] : 1.5;
+        this.jesusPoint = new ProtectionPoint(
+          this.wallAt(jesusPointHeight).x + BELAY_STATION_WALL_DISTANCE - 0.01 + 0.02 * random(),
+          jesusPointHeight,
+          -0.01 + 0.02 * random(),
+          0,
+          'Jesus point',
+          null,
+          'carabiner',
+          'jesus-point'
+        );
+        this.physicsWorld.addBody(this.jesusPoint, true, true);
+        if (setupSettings.hasOwnProperty('friction-coefficient'))
+          this.jesusPoint.frictionCoefficient = setupSettings['friction-coefficient'];
+        this.jesusPoint.drawingColor = new Color(52, 90, 93);
+      }
+
+      this.deflectionPoint = (setupSettings['draw-number'] > 0) ? deflectionPoints[deflectionPoints.length - 1] : this.jesusPoint;
       // this.deflectionPoint.frictionCoefficient = 0;
-      this.lastDrawHeight = (setupSettings['draw-number'] > 0) ? this.deflectionPoint.pos.y : 0; // height of last draw above ground / belay
-
-      this.rope = new Rope(this.ropeLength, this.ropeSegmentNum, this.anchor, this.climber, {
-        elasticityConstant: setupSettings['elasticity-constant'] / 1000,
-        weightPerMeter: setupSettings['rope-weight'],
-        ropeModel: setupSettings['rope-model'],
-        bendDamping: setupSettings['rope-bend-damping'],
-        stretchDamping: setupSettings['rope-stretch-damping']
-      }, ...deflectionPoints);
-      this.physicsWorld.addBody(this.rope, true, true);
-      this.rope.drawingColor = new Color(241, 160, 45);
-      
-      this.physicsWorld.addBarrier(new V(Math.cos(Math.PI * this.wallAngle / 180), -Math.sin(Math.PI * this.wallAngle / 180), 0), new V(-belayerWallDistance, 0, 0), 'wall');
-      if (setupSettings['ground-present'])
-        this.physicsWorld.addBarrier(new V(0, 1, 0), new V(0, setupSettings['ground-level'], 0), 'floor');
+      this.lastDrawHeight = (this.deflectionPoint !== null) ? this.deflectionPoint.pos.y : 0; // height of last draw above ground / belay
 
-      if (this.startHeight > this.lastDrawHeight)
-        this.fallFactor = 2 * (this.startHeight - this.lastDrawHeight) / this.ropeLength;
+      this.addRopes(setupSettings, deflectionPoints);
+      const brakeHandForce = setupSettings.hasOwnProperty('brake-hand-force') ? setupSettings['brake-hand-force'] : 200;
+      const belayDeviceFriction = setupSettings.hasOwnProperty('belay-device-friction') ? setupSettings['belay-device-friction'] : 0.3;
+      const belayActions = parseBelayActions(setupSettings.hasOwnProperty('belay-actions') ? setupSettings['belay-actions'] : '');
+      const reactionDelay = (setupSettings.hasOwnProperty('belay-reaction-delay') ? setupSettings['belay-reaction-delay'] : 0) / 1000;
+      for (const rope of this.ropes) { // every rope runs through the belay device separately
+        if (setupSettings['belay-device'] === 'tube') {
+          rope.belayDevice = new BelayDevice(brakeHandForce, belayDeviceFriction);
+        } else if (setupSettings['belay-device'] === 'assisted-braking') {
+          rope.belayDevice = new AssistedBrakingDevice(
+            brakeHandForce,
+            belayDeviceFriction,
+            setupSettings.hasOwnProperty('lock-speed') ? setupSettings['lock-speed'] : 0.5,
+            setupSettings.hasOwnProperty('lock-tension') ? setupSettings['lock-tension'] : 2000,
+            (setupSettings.hasOwnProperty('lock-delay') ? setupSettings['lock-delay'] : 10) / 1000,
+            setupSettings.hasOwnProperty('slip-before-lock') ? setupSettings['slip-before-lock'] : 0.05,
+            setupSettings['cam-held-open'] ? setupSettings['cam-release-time'] : 0
+          );
+        }
+        if (belayActions.length > 0) {
+          rope.belayActions = new BelayActionTimeline(belayActions, reactionDelay, new V(-1, 0, 0));
+          rope.belayActions.movesBelayer = (rope === this.rope); // jumps and steps are applied to the belayer only once
+        }
+      }
+      
+      const wallFriction = setupSettings.hasOwnProperty('wall-friction') ? setupSettings['wall-friction'] : 0;
+      const wallRestitution = setupSettings.hasOwnProperty('wall-restitution') ? setupSettings['wall-restitution'] : 0;
+      if (wallSections.length === 1) // a plane wall
+        this.physicsWorld.addBarrier(new V(Math.cos(Math.PI * wallSections[0].angle / 180), -Math.sin(Math.PI * wallSections[0].angle / 180), 0), new V(-belayerWallDistance, 0, 0), 'wall',
+          wallFriction, wallRestitution);
       else
-        this.fallFactor = 0;
+        this.physicsWorld.addProfileBarrier(this.wallProfile, 'wall', wallFriction, wallRestitution);
+      if (setupSettings.hasOwnProperty('rope-edge-contact') && setupSettings['rope-edge-contact']) {
+        for (const rope of this.ropes)
+          rope.contactFriction = setupSettings.hasOwnProperty('rope-wall-friction') ? setupSettings['rope-wall-friction'] : 0.3;
+      }
+      for (const obstacle of parseObstacles(setupSettings.hasOwnProperty('obstacles') ? setupSettings['obstacles'] : '')) {
+        const center = new V(this.wallAt(obstacle.height).x + obstacle.wallDistance, obstacle.height, obstacle.sideways);
+        const shape = ConvexPolyhedron.box(center, new V(...obstacle.size), obstacle.rotation);
+        const nObstacle = new Obstacle(shape, 'obstacle', wallFriction, wallRestitution);
+        this.physicsWorld.addBody(nObstacle, false, true);
+        this.obstacles.push(nObstacle);
+      }
+      if (groundPresent)
+        this.physicsWorld.addBarrier(new V(0, 1, 0), new V(0, setupSettings['ground-level'], 0), 'floor',
+          setupSettings.hasOwnProperty('ground-friction') ? setupSettings['ground-friction'] : 0,
+          setupSettings.hasOwnProperty('ground-restitution') ? setupSettings['ground-restitution'] : 0);
+
+      this.fallFactor = this.computeFallFactor();
 
       this.gravityOnClimber = GRAVITY_OF_EARTH * this.climberMass;
       this.gravityOnBelayer = GRAVITY_OF_EARTH * this.anchorMass;
 
-      this.maxStep = setupSettings['physics-step-size'] / 1000;
+      if (setupSettings['fall-series'])
+        this.setupFallSeries(setupSettings, setupSettings.hasOwnProperty('fall-series-interval') ? setupSettings['fall-series-interval'] : 4);
+      this.setupStepping(setupSettings);
     }
   }
-  
+
+  /**
+   * Add the climbing ropes from the belayer over the draws to the climber (see RopeSystem): a single rope through all draws, two half ropes
+   * which are clipped to their own draws (see draw-i-rope in ClimbingFallSetup), or two twin ropes which are both clipped to every draw.
+   * The second rope uses the parameters with the prefix 'second-' where given (see ropeSettings). Every rope has its own slack, and both
+   * ropes of a double rope system are tied to the same climber and belayer, which are then time-stepped by the physics world. All ropes
+   * run through the Jesus point (if any) before the first draw.
+   * @param {ClimbingFallSetup} setupSettings the setup parameters for the climbing fall
+   * @param {ProtectionPoint[]} deflectionPoints the carabiners of all draws, from the lowest to the highest draw
+   */
+  addRopes(setupSettings, deflectionPoints) {
+    const ropeSystem = setupSettings.hasOwnProperty('rope-system') ? setupSettings['rope-system'] : 'single';
+    let ropeDraws; // the draws to which every rope is clipped
+    if (ropeSystem === 'single') {
+      ropeDraws = [deflectionPoints];
+    } else if (ropeSystem === 'twin') {
+      ropeDraws = [deflectionPoints, deflectionPoints];
+    } else if (ropeSystem === 'half') {
+      ropeDraws = [[], []];
+      for (let i = 0; i < deflectionPoints.length; i++) {
+        const ropeNumber = setupSettings.hasOwnProperty(`draw-${i}-rope`) ? setupSettings[`draw-${i}-rope`] : (i % 2) + 1;
+        if (ropeNumber !== 1 && ropeNumber !== 2)
+          throw new Error(`Invalid rope of draw ${i + 1}: ${ropeNumber}`);
+        ropeDraws[ropeNumber - 1].push(deflectionPoints[i]);
+      }
+    } else {
+      throw new Error(`Invalid rope system: ${ropeSystem}`);
+    }
+    const slack = setupSettings.hasOwnProperty('slack') ? setupSettings['slack'] : 0.1; // 10 cm slack
+    const ropeColors = [new Color(241, 160, 45), new Color(45, 126, 241)];
+    for (let k = 0; k < ropeDraws.length; k++) {
+      if (this.jesusPoint !== null)
+        ropeDraws[k] = [this.jesusPoint, ...ropeDraws[k]];
+      const path = [this.anchor, ...ropeDraws[k], this.climber];
+      let ropeLength = slack;
+      for (let i = 1; i < path.length; i++)
+        ropeLength += path[i].pos.minus(path[i - 1].pos).norm();
+      const rope = new Rope(ropeLength, this.ropeSegmentNum, this.anchor, this.climber, ropeSettings(setupSettings, (k === 0) ? '' : 'second-'), ...ropeDraws[k]);
+      if (ropeDraws.length > 1) {
+        rope.name = `rope ${k + 1}`;
+        rope.endsHandledSeparately = true;
+      }
+      this.physicsWorld.addBody(rope, true, true);
+      rope.drawingColor = ropeColors[k];
+      this.ropes.push(rope);
+      this.ropeLengths.push(ropeLength);
+    }
+    if (this.ropes.length > 1) { // overwrites the flags set when adding the ropes
+      this.physicsWorld.addBody(this.climber, true, true);
+      this.physicsWorld.addBody(this.anchor, true, true);
+    }
+    this.rope = this.ropes[0];
+    this.ropeLength = this.ropeLengths[0];
+  }
+
+  /**
+   * Determine the fall factor, i.e., the fall height divided by the length of the rope which catches the fall. The climber falls past
+   * the last piece clipped to the rope (a draw or the Jesus point), or past the belay if no piece is clipped, which on a multi-pitch route
+   * results in a fall factor of up to 2. With two ropes, the rope whose last piece is highest catches the fall first and determines the
+   * fall factor. The fall height is approximated as twice the height of the climber above that piece (ignoring slack and sideways offsets).
+   * @return {number} the fall factor (0 if the climber starts below the last clipped piece)
+   */
+  computeFallFactor() {
+    let pivotHeight = -Infinity; // height of the piece which the climber falls past
+    let ropeLength = this.ropeLength;
+    for (let r = 0; r < this.ropes.length; r++) {
+      const clippedPieces = this.ropes[r].ropeSegments.flatMap(ropeSeg => ropeSeg.deflectionPoints);
+      const height = (clippedPieces.length > 0) ? clippedPieces[clippedPieces.length - 1].pos.y : this.anchor.pos.y;
+      if (height > pivotHeight) {
+        pivotHeight = height;
+        ropeLength = this.ropeLengths[r];
+      }
+    }
+    if (this.startHeight <= pivotHeight) return 0;
+    return 2 * (this.startHeight - pivotHeight) / ropeLength;
+  }
+
+  /**
+   * Set the step size and the integrator of the simulation
+   * @param {ClimbingFallSetup} setupSettings the setup parameters for the climbing fall
+   * @param {number} [stepLimit=Infinity] the largest step size in seconds for which the setup remains stable (limits the configured step sizes)
+   */
+  setupStepping(setupSettings, stepLimit = Infinity) {
+    this.maxStep = Math.min(setupSettings['physics-step-size'] / 1000, stepLimit);
+    this.physicsWorld.integrator = setupSettings.hasOwnProperty('integrator') ? setupSettings['integrator'] : 'semi-implicit-euler';
+    if (setupSettings['adaptive-step-size']) {
+      this.physicsWorld.adaptiveStepping = {
+        minStep: this.maxStep,
+        maxStep: Math.max(this.maxStep, Math.min((setupSettings.hasOwnProperty('max-step-size') ? setupSettings['max-step-size'] : 1) / 1000, stepLimit)),
+        tolerance: (setupSettings.hasOwnProperty('step-error-tolerance') ? setupSettings['step-error-tolerance'] : 1) / 1e6
+      };
+    } else {
+      this.physicsWorld.adaptiveStepping = null;
+    }
+  }
+
+  /**
+   * Set up the drop test of the UIAA 101 (EN 892) standard (see DROP_TEST_GEOMETRY): the rope is clamped at a fixed anchor, runs
+   * horizontally over an edge, and the mass is dropped from above the edge, with a fall factor of about 1.77. There is neither a wall
+   * nor a ground. A new drop starts every drop-test-interval seconds, until the rope does not hold a drop (see FallSeriesMass).
+   * @param {ClimbingFallSetup} setupSettings the setup parameters for the drop test
+   */
+  setupDropTest(setupSettings) {
+    const { anchorEdgeDistance, dropHeight, edgeRadius } = DROP_TEST_GEOMETRY;
+    this.dropTest = true;
+    this.anchorHeight = 0;
+    this.anchorMass = 0;
+    this.anchor = new Body(0, this.anchorHeight, 0, this.anchorMass, 'belayer');
+    this.physicsWorld.addBody(this.anchor, false, true);
+    this.anchor.drawingColor = new Color(77, 136, 78);
+
+    const edge = new ProtectionPoint(anchorEdgeDistance, 0, 0, 0, 'edge', 0, 'carabiner');
+    this.physicsWorld.addBody(edge, true, true);
+    if (setupSettings.hasOwnProperty('friction-coefficient'))
+      edge.frictionCoefficient = setupSettings['friction-coefficient'];
+    edge.drawingColor = new Color(52, 90, 93);
+    this.deflectionPoint = edge;
+    this.lastDrawHeight = 0;
+
+    this.startHeight = dropHeight;
+    this.climberMass = setupSettings.hasOwnProperty('climber-weight') ? setupSettings['climber-weight'] : 80;
+    const ropeStrength = setupSettings.hasOwnProperty('drop-test-rope-strength') ? setupSettings['drop-test-rope-strength'] * 1000 : Infinity;
+    this.climber = new FallSeriesMass(anchorEdgeDistance + edgeRadius, this.startHeight, 0, this.climberMass, 'climber', ropeStrength);
+    this.physicsWorld.addBody(this.climber, false, true);
+    this.climber.drawingColor = new Color(151, 95, 96);
+
+    this.ropeLength = anchorEdgeDistance + this.climber.pos.minus(edge.pos).norm(); // the rope is tight
+    this.ropeSegmentNum = setupSettings['rope-segments'];
+    this.rope = new Rope(this.ropeLength, this.ropeSegmentNum, this.anchor, this.climber, ropeSettings(setupSettings), edge);
+    this.physicsWorld.addBody(this.rope, true, true);
+    this.rope.drawingColor = new Color(241, 160, 45);
+    this.ropes = [this.rope];
+    this.ropeLengths = [this.ropeLength];
+
+    this.fallFactor = 2 * this.startHeight / this.ropeLength;
+    this.gravityOnClimber = GRAVITY_OF_EARTH * this.climberMass;
+    this.gravityOnBelayer = 0;
+    this.setupFallSeries(setupSettings, setupSettings.hasOwnProperty('drop-test-interval') ? setupSettings['drop-test-interval'] : 3);
+  }
+
+  /**
+   * Set up a series of falls on the same rope (see fallSeriesTimeStep), starting from the current positions of the climber and the belayer
+   * @param {ClimbingFallSetup} setupSettings the setup parameters for the climbing fall
+   * @param {number} fallInterval the time in seconds between two falls
+   */
+  setupFallSeries(setupSettings, fallInterval) {
+    this.fallInterval = fallInterval;
+    this.fallSeriesTime = 0;
+    this.fallRecoveryTime = setupSettings.hasOwnProperty('fall-recovery-time') ? setupSettings['fall-recovery-time'] : 0;
+    /** @type {V} the position of the climber at the start of every fall */
+    this.climberStartPos = this.climber.pos;
+    /** @type {V} the position of the belayer at the start of every fall */
+    this.anchorStartPos = this.anchor.pos;
+  }
+
+  /**
+   * Record the measurements of the current fall of a fall series, and start the next fall once the fall interval has passed (if the
+   * rope has held all falls so far). Called after every time step; does nothing if only a single fall is simulated.
+   * @param {number} delta the length of the time step in seconds
+   */
+  fallSeriesTimeStep(delta) {
+    if (this.fallInterval === null) return;
+    // with two ropes, the forces of both ropes add up (the ropes pull in nearly the same direction), and the larger elongation is recorded
+    let impactForce = 0, anchorTension = 0, elongation = 0;
+    for (const rope of this.ropes) {
+      impactForce += rope.currentClimberStretching;
+      anchorTension += rope.ropeSegments[0].springStates[0].tension;
+      elongation = Math.max(elongation, (rope.currentLength - rope.restLength) / rope.restLength);
+    }
+    this.climber.recordFall(impactForce, anchorTension, elongation);
+    if (this.dropTest)
+      this.checkDropTestEnergy();
+    this.fallSeriesTime += delta;
+    if (this.fallSeriesTime >= this.climber.fallResults.length * this.fallInterval && this.climber.fallsHeld === this.climber.fallResults.length) {
+      this.resetFall();
+      this.climber.startFall();
+      this.dropStartEnergy = null;
+    }
+  }
+
+  /**
+   * Make sure that the simulation of the drop test is still numerically stable: the falling mass and the rope form a closed system (the
+   * anchor and the edge are fixed, and the edge friction, the rope damping and the rope hysteresis only dissipate energy), so their
+   * mechanical energy must not grow during a drop (see DROP_TEST_ENERGY_TOLERANCE). Called after every time step of a drop test.
+   * @throws {Error} if the energy has grown, since the results of the drop would be meaningless
+   */
+  checkDropTestEnergy() {
+    const energy = this.climber.currentKineticEnergy + this.climber.currentPotentialEnergy
+      + this.rope.currentKineticEnergy + this.rope.currentPotentialEnergy + this.rope.currentElasticEnergy;
+    if (this.dropStartEnergy === null) {
+      this.dropStartEnergy = energy;
+      return;
+    }
+    const energyGain = energy - this.dropStartEnergy;
+    if (energyGain > DROP_TEST_ENERGY_TOLERANCE * this.gravityOnClimber * this.startHeight)
+      throw new Error(`Numerical instability in drop ${this.climber.fallResults.length} (the energy grew by ${energyGain.toFixed(0)} J), decrease the step size or the number of rope segments`);
+  }
+
+  /**
+   * Put the climber (and the belayer) back at their start positions for the next fall of a fall series. The belayer takes in the rope
+   * (both ropes of a double rope system) to its original length, and the rope is laid out straight from the belayer over all its
+   * deflection points to the climber (evenly stretched, see Rope.slideToRestLengths), with all rope bodies at rest. The internal state
+   * of the rope (e.g. the viscous extension of a viscoelastic rope model) is kept, except for its recovery during the fall recovery
+   * time (see Rope.recover).
+   */
+  resetFall() {
+    this.climber.pos = this.climberStartPos;
+    this.climber.velocity = new V(0, 0, 0);
+    this.anchor.pos = this.anchorStartPos;
+    this.anchor.velocity = new V(0, 0, 0);
+    if (this.anchor instanceof StandingBelayer)
+      this.anchor.grounded = (this.anchor.pos.y <= this.anchor.groundHeight + PHYSICS_GLOBALS.EPS);
+    for (let r = 0; r < this.ropes.length; r++) {
+      const rope = this.ropes[r];
+      if (rope.belayDevice !== null)
+        rope.belayDevice.reset();
+      if (Math.abs(rope.restLength - this.ropeLengths[r]) > PHYSICS_GLOBALS.EPS)
+        rope.feedRope(this.ropeLengths[r] - rope.restLength);
+      rope.recover(this.fallRecoveryTime);
+      // the rope slides back through the deflection points, so that it is evenly stretched along its path (as at the start of the first fall)
+      const path = [this.anchor, ...rope.ropeSegments.flatMap(ropeSeg => ropeSeg.deflectionPoints), this.climber];
+      const pathLengths = [0];
+      for (let i = 1; i < path.length; i++)
+        pathLengths.push(pathLengths[i - 1] + path[i].pos.minus(path[i - 1].pos).norm());
+      const totalPathLength = pathLengths[pathLengths.length - 1];
+      rope.slideToRestLengths(pathLengths.slice(1, -1).map(pathLength => rope.restLength * pathLength / totalPathLength));
+      // cumulative rest lengths (from the belayer) of the rope joints and of the deflection points
+      const joints = [];
+      const fixedPoints = [{ pos: this.anchor.pos, restLength: 0 }];
+      let restLength = 0;
+      for (const ropeSeg of rope.ropeSegments) {
+        for (let i = 0; i < ropeSeg.springStates.length; i++) {
+          restLength += ropeSeg.springStates[i].restLength;
+          if (i < ropeSeg.deflectionPoints.length) fixedPoints.push({ pos: ropeSeg.deflectionPoints[i].pos, restLength });
+          else if (ropeSeg.followingSegment !== null) joints.push({ body: ropeSeg.bodyB, restLength });
+        }
+        ropeSeg.deflectionPointSlidingSpeeds.fill(0);
+      }
+      fixedPoints.push({ pos: this.climber.pos, restLength });
+      let k = 0; // index of the fixed point before the current joint
+      for (const joint of joints) {
+        while (k + 2 < fixedPoints.length && fixedPoints[k + 1].restLength <= joint.restLength) k++;
+        const [before, after] = [fixedPoints[k], fixedPoints[k + 1]];
+        const fraction = (after.restLength > before.restLength) ? (joint.restLength - before.restLength) / (after.restLength - before.restLength) : 0;
+        joint.body.pos = before.pos.plus(after.pos.minus(before.pos).times(fraction));
+        joint.body.velocity = new V(0, 0, 0);
+      }
+    }
+    this.physicsWorld.clearForces(); // forces for the new positions
+    this.physicsWorld.applyForces();
+  }
+
+  /**
+   * Find the position of the wall surface at a given height (the first and the last section of the wall profile extend infinitely).
+   * If horizontal sections (roofs or ledges) lie at exactly this height, the outermost point is used.
+   * @param {number} height the height above the belay in meters
+   * @return {{x: number, angle: number}} the x-coordinate of the wall surface at this height, and the angle of the wall there (in overhanging degrees)
+   */
+  wallAt(height) {
+    let wall = null;
+    for (let i = 0; i + 1 < this.wallProfile.length; i++) {
+      const start = this.wallProfile[i];
+      const sectionVec = this.wallProfile[i + 1].minus(start);
+      const bottom = (i === 0) ? -Infinity : start.y;
+      const top = (i + 2 === this.wallProfile.length) ? Infinity : start.y + sectionVec.y;
+      if (height < bottom - PHYSICS_GLOBALS.EPS || height > top + PHYSICS_GLOBALS.EPS) continue;
+      const x = (sectionVec.y <= PHYSICS_GLOBALS.EPS)
+        ? Math.max(start.x, start.x + sectionVec.x) // horizontal section (roof or ledge)
+        : start.x + sectionVec.x * (height - start.y) / sectionVec.y;
+      if (wall === null || x > wall.x)
+        wall = { x, angle: 180 * Math.atan2(sectionVec.x, sectionVec.y) / Math.PI };
+    }
+    if (wall === null) { // above a horizontal last section
+      const top = this.wallProfile[this.wallProfile.length - 1];
+      return { x: top.x, angle: 0 };
+    }
+    return wall;
+  }
+
+  /**
+   * Tether the belayer to an anchor on the ground. The ground anchor is placed behind the belayer (on the side facing away from
+   * the wall), such that the tether is just taut at the beginning: the belayer can then only be lifted off by moving towards the wall
+   * on a circle around the ground anchor, or by stretching the tether. The tether is a sling which stretches according to its stiffness
+   * only (so that the force on the ground anchor is reported correctly). It time-steps neither the belayer nor the ground anchor, which
+   * are time-stepped by the rope and by the physics world, respectively.
+   * @param {ClimbingFallSetup} setupSettings the setup parameters for the climbing fall
+   */
+  addBelayerTether(setupSettings) {
+    const tetherLength = setupSettings.hasOwnProperty('tether-length') ? setupSettings['tether-length'] : 0.6;
+    const tetherStiffness = (setupSettings.hasOwnProperty('tether-stiffness') ? setupSettings['tether-stiffness'] : 20) * 1000; // in N/m
+    const groundHeight = setupSettings['ground-present'] ? setupSettings['ground-level'] : this.anchorHeight;
+    const heightDiff = this.anchorHeight - groundHeight;
+    // horizontal distance between belayer and ground anchor, such that the tether is just taut at the beginning (a compressed tether would push the belayer away)
+    const horizontalDistance = Math.sqrt(Math.max(0, tetherLength * tetherLength - heightDiff * heightDiff));
+    this.groundAnchor = new Body(this.anchor.pos.x + horizontalDistance, groundHeight, this.anchor.pos.z, 0, 'ground anchor');
+    this.groundAnchor.drawingColor = new Color(153, 153, 153);
+    this.groundAnchor.drawingRadius = 0.04; // 4 cm
+    this.tether = new StaticSling(tetherLength, 3, this.groundAnchor, this.anchor, Infinity, {
+      elasticityConstant: 1 / (tetherLength * tetherStiffness) // the stiffness of a spring is 1 / (rest length * elasticity constant)
+    });
+    this.tether.name = 'tether';
+    this.tether.drawingColor = new Color(102, 102, 102);
+    this.tether.ignoreInGraphs = true;
+    this.tether.endsHandledSeparately = true;
+    this.physicsWorld.addBody(this.tether, true, true);
+    this.physicsWorld.addBody(this.groundAnchor, true, true); // overwrites the flags set when adding the tether
+  }
+
+  /**
+   * Hang the belayer from the belay station of a multi-pitch route: two bolts in the wall above the belayer, side by side, each connected
+   * to the belayer by a leg of sling which is just taut at the beginning. A fall past the belay loads the bolts through the legs, while a
+   * fall into a Jesus point or a draw pulls the belayer up and unloads them. Like the tether (see addBelayerTether), the legs time-step
+   * neither the belayer nor the bolts, which are time-stepped by the rope and by the physics world, respectively.
+   * @param {ClimbingFallSetup} setupSettings the setup parameters for the climbing fall
+   * @param {() => number} random the random number generator for the small offsets of the bolts
+   */
+  addBelayStation(setupSettings, random) {
+    const stationHeight = setupSettings.hasOwnProperty('belay-station-height') ? setupSettings['belay-station-height'] : 0.6;
+    const boltSpacing = setupSettings.hasOwnProperty('belay-station-bolt-spacing') ? setupSettings['belay-station-bolt-spacing'] : 0.3;
+    const slingMaterial = setupSettings.hasOwnProperty('belay-station-sling-material') ? setupSettings['belay-station-sling-material'] : 'dyneema';
+    if (!SLING_MATERIALS.hasOwnProperty(slingMaterial))
+      throw new Error(`Invalid sling material of belay station: ${slingMaterial}`);
+    const boltHeight = this.anchorHeight + stationHeight;
+    for (let k = 0; k < 2; k++) {
+      const bolt = new ProtectionPoint(
+        this.wallAt(boltHeight).x + BELAY_STATION_WALL_DISTANCE - 0.01 + 0.02 * random(),
+        boltHeight,
+        this.anchor.pos.z + (k - 0.5) * boltSpacing - 0.01 + 0.02 * random(),
+        0,
+        `anchor bolt ${k + 1}`,
+        null,
+        'bolt',
+        'belay-station'
+      );
+      bolt.drawingColor = new Color(153, 153, 153);
+      bolt.drawingRadius = 0.04; // 4 cm
+      const legLength = bolt.pos.minus(this.anchor.pos).norm();
+      const sling = new StaticSling(legLength, 3, bolt, this.anchor, SLING_MATERIALS[slingMaterial].maxStrain * legLength, {
+        elasticityConstant: SLING_MATERIALS[slingMaterial].elasticityConstant
+      });
+      sling.name = `anchor sling ${k + 1}`;
+      sling.drawingColor = new Color(102, 102, 102);
+      sling.ignoreInGraphs = true;
+      sling.endsHandledSeparately = true;
+      this.physicsWorld.addBody(sling, true, true);
+      this.physicsWorld.addBody(bolt, true, true); // overwrites the flags set when adding the sling
+      this.stationBolts.push(bolt);
+      this.stationSlings.push(sling);
+    }
+  }
+
   /**
    * Run the climbing fall simulation and save the body positions. Once the simulation is complete, a callback is called.
-   * @param {(percent: number, time: number) => void} progressCallback this callback is called to report on intermediate progress.
+   * @param {(percent: number, time: number, snapshots: {time: number, bodies: ObjectSnapshot[]}[]) => void} progressCallback this callback is called to report on intermediate progress.
    *                                                                   percent will be the percentage of the simulation which has been completed.
    *                                                                   time will be the time in seconds up to which the simulation has been completed.
+   *                                                                   snapshots will be the array containing the simulation snapshots captured so far.
    * @param {(completed: boolean, time: number, snapshots: {time: number, bodies: ObjectSnapshot[]}[]) => void} doneCallback this callback is called when the simulation is completed.
    *                                                                   completed will be true if the simulation was completed up to the pre-defined target time.
    *                                                                   time will be the total simulation time in seconds.
@@ -425,8 +1668,12 @@ class ClimbingFallWorld {
    * @param {number} [stepsDone=0] number of simulation steps that were already executed
    * @param {number} [lastSnapshot=0] simulation time (in seconds) at which the last snapshot was captured
    * @param {number} [progressReports=500] approximate time interval in milliseconds at which progressCallback will be called with progress reports
+   * @param {(error: Error) => void} [errorCallback] this callback is called if the simulation fails after the first progress report (the
+   *                                                 computation then continues asynchronously, so the error cannot be thrown to the caller
+   *                                                 anymore). By default, the error is thrown anyway.
    */
-  precalculatePositions(progressCallback, doneCallback, targetTime, FPS = 40, prevSnapshots = [], stepsDone = 0, lastSnapshot = 0, progressReports = 500) {
+  precalculatePositions(progressCallback, doneCallback, targetTime, FPS = 40, prevSnapshots = [], stepsDone = 0, lastSnapshot = 0, progressReports = 500,
+    errorCallback = (error) => { throw error; }) {
     const lastTime = (new Date()).getTime();
     const snapshots = [...prevSnapshots];
     const addSnapshot = (t) => {
@@ -441,19 +1688,24 @@ class ClimbingFallWorld {
       this.physicsWorld.timeStep(0);
       addSnapshot(0);
     }
+    if (this.physicsWorld.adaptiveStepping !== null) {
+      this.precalculatePositionsAdaptively(progressCallback, doneCallback, targetTime, FPS, snapshots, lastSnapshot, progressReports, lastTime, addSnapshot, errorCallback);
+      return;
+    }
     const numSteps = Math.ceil(targetTime / this.maxStep);
     let i = stepsDone + 1;
     for (; i <= numSteps; i++) {
       this.physicsWorld.timeStep(this.maxStep);
+      this.fallSeriesTimeStep(this.maxStep);
       if (i * this.maxStep - lastSnapshot >= 1 / FPS) {
         addSnapshot(i * this.maxStep);
         lastSnapshot = i * this.maxStep;
       }
       this.simulationDuration = i * this.maxStep;
       if ((new Date()).getTime() - lastTime > progressReports) {
-        progressCallback(i / numSteps * 100, this.simulationDuration);
+        progressCallback(i / numSteps * 100, this.simulationDuration, snapshots);
         if (!this.interruptSimulation) {
-          window.setTimeout(() => this.precalculatePositions(progressCallback, doneCallback, targetTime, FPS, snapshots, i, lastSnapshot, progressReports), 10);
+          this.continueLater(() => this.precalculatePositions(progressCallback, doneCallback, targetTime, FPS, snapshots, i, lastSnapshot, progressReports, errorCallback), errorCallback);
           return;
         } else {
           i++;
@@ -464,4 +1716,61 @@ class ClimbingFallWorld {
 
     doneCallback(i-1 == numSteps, this.simulationDuration, snapshots);
   }
+
+  /**
+   * Continue precalculatePositions with adaptive step sizes (see PhysicsWorld.updateNextStepSize). The time steps are shortened
+   * where necessary so that snapshots are still captured exactly at the given frame rate.
+   * @param {(percent: number, time: number, snapshots: {time: number, bodies: ObjectSnapshot[]}[]) => void} progressCallback see precalculatePositions
+   * @param {(completed: boolean, time: number, snapshots: {time: number, bodies: ObjectSnapshot[]}[]) => void} doneCallback see precalculatePositions
+   * @param {number} targetTime the duration (in seconds) for which the simulation should be run
+   * @param {number} FPS the frame rate at which snapshots should be captured
+   * @param {{time: number, bodies: ObjectSnapshot[]}[]} snapshots array of snapshots that were already captured (new snapshots are appended)
+   * @param {number} lastSnapshot simulation time (in seconds) at which the last snapshot was captured
+   * @param {number} progressReports approximate time interval in milliseconds at which progressCallback will be called with progress reports
+   * @param {number} lastTime the time stamp (in milliseconds) at which the current computation started
+   * @param {(t: number) => void} addSnapshot function capturing a snapshot at simulation time t and appending it to the snapshots array
+   * @param {(error: Error) => void} errorCallback see precalculatePositions
+   */
+  precalculatePositionsAdaptively(progressCallback, doneCallback, targetTime, FPS, snapshots, lastSnapshot, progressReports, lastTime, addSnapshot, errorCallback) {
+    let time = this.simulationDuration;
+    while (time < targetTime - PHYSICS_GLOBALS.EPS) {
+      const nextSnapshot = Math.min(lastSnapshot + 1 / FPS, targetTime);
+      const delta = (nextSnapshot - time > PHYSICS_GLOBALS.EPS) ? Math.min(this.physicsWorld.nextStepSize, nextSnapshot - time) : this.physicsWorld.nextStepSize;
+      this.physicsWorld.timeStep(delta);
+      this.fallSeriesTimeStep(delta);
+      time += delta;
+      if (time >= lastSnapshot + 1 / FPS - PHYSICS_GLOBALS.EPS) {
+        lastSnapshot += 1 / FPS;
+        addSnapshot(lastSnapshot);
+      }
+      this.simulationDuration = time;
+      if ((new Date()).getTime() - lastTime > progressReports) {
+        progressCallback(Math.min(100, time / targetTime * 100), this.simulationDuration, snapshots);
+        if (!this.interruptSimulation) {
+          this.continueLater(() => this.precalculatePositions(progressCallback, doneCallback, targetTime, FPS, snapshots, 0, lastSnapshot, progressReports, errorCallback), errorCallback);
+          return;
+        } else {
+          break;
+        }
+      }
+    }
+
+    doneCallback(time >= targetTime - PHYSICS_GLOBALS.EPS, this.simulationDuration, snapshots);
+  }
+
+  /**
+   * Continue a computation after a short break (e.g. so that progress reports can be shown). Errors of the continued computation can no
+   * longer be caught by the caller of the interrupted computation, so they are passed to a callback instead.
+   * @param {() => void} continuation the rest of the computation
+   * @param {(error: Error) => void} errorCallback called if the continued computation throws an error
+   */
+  continueLater(continuation, errorCallback) {
+    setTimeout(() => {
+      try {
+        continuation();
+      } catch (e) {
+        errorCallback(e);
+      }
+    }, 10);
+  }
 }
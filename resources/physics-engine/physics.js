@@ -18,6 +18,7 @@
  * @property {Color} [color] the color of the body
  * @property {string} [radius] the radius used for drawing the point mass (in meters), or the radius used for drawing segment joints of a rope
  * @property {string} [thickness] the thickness of the rope, used for drawing purposes (in meters)
+ * @property {[number, number, number][][]} [faces] the corners of every face of an obstacle, ordered along the boundary of the face (coordinates are in meters); available for type 'obstacle'
  */
 
 /**
@@ -28,6 +29,8 @@
  * @property {number} [climberStretching] the running maximal stretching force (in Newton) at the climber's end of the rope
  * @property {number} [belayerStretching] the running maximal stretching force (in Newton) at the belayer's end of the rope
  * @property {number} [relativeElongation] the running maximal relative elongation (elongation divided by rest length) of the rope
+ * @property {number} [slippedRope] the length of rope (in meters) which has slipped through the belay device so far; available for type 'rope' if the rope has a belay device
+ * @property {number} [contactImpulse] the running maximal contact impulse (in Newton seconds) of the body with barriers between two snapshots (see ContactSnapshot); available for type 'point mass'
  */
 
 /**
@@ -43,9 +46,74 @@
  * @property {number} current the current speed (in m/s) of a given body
  */
 
+/**
+ * @typedef {Object} ContactSnapshot snapshot of the contacts of a body with barriers (e.g. wall or floor) since the previous snapshot
+ * @property {number} impulse the sum of the contact impulses (in Newton seconds) since the previous snapshot (0 if there was no contact)
+ * @property {string[]} barriers the names of the barriers which the body has touched since the previous snapshot
+ */
+
+/**
+ * @typedef {Object} BelayDeviceSnapshot snapshot of the state of a belay device
+ * @property {'tube'|'assisted-braking'} type the type of the belay device
+ * @property {number} slipSpeed the current speed (in m/s) at which the rope slips through the device
+ * @property {number} holdingForce the current holding force (in Newton) of the device
+ * @property {number|null} lockTime the time (in seconds) at which the device locked (null if the device has not locked (yet))
+ */
+
+/**
+ * @typedef {Object} GroundContactSnapshot snapshot of the ground contact statistics of a body standing on the ground
+ * @property {boolean} grounded whether the body currently stands on the ground
+ * @property {number|null} liftOffTime the time (in seconds) at which the body was first lifted off the ground (null if it has not been lifted off (yet))
+ * @property {number} maxLiftHeight the running maximal height (in meters) of the body above the ground
+ * @property {number} maxTravel the running maximal distance (in meters) the body has moved towards the wall (measured parallel to the ground)
+ * @property {number|null} landingSpeed the highest speed (in m/s) at which the body has landed on the ground so far (null if it has not landed (yet))
+ */
+
+/**
+ * @typedef {'draw'|'jesus-point'|'belay-station'} ProtectionRole what a bolt or carabiner is part of: a quickdraw, a Jesus point (the first
+ *          protection point above a multi-pitch belay station, below the lowest quickdraw), or a multi-pitch belay station (its bolts)
+ */
+
+/**
+ * @typedef {Object} LoadSnapshot snapshot of the load on a bolt or a quickdraw carabiner
+ * @property {ProtectionRole} role what the bolt or carabiner is part of
+ * @property {number|null} drawIndex the index of the quickdraw to which the bolt or carabiner belongs (0 for the lowest quickdraw, null if it does
+ *                                  not belong to a quickdraw, see role)
+ * @property {'carabiner'|'bolt'} component whether the load acts on the carabiner (through which the rope runs) or on the bolt
+ * @property {number[]} current the current load vector (in Newton), averaged over a small time frame (see Body.forceAvgWindow)
+ * @property {number} peak the running maximum of the magnitude of the averaged load vector (in Newton)
+ * @property {number[]|null} peakDirection the direction (length 1) of the averaged load vector at the time of its peak (null if there has been no load yet)
+ * @property {number|null} failureTime the time (in seconds) at which the protection failed (null if it has not failed (yet), see ProtectionPoint.strength)
+ * @property {number|null} failureLoad the magnitude of the averaged load (in Newton) at which the protection failed (null if it has not failed (yet))
+ */
+
+/**
+ * @typedef {Object} AbsorberSnapshot snapshot of the state of an energy absorber (tearing sling, see EnergyAbsorber)
+ * @property {number} drawIndex the index of the quickdraw to which the energy absorber belongs (0 for the lowest quickdraw)
+ * @property {number} tearingForce the force (in Newton) needed for tearing the absorber
+ * @property {number} tearLength the total length (in meters) by which the absorber can extend by tearing
+ * @property {number} tornLength the length (in meters) by which the absorber has extended by tearing so far
+ * @property {number} absorbedEnergy the energy (in Joule) absorbed by tearing so far
+ */
+
+/**
+ * @typedef {Object} FallResultSnapshot results of a single fall of a fall series or drop of a drop test series (see FallSeriesMass)
+ * @property {number} impactForce the peak rope tension (in Newton) at the climber or the falling mass during the fall
+ * @property {number} anchorForce the peak rope tension (in Newton) at the belayer or the anchor during the fall
+ * @property {number} dynamicElongation the peak elongation of the rope during the fall, relative to its rest length
+ * @property {boolean} held whether the rope held the fall, i.e., whether the impact force stayed below the strength of the rope
+ */
+
+/**
+ * @typedef {Object} FallSeriesSnapshot snapshot of the state of a fall series or drop test series
+ * @property {number} fall the number of the current fall (1 for the first fall)
+ * @property {FallResultSnapshot[]} results the results of all falls so far (the last entry belongs to the current fall)
+ * @property {number} fallsHeld the number of falls the rope has held before the first fall it did not hold
+ */
+
 /**
  * @typedef {Object} ObjectSnapshot snapshot of the state of a body at a given time
- * @property {'point mass'|'rope'} type the type of the body, can be used e.g. to draw the body appropriately
+ * @property {'point mass'|'rope'|'obstacle'} type the type of the body, can be used e.g. to draw the body appropriately
  * @property {string} id a unique string identifying this body
  * @property {string} name a name for this body, interpretable by a human
  * @property {StateSnapshot} visibleState the current visible state of the body (excludes e.g. speed or acceleration)
@@ -53,6 +121,12 @@
  * @property {EnergySnapshot} [energy] the current energy stored in the body
  * @property {SpeedSnapshot} [speed] the current speed of the body
  * @property {MaximaSnapshot} [runningMaxima] some running maxima statistics (e.g. running maximal speed, etc.)
+ * @property {ContactSnapshot} [contact] the contacts of the body with barriers since the previous snapshot; available for type 'point mass'
+ * @property {BelayDeviceSnapshot} [belayDevice] the state of the belay device at the belayer's end of the rope; available for type 'rope' if the rope has a belay device
+ * @property {GroundContactSnapshot} [groundContact] ground contact statistics; available for bodies standing on the ground (see StandingBelayer)
+ * @property {LoadSnapshot} [load] the load on a bolt or a quickdraw carabiner (see ProtectionPoint)
+ * @property {AbsorberSnapshot} [absorber] the state of an energy absorber; available for type 'rope' if the rope is an EnergyAbsorber
+ * @property {FallSeriesSnapshot} [fallSeries] the results of a fall series or drop test series; available for the climber or the falling mass (see FallSeriesMass)
  */
 
 /** Object for storing globally used physics variables */
@@ -65,6 +139,20 @@ const PHYSICS_GLOBALS = {
   idCounter: 0
 };
 
+/**
+ * @typedef {'linear'|'sls'|'hybrid'|'tabulated'} RopeModel a physical model for a rope: linear spring, standard linear solid model (see
+ *          ViscoelasticSpring), hybrid model (linear up to the maximal extension so far, standard linear solid model beyond), or tabulated
+ *          stress-strain curve (see TabulatedSpring)
+ */
+
+/**
+ * @typedef {Object} RopeModelParameters the parameters of a rope model beyond the elasticity constant
+ * @property {number} linearFraction the fraction of the behavior of the viscoelastic rope models (sls and hybrid) corresponding to a linear
+ *                                   spring, between 0 and 1 (see linearSpringWithViscoelasticDamping)
+ * @property {number} relaxationTime the relaxation time of the viscoelastic rope models in seconds (see linearSpringWithViscoelasticDamping)
+ * @property {StressStrainCurve|null} stressStrainCurve the stress-strain curve of the tabulated rope model (null for the other models)
+ */
+
 /**
  * A class intended for modelling climbing ropes
  */
@@ -75,7 +163,8 @@ class Rope {
    * @param {number} [segments=1] the number of rope segments to use for modelling the rope
    * @param {Body} [end1] the body attached to one end / the belayer's end of the rope (default is a body in the origin which is fixed, i.e., which cannot move)
    * @param {Body} [end2] the body attached to the other end / the climber's end of the rope (default is a point mass of 70 kg, hanging straight below the other, fixed rope end (in y-direction))
-   * @param {{elasticityConstant?: number, weightPerMeter?: number, ropeModel?: 'linear'|'sls', bendDamping?: number, stretchDamping?: number}} [settings] additional rope settings
+   * @param {{elasticityConstant?: number, weightPerMeter?: number, ropeModel?: RopeModel, linearFraction?: number, relaxationTime?: number, stressStrainCurve?: StressStrainCurve,
+   *          bendDamping?: number, stretchDamping?: number}} [settings] additional rope settings (see RopeModelParameters; the stress-strain curve is required for the tabulated rope model)
    * @param {Body[]} [deflectionPoints] an arbitrary number of deflection points (carabiners) through which the rope should pass.
    *                                    The rope passes through the deflection points in the order in which they are given, starting from end1 of the rope.
    */
@@ -90,6 +179,16 @@ class Rope {
       ? settings['weightPerMeter'] : 0.062; // 62 g per meter of rope weight of typical climbing rope
     const ropeModel = (settings.hasOwnProperty('ropeModel') && (typeof settings['ropeModel'] === 'string'))
       ? settings['ropeModel'] : 'linear'; // default rope model: linear spring
+    const linearFraction = (settings.hasOwnProperty('linearFraction') && (typeof settings['linearFraction'] === 'number'))
+      ? settings['linearFraction'] : 0.6; // fraction of the viscoelastic rope behavior corresponding to a linear spring
+    const relaxationTime = (settings.hasOwnProperty('relaxationTime') && (typeof settings['relaxationTime'] === 'number'))
+      ? settings['relaxationTime'] : 0.1; // relaxation time of the viscoelastic rope models
+    const stressStrainCurve = (settings.hasOwnProperty('stressStrainCurve') && (typeof settings['stressStrainCurve'] === 'object'))
+      ? settings['stressStrainCurve'] : null;
+    if ((ropeModel === 'sls' || ropeModel === 'hybrid') && !(linearFraction > 0 && linearFraction < 1 && relaxationTime > 0))
+      throw new Error(`Invalid viscoelastic rope parameters: linear fraction ${linearFraction}, relaxation time ${relaxationTime} s`);
+    if (ropeModel === 'tabulated' && stressStrainCurve === null)
+      throw new Error('The tabulated rope model requires a stress-strain curve');
     const bendDamping = (settings.hasOwnProperty('bendDamping') && (typeof settings['bendDamping'] === 'number'))
       ? settings['bendDamping'] : 0.02; // damping for oscillations orthogonal to the rope
     const stretchDamping = (settings.hasOwnProperty('stretchDamping') && (typeof settings['stretchDamping'] === 'number'))
@@ -111,8 +210,10 @@ class Rope {
     this.maxSegmentLength = this.segmentLength * 1.1;
     /** @type {number} default rope segment length in meters */
     this.defaultSegmentLength = this.segmentLength;
-    /** @type {'linear'|'sls'} the rope model which is used (linear spring or standard linear solid model) */
+    /** @type {RopeModel} the rope model which is used */
     this.ropeModel = ropeModel;
+    /** @type {RopeModelParameters} the parameters of the rope model beyond the elasticity constant */
+    this.modelParameters = { linearFraction, relaxationTime, stressStrainCurve };
     /** @type {number} damping coefficient for oscillations orthogonal to the rope, no direct physical background */
     this.dampingCoefficient = bendDamping; // damping for oscillations orthogonal to the rope
     /** @type {number} damping coefficient for internal friction, no direct physical background */
@@ -161,14 +262,14 @@ class Rope {
       this.ropeSegments.push(new RopeSegment(
         this.bodies[i-1], this.bodies[i], segmentMass,
         this.defaultSegmentLength, this.minSegmentLength, this.maxSegmentLength, this.defaultSegmentLength,
-        this.elasticityConstant, this.ropeModel, this.dampingCoefficient, this.internalDamping
+        this.elasticityConstant, this.ropeModel, this.dampingCoefficient, this.internalDamping, this.modelParameters
       ));
       this.ropeSegments[i-1].springStates = []; // clear default entry from springStates array
       for (const dp of dPoints) this.ropeSegments[i-1].deflectionPoints.push(dp); // insert deflection points
       for (let k = 0; k < dPointPos.length; k++) {
         const endA = (k == 0) ? this.bodies[i-1] : dPoints[k-1];
         const endB = (k == dPointPos.length - 1) ? this.bodies[i] : dPoints[k];
-        this.ropeSegments[i-1].springStates.push(this.ropeModel === 'linear' ? new LinearSpring(endA, endB, dPointPos[k], this.elasticityConstant) : linearSpringWithViscoelasticDamping(endA, endB, dPointPos[k], this.elasticityConstant));
+        this.ropeSegments[i-1].springStates.push(this.ropeSegments[i-1].createSpring(endA, endB, dPointPos[k]));
       }
       for (const dp of dPointSpeed) this.ropeSegments[i-1].deflectionPointSlidingSpeeds.push(dp);
     }
@@ -216,6 +317,17 @@ class Rope {
     this.ignoreInGraphs = false;
     /** @type {PhysicsWorld} the parent world of this rope */
     this.parentWorld = null;
+    /** @type {BelayDevice|null} the belay device at end1 of the rope through which the rope can slip (null if end1 is rigidly attached to the rope) */
+    this.belayDevice = null;
+    /** @type {BelayActionTimeline|null} scripted actions of the belayer at end1 of the rope (null if the belayer does not act) */
+    this.belayActions = null;
+    /** @type {boolean} whether the rope end bodies are time-stepped and subjected to gravity separately (e.g. because they are also attached to another rope) */
+    this.endsHandledSeparately = false;
+    /** @type {number|null} the friction coefficient between rope and barriers or obstacles, used for rope joints touching them and for the rope
+     *                      bending over their edges (null if the rope does not bend over edges and its joints use the friction of the barriers) */
+    this.contactFriction = null;
+    /** @type {boolean} whether deflection points have been removed from the rope during the simulation (e.g. failed protection, see RopeSegment.removeDeflectionPoint) */
+    this.deflectionPointsRemoved = false;
   }
 
   /**
@@ -282,7 +394,7 @@ class Rope {
    */
   applyGravity(f, noGravityAtEnds = false) {
     for (let i = 0; i < this.ropeSegments.length; i++) {
-      this.ropeSegments[i].applyGravity(f, noGravityAtEnds);
+      this.ropeSegments[i].applyGravity(f, noGravityAtEnds || this.endsHandledSeparately);
     }
   }
 
@@ -311,6 +423,20 @@ class Rope {
     this.maxRelativeElongation = Math.max(this.maxRelativeElongation, (this.currentLength - this.restLength) / this.restLength);
     if (Math.abs(checkRestLen - this.restLength) > PHYSICS_GLOBALS.EPS)
       throw new Error('The rest length of the rope segments is off!');
+    if (this.belayActions !== null)
+      this.belayActions.applyForces(this.bodies[0]);
+  }
+
+  /**
+   * The current friction force (in Newton) which the edges of barriers and obstacles exert on the rope bending over them
+   * (see PhysicsWorld.updateRopeEdgeContacts)
+   * @type {number}
+   */
+  get currentEdgeFriction() {
+    let friction = 0;
+    for (const ropeSeg of this.ropeSegments)
+      friction += ropeSeg.edgeFrictionForce;
+    return friction;
   }
 
   /**
@@ -321,12 +447,135 @@ class Rope {
    * @param {boolean} [noTimeStepsForEnds=false] whether to exclude the rope end bodies from time stepping (useful if they are time-stepped separately)
    */
   timeStep(delta, clearForces = true, noTimeStepsForEnds = false) {
+    if (this.belayDevice !== null) {
+      const firstSeg = this.ropeSegments[0];
+      const slip = this.belayDevice.timeStep(delta, firstSeg.tmpTensionArr[0], firstSeg.mass);
+      if (slip > 0) this.feedRope(slip);
+    }
+    if (this.belayActions !== null) {
+      const fedRope = this.belayActions.timeStep(delta);
+      if (fedRope != 0) this.feedRope(fedRope);
+    }
     for (let i = 0; i < this.ropeSegments.length; i++)
-      this.ropeSegments[i].timeStep(delta, clearForces, noTimeStepsForEnds);
+      this.ropeSegments[i].timeStep(delta, clearForces, noTimeStepsForEnds || this.endsHandledSeparately);
     this.postprocessTimeStep();
     this.maxEndSpeed = Math.max(this.maxEndSpeed, this.bodies[this.bodies.length - 1].velocity.norm());
   }
 
+  /**
+   * Feed additional rope into the system at end1 of the rope (e.g. rope slipping through a belay device). The rest length and the
+   * mass of the first rope segment grow accordingly; the segment is split during time step postprocessing once it becomes too long.
+   * A negative length takes in rope: the first rope segment shrinks, and it is merged into the following segment once it becomes
+   * very short. Rope cannot be taken in beyond the first deflection point (or the climber).
+   * @param {number} length the length of rope to feed in meters (negative to take in rope)
+   */
+  feedRope(length) {
+    let firstSeg = this.ropeSegments[0];
+    if (firstSeg.restLength < 0.1 * this.defaultSegmentLength && firstSeg.followingSegment !== null && firstSeg.deflectionPoints.length === 0) {
+      firstSeg.followingSegment.mergeWithPreviousSegment();
+      firstSeg = this.ropeSegments[0];
+    }
+    if (length < 0) // keep the minimal rest length of the part of the rope between end1 and the first deflection point (or end2)
+      length = Math.max(length, Math.min(0, firstSeg.minRestLength - firstSeg.springStates[0].restLength));
+    const addedMass = length * this.mass / this.restLength; // the added rope has the same weight per meter as the rest of the rope
+    firstSeg.springStates[0].restLength += length;
+    firstSeg.restLength += length;
+    firstSeg.mass += addedMass;
+    if (firstSeg.followingSegment !== null) // end1 does not carry rope mass, so bodyB carries the entire first segment's weight (see constructor)
+      firstSeg.bodyB.mass += addedMass;
+    this.restLength += length;
+    this.mass += addedMass;
+  }
+
+  /**
+   * Let the rope recover while it is unloaded for some time, e.g. between two falls (see Spring.recover). The rope bodies are not moved.
+   * @param {number} duration the recovery time in seconds
+   */
+  recover(duration) {
+    for (const ropeSeg of this.ropeSegments)
+      for (const spring of ropeSeg.springStates)
+        spring.recover(duration);
+  }
+
+  /**
+   * Let the rope slide through its deflection points (as in RopeSegment.timeStep, but without friction) until the rest length of the
+   * rope from end1 up to every deflection point has the given value, e.g. before laying out the rope anew. The rope is shifted in
+   * steps, and rope segments are merged and split in between (see postprocessTimeStep) so that deflection points can move from one
+   * rope segment to another. The rope never slips out of a deflection point.
+   * @param {number[]} restLengths the rest lengths (in meters) from end1 up to every deflection point, in the order of the deflection points along the rope
+   */
+  slideToRestLengths(restLengths) {
+    for (let iteration = 0; iteration < 10000; iteration++) {
+      let done = true; // whether all deflection points are at their target positions
+      let moved = false; // whether the rope has moved in this iteration
+      let dPointIndex = 0; // index of the current deflection point along the rope
+      let cumRestLength = 0;
+      for (const ropeSeg of this.ropeSegments) {
+        const lastPart = ropeSeg.deflectionPoints.length;
+        // the minimal rest length of a part of the segment when shortening it: end parts become short enough to be merged with the neighboring segment
+        const minLength = k => (k > 0 && k < lastPart) ? 0
+          : ((k == 0 && ropeSeg.previousSegment === null) || (k == lastPart && ropeSeg.followingSegment === null)) ? ropeSeg.minRestLength : 0.5 * ropeSeg.minRestLength;
+        // the maximal rest length of a part of the segment when lengthening it: parts between two deflection points cannot be split
+        const maxLength = k => (k > 0 && k < lastPart) ? ropeSeg.maxRestLength : Infinity;
+        for (let i = 0; i < ropeSeg.springStates.length; i++) {
+          cumRestLength += ropeSeg.springStates[i].restLength;
+          if (i == lastPart) continue;
+          const [left, right] = [ropeSeg.springStates[i], ropeSeg.springStates[i + 1]];
+          let shift = restLengths[dPointIndex++] - cumRestLength; // positive: the rope slides towards end1
+          if (Math.abs(shift) <= PHYSICS_GLOBALS.EPS) continue;
+          done = false;
+          if (shift > 0)
+            shift = Math.max(0, Math.min(shift, right.restLength - minLength(i + 1), maxLength(i) - left.restLength));
+          else
+            shift = -Math.max(0, Math.min(-shift, left.restLength - minLength(i), maxLength(i + 1) - right.restLength));
+          if (shift == 0) continue;
+          right.shiftRestLengthTo(left, shift);
+          cumRestLength += shift;
+          moved = true;
+        }
+      }
+      if (done || !moved) return;
+      this.postprocessTimeStep();
+    }
+  }
+
+  /**
+   * Estimate of the largest time step (in seconds) for which the simulation of the rope remains stable (see Body.maxStableTimeStep
+   * and RopeSegment.maxStableTimeStep). Only meaningful after the rope forces have been applied.
+   * @type {number}
+   */
+  get maxStableTimeStep() {
+    let maxStep = Infinity;
+    for (const body of this.bodies)
+      maxStep = Math.min(maxStep, body.maxStableTimeStep);
+    for (const ropeSeg of this.ropeSegments)
+      maxStep = Math.min(maxStep, ropeSeg.maxStableTimeStep);
+    if (this.belayDevice !== null) { // the rope slipping through the belay device behaves like rope sliding through a deflection point
+      const firstSpring = this.ropeSegments[0].springStates[0];
+      if (firstSpring.stiffness > 0)
+        maxStep = Math.min(maxStep, 2 * Math.sqrt(this.ropeSegments[0].mass / firstSpring.stiffness));
+    }
+    return maxStep;
+  }
+
+  /**
+   * The speed (in m/s) at which a change of the stretching travels along the rope where the rope is stiffest, i.e., the square root of
+   * the tension change per strain divided by the weight per meter (the time this takes to cross a rope segment limits the step size)
+   * @type {number}
+   */
+  get stretchWaveSpeed() {
+    let strainStiffness = 1 / this.elasticityConstant; // the instantaneous stiffness of the viscoelastic rope models is the same
+    if (this.ropeModel === 'tabulated') {
+      const { loading, unloading } = this.modelParameters.stressStrainCurve;
+      strainStiffness = 0;
+      for (const table of [loading, unloading]) {
+        for (let i = 1; i < table.length; i++)
+          strainStiffness = Math.max(strainStiffness, (table[i][1] - table[i-1][1]) / (table[i][0] - table[i-1][0]));
+      }
+    }
+    return Math.sqrt(strainStiffness * this.restLength / this.mass);
+  }
+
   /**
    * Clear all forces currently applied to the bodies of this rope (not including deflection points)
    */
@@ -419,7 +668,8 @@ class Rope {
       },
       forces: {
         current: this.currentStretchingForce,
-        climberStretching: this.currentClimberStretching
+        climberStretching: this.currentClimberStretching,
+        ...(this.contactFriction !== null && this.parentWorld !== null && this.parentWorld.ropeEdges.length > 0 ? { edgeFriction: this.currentEdgeFriction } : {})
       },
       energy: {
         kinetic: kin,
@@ -432,8 +682,10 @@ class Rope {
         force: this.maxStretchingForce,
         climberStretching: this.maxClimberForce,
         belayerStretching: this.maxBelayerForce,
-        relativeElongation: this.maxRelativeElongation
-      }
+        relativeElongation: this.maxRelativeElongation,
+        ...(this.belayDevice !== null ? { slippedRope: this.belayDevice.slippedRope } : {})
+      },
+      ...(this.belayDevice !== null ? { belayDevice: this.belayDevice.captureSnapshot() } : {})
     };
   }
 }
@@ -453,11 +705,14 @@ class RopeSegment {
    * @param {number} maxRLength the required maximal rest length of the (all) rope segment(s) in meters
    * @param {number} defaultRLength the default rest length of the (all) rope segment(s) in meters
    * @param {number} elasticityConstant the elasticity constant of the rope in 1/Newton
-   * @param {'linear'|'sls'} ropeModel the physical model used for this rope (linear spring or standard linear solid model)
+   * @param {RopeModel} ropeModel the physical model used for this rope
    * @param {number} dampingCoefficient damping coefficient for oscillations orthogonal to the rope, no direct physical background
    * @param {number} internalDamping damping coefficient for internal friction, no direct physical background
+   * @param {RopeModelParameters} [modelParameters] the parameters of the rope model beyond the elasticity constant (the stress-strain curve is
+   *                                                required for the tabulated rope model)
    */
-  constructor(end1, end2, mass, restLength, minRLength, maxRLength, defaultRLength, elasticityConstant, ropeModel, dampingCoefficient, internalDamping) {
+  constructor(end1, end2, mass, restLength, minRLength, maxRLength, defaultRLength, elasticityConstant, ropeModel, dampingCoefficient, internalDamping,
+    modelParameters = { linearFraction: 0.6, relaxationTime: 0.1, stressStrainCurve: null }) {
     /** @type {number} unique body id */
     this.id = PHYSICS_GLOBALS.idCounter;
     PHYSICS_GLOBALS.idCounter++;
@@ -479,8 +734,10 @@ class RopeSegment {
     this.defaultRestLength = defaultRLength;
     /** @type {number} the elasticity constant of the rope in 1/Newton */
     this.elasticityConstant = elasticityConstant;
-    /** @type {'linear'|'sls'} the physical model used for this rope (linear spring or standard linear solid model) */
+    /** @type {RopeModel} the physical model used for this rope */
     this.ropeModel = ropeModel;
+    /** @type {RopeModelParameters} the parameters of the rope model beyond the elasticity constant */
+    this.modelParameters = modelParameters;
     /** @type {number} damping coefficient for oscillations orthogonal to the rope, no direct physical background */
     this.dampingCoefficient = dampingCoefficient;
     /** @type {number} damping coefficient for internal friction, no direct physical background */
@@ -497,20 +754,41 @@ class RopeSegment {
     /** @type {Body[]} the deflection points (carabiners) through which this rope segment passes (in the order from bodyA to bodyB) */
     this.deflectionPoints = []; // simulates that the rope passes through carabiners (order: from bodyA to bodyB)
     /** @type {Spring[]} specifies the spring states between the deflection points */
-    this.springStates = [this.ropeModel === 'linear' ? new LinearSpring(this.bodyA, this.bodyB, this.restLength, this.elasticityConstant) : linearSpringWithViscoelasticDamping(this.bodyA, this.bodyB, this.restLength, this.elasticityConstant)]; // state of springs between bodyA or previous deflection point and indexed deflection point
+    this.springStates = [this.createSpring(this.bodyA, this.bodyB, this.restLength)]; // state of springs between bodyA or previous deflection point and indexed deflection point
       // plus state of spring between last deflection point and bodyB
       // thus, this.springStates.length = this.deflectionPoints.length + 1
     /** @type {number[]} the speed in m/s at which the rope slides through the deflection points */
     this.deflectionPointSlidingSpeeds = []; // rope sliding speeds at deflection points (from bodyA to bodyB)
       // same length as this.deflectionPoints
+    /** @type {{accelerations: number[], speeds: number[]}|null} sliding accelerations (in m/s^2) and sliding speeds (in m/s) used for the next time
+     *                                                            step instead of the current ones (set by multi-stage integrators, see PhysicsWorld.prepareRungeKuttaStep) */
+    this.rungeKuttaSliding = null;
     /** @type {number} the force in Newton which is required to stretch the rope segment to its current length */
     this.currentStretchingForce = 0;
     /** @type {number} the elastic energy in Joule which is stored in the (stretched) rope segment */
     this.currentElasticEnergy = 0;
+    /** @type {number} the friction force in Newton exerted on the rope segment by the edges over which it bends during the last time step (see EdgeContactPoint) */
+    this.edgeFrictionForce = 0;
     /** @type {PhysicsWorld} the parent world of this rope segment */
     this.parentWorld = null;
   }
 
+  /**
+   * Create a spring for a part of this rope segment, according to the rope model
+   * @param {Body} end1 the body at one end of the spring
+   * @param {Body} end2 the body at the other end of the spring
+   * @param {number} restLength the rest length of the spring in meters
+   * @return {Spring} the newly created spring
+   */
+  createSpring(end1, end2, restLength) {
+    const { linearFraction, relaxationTime, stressStrainCurve } = this.modelParameters;
+    if (this.ropeModel === 'linear')
+      return new LinearSpring(end1, end2, restLength, this.elasticityConstant);
+    if (this.ropeModel === 'tabulated')
+      return new TabulatedSpring(end1, end2, restLength, stressStrainCurve);
+    return linearSpringWithViscoelasticDamping(end1, end2, restLength, this.elasticityConstant, linearFraction, relaxationTime, this.ropeModel === 'hybrid');
+  }
+
   /**
    * Apply gravity to the rope segment. Calls the applyGravity function of bodyA, and also of bodyB if this is the last segment in the rope.
    * Does not call applyGravity for the deflection points.
@@ -592,7 +870,12 @@ class RopeSegment {
         const tensionA = this.tmpTensionArr[i];
         const tensionB = this.tmpTensionArr[i + 1];
         // force on deflection point is vector sum of tensions in neighboring intervals
-        this.deflectionPoints[i].applyForce(diffA.normalize().times(-tensionA).plus(diffB.normalize().times(tensionB)));
+        const ropeForce = diffA.normalize().times(-tensionA).plus(diffB.normalize().times(tensionB));
+        this.deflectionPoints[i].applyForce(ropeForce);
+        if (this.deflectionPoints[i] instanceof ProtectionPoint)
+          this.deflectionPoints[i].recordRopeForce(ropeForce);
+        this.deflectionPoints[i].addSpringStiffness(diffA.normalize(), this.springStates[i].stiffness);
+        this.deflectionPoints[i].addSpringStiffness(diffB.normalize(), this.springStates[i + 1].stiffness);
       }
     }
 
@@ -621,6 +904,8 @@ class RopeSegment {
     this.tmpDirectionB = directionB;
     this.bodyA.applyForce(directionA.times(startTension)); // bodyA is pulled in direction of (or pushed away from) first deflection point (or bodyB)
     this.bodyB.applyForce(directionB.times(-endTension)); // bodyB is pulled in direction of (or pushed away from) last deflection point (or bodyA)
+    this.bodyA.addSpringStiffness(directionA, this.springStates[0].stiffness); // only tracked if needed by the integrator
+    this.bodyB.addSpringStiffness(directionB, this.springStates[this.springStates.length - 1].stiffness);
 
     if (this.dampingCoefficient > 0 || this.internalDamping > 0) {
       const lengthChangeRateA = -this.bodyA.velocity.dot(directionA); // rate at which (stretched) rope segment length changes due to movement of bodyA
@@ -657,32 +942,18 @@ class RopeSegment {
   timeStep(delta, clearForces = true, noTimeStepsForEnds = false) {
     for (let i = 0; i < this.springStates.length; i++)
       this.springStates[i].timeStep(delta);
+    this.edgeFrictionForce = 0;
     for (let i = 0; i < this.deflectionPoints.length; i++) {
-      let tensionLeft = this.tmpTensionArr[i]; // read calculated tensions (see applyRopeForces()) to the left and to the right of the deflection point
-      let tensionRight = this.tmpTensionArr[i+1];
-      const slidingForce = tensionRight - tensionLeft; // force pulling the rope over the deflection point from bodyA to bodyB
-      // calculate the friction force, which is proportional to the normal force (the force pushing the rope against the carabiner)
-      // for details, search for Capstan equation: https://en.wikipedia.org/wiki/Capstan_equation
-      const frictionForce = (tensionLeft > 0 && tensionRight > 0)
-        ? Math.min(tensionLeft, tensionRight) * (Math.exp(this.deflectionPoints[i].frictionCoefficient * this.tmpAngleArr[i+1]) - 1)
-        : 0; // no friction force (approximation!) if the rope is not under tension on at least one side of the deflection point
-      let effectiveSlidingForce = 0; // positive sign: in direction of bodyB, negative sign: in direction of bodyA
-      if (this.deflectionPointSlidingSpeeds[i] != 0) { // the rope already slides through the carabiner
-        if (this.deflectionPointSlidingSpeeds[i] > 0) effectiveSlidingForce = slidingForce - frictionForce; // friction force opposes the direction of movement => different calculation depending on direction
-        else effectiveSlidingForce = slidingForce + frictionForce; // note: direction of slidingForce and direction of movement usually agree, unless the rope is in a phase where it changes sliding directions
-      } else { // rope doesn't move yet => the sliding force must exceed the friction force before it starts moving
-        if (frictionForce < Math.abs(slidingForce)) { // if sliding force exceeds friction force
-          if (slidingForce > 0) effectiveSlidingForce = slidingForce - frictionForce; // friction force opposes the sliding force => different calculation depending on direction
-          else effectiveSlidingForce = slidingForce + frictionForce;
-        }
-      }
+      const { slidingForce, frictionForce, effectiveSlidingForce } = this.slidingForces(i);
+      if (this.deflectionPoints[i] instanceof EdgeContactPoint) // the friction force acting at the edge (static friction only balances the sliding force)
+        this.edgeFrictionForce += Math.min(frictionForce, Math.abs(slidingForce - effectiveSlidingForce));
       
-      const slidingAcc = effectiveSlidingForce / this.mass; // calculate the rope acceleration
+      const slidingAcc = (this.rungeKuttaSliding !== null) ? this.rungeKuttaSliding.accelerations[i] : effectiveSlidingForce / this.mass; // calculate the rope acceleration
       this.deflectionPointSlidingSpeeds[i] += slidingAcc * delta; // update sliding speed
       if ((Math.abs(this.deflectionPointSlidingSpeeds[i]) < Math.abs(slidingAcc * delta) - PHYSICS_GLOBALS.EPS) // if sliding speed close to 0 or if it changed signs
           && (frictionForce >= Math.abs(slidingForce))) // and if the friction force is bigger than the sliding force
         this.deflectionPointSlidingSpeeds[i] = 0; // then, the rope stops sliding
-      const positionDelta = this.deflectionPointSlidingSpeeds[i] * delta;
+      const positionDelta = ((this.rungeKuttaSliding !== null && this.deflectionPointSlidingSpeeds[i] != 0) ? this.rungeKuttaSliding.speeds[i] : this.deflectionPointSlidingSpeeds[i]) * delta;
       this.springStates[i].shiftRestLengthTo(this.springStates[i+1], positionDelta); // update rest lengths of adjacent segments
       // the rope ends cannot slip out of the deflection points; this can cause issues if a rope end comes really close to a deflection point
       // below, a minimal rest length is ensured for the rope segment parts nearest to the rope ends
@@ -698,6 +969,7 @@ class RopeSegment {
         this.deflectionPointSlidingSpeeds[i] = 0;
       }
     }
+    this.rungeKuttaSliding = null;
 
     if (this.previousSegment !== null || !noTimeStepsForEnds)
       this.bodyA.timeStep(delta, clearForces); // execute end body (bodies) timeStep functions
@@ -705,6 +977,50 @@ class RopeSegment {
       this.bodyB.timeStep(delta, clearForces);
   }
 
+  /**
+   * Calculate the forces which let the rope slide through a deflection point, from the tensions calculated by applyRopeForces
+   * @param {number} i the index of the deflection point
+   * @return {{slidingForce: number, frictionForce: number, effectiveSlidingForce: number}} the force (in Newton) pulling the rope over the
+   *                                                                   deflection point from bodyA to bodyB, the friction force, and the
+   *                                                                   sliding force reduced by the friction force (0 if the rope sticks)
+   */
+  slidingForces(i) {
+    let tensionLeft = this.tmpTensionArr[i]; // read calculated tensions (see applyRopeForces()) to the left and to the right of the deflection point
+    let tensionRight = this.tmpTensionArr[i+1];
+    const slidingForce = tensionRight - tensionLeft; // force pulling the rope over the deflection point from bodyA to bodyB
+    // calculate the friction force, which is proportional to the normal force (the force pushing the rope against the carabiner)
+    // for details, search for Capstan equation: https://en.wikipedia.org/wiki/Capstan_equation
+    const frictionForce = (tensionLeft > 0 && tensionRight > 0)
+      ? Math.min(tensionLeft, tensionRight) * (Math.exp(this.deflectionPoints[i].frictionCoefficient * this.tmpAngleArr[i+1]) - 1)
+      : 0; // no friction force (approximation!) if the rope is not under tension on at least one side of the deflection point
+    let effectiveSlidingForce = 0; // positive sign: in direction of bodyB, negative sign: in direction of bodyA
+    if (this.deflectionPointSlidingSpeeds[i] != 0) { // the rope already slides through the carabiner
+      if (this.deflectionPointSlidingSpeeds[i] > 0) effectiveSlidingForce = slidingForce - frictionForce; // friction force opposes the direction of movement => different calculation depending on direction
+      else effectiveSlidingForce = slidingForce + frictionForce; // note: direction of slidingForce and direction of movement usually agree, unless the rope is in a phase where it changes sliding directions
+    } else { // rope doesn't move yet => the sliding force must exceed the friction force before it starts moving
+      if (frictionForce < Math.abs(slidingForce)) { // if sliding force exceeds friction force
+        if (slidingForce > 0) effectiveSlidingForce = slidingForce - frictionForce; // friction force opposes the sliding force => different calculation depending on direction
+        else effectiveSlidingForce = slidingForce + frictionForce;
+      }
+    }
+    return { slidingForce, frictionForce, effectiveSlidingForce };
+  }
+
+  /**
+   * Estimate of the largest time step (in seconds) for which the sliding of the rope through the deflection points of this rope
+   * segment remains stable (the rope on both sides of a deflection point acts like a spring on the sliding rope)
+   * @type {number}
+   */
+  get maxStableTimeStep() {
+    let maxStep = Infinity;
+    for (let i = 0; i < this.deflectionPoints.length; i++) {
+      const stiffness = this.springStates[i].stiffness + this.springStates[i+1].stiffness;
+      if (stiffness > 0)
+        maxStep = Math.min(maxStep, 2 * Math.sqrt(this.mass / stiffness));
+    }
+    return maxStep;
+  }
+
   /**
    * Clear all forces currently applied to the bodies of this rope segment (does not include deflection points)
    */
@@ -714,6 +1030,48 @@ class RopeSegment {
       this.bodyB.clearForces();
   }
 
+  /**
+   * Merge the previous rope segment into this rope segment. The previous rope segment as well as bodyA of this segment
+   * (= bodyB of the previous segment) are deleted, and the masses of the remaining rope bodies are updated accordingly.
+   */
+  mergeWithPreviousSegment() {
+    this.mass += this.previousSegment.mass; // sum masses
+    if (this.previousSegment.previousSegment === null) { // if previous segment is the first segment (then this segment now becomes the first segment)
+      if (this.followingSegment !== null) // and if there is a segment after this one
+        this.bodyB.mass = 0.5 * this.followingSegment.mass + this.mass; // then, the new bodyA will be the belayer (which does not carry rope mass), so bodyB must carry all the weight of this segment and half of the following's one
+    } else { // if previous segment is NOT the first segment
+      if (this.followingSegment !== null) { // and if there is a segment after this one
+        this.bodyB.mass = 0.5 * this.followingSegment.mass + 0.5 * this.mass; // bodyB carries half the weight of this and the following segment
+        this.previousSegment.bodyA.mass = 0.5 * this.mass + 0.5 * this.previousSegment.previousSegment.mass; // same holds for bodyA of the previous segment (bodyA of this segment (= bodyB of previous segment) will be removed)
+      } else { // if there is NO segment after this one
+        this.previousSegment.bodyA.mass = this.mass + 0.5 * this.previousSegment.previousSegment.mass; // then, bodyB is the climber (which does not carry rope mass), so the new bodyA (= bodyA of previous segment) must carry all the weight of this (new) segment and half of the previous' one
+      }
+    }
+    this.restLength += this.previousSegment.restLength; // sum rest lengths
+    this.previousSegment.springStates.pop().mergeInto(this.springStates[0]); // merge deflection point arrays of previous segment into this one
+    while (this.previousSegment.springStates.length > 0)
+      this.springStates.unshift(this.previousSegment.springStates.pop());
+    while (this.previousSegment.deflectionPointSlidingSpeeds.length > 0)
+      this.deflectionPointSlidingSpeeds.unshift(this.previousSegment.deflectionPointSlidingSpeeds.pop());
+    while (this.previousSegment.deflectionPoints.length > 0)
+      this.deflectionPoints.unshift(this.previousSegment.deflectionPoints.pop());
+    this.bodyA = this.previousSegment.bodyA; // the old bodyA of this segment is deleted and replaced by bodyA of the previousSegment (which will be deleted)
+    this.rope.removeRopeSegment(this.indexInRope - 1); // remove the previous segment from the rope
+  }
+
+  /**
+   * Remove a deflection point from this rope segment, e.g. because the rope has left an edge or because the protection has failed.
+   * The parts of the rope before and after the deflection point are joined.
+   * @param {number} index the index of the deflection point in the deflectionPoints array
+   */
+  removeDeflectionPoint(index) {
+    this.springStates[index].mergeInto(this.springStates[index + 1]);
+    this.springStates.splice(index, 1);
+    this.deflectionPoints.splice(index, 1);
+    this.deflectionPointSlidingSpeeds.splice(index, 1);
+    this.rope.deflectionPointsRemoved = true;
+  }
+
   /**
    * First time step postprocessing task: merge rope segments which are too short. Also handle the rope
    * slipping out of a deflection point.
@@ -733,28 +1091,7 @@ class RopeSegment {
           if (PHYSICS_GLOBALS.warningsShortRopeSegments) console.warn(`first segment of rope too short: ${this.springStates[0].restLength}`);
         }
       } else { // not the first rope segment => merge with previous rope segment (delete previous rope segment as well as bodyA of this segment (= bodyB of previous segment))
-        this.mass += this.previousSegment.mass; // sum masses
-        if (this.previousSegment.previousSegment === null) { // if previous segment is the first segment (then this segment now becomes the first segment)
-          if (this.followingSegment !== null) // and if there is a segment after this one
-            this.bodyB.mass = 0.5 * this.followingSegment.mass + this.mass; // then, the new bodyA will be the belayer (which does not carry rope mass), so bodyB must carry all the weight of this segment and half of the following's one
-        } else { // if previous segment is NOT the first segment
-          if (this.followingSegment !== null) { // and if there is a segment after this one
-            this.bodyB.mass = 0.5 * this.followingSegment.mass + 0.5 * this.mass; // bodyB carries half the weight of this and the following segment
-            this.previousSegment.bodyA.mass = 0.5 * this.mass + 0.5 * this.previousSegment.previousSegment.mass; // same holds for bodyA of the previous segment (bodyA of this segment (= bodyB of previous segment) will be removed)
-          } else { // if there is NO segment after this one
-            this.previousSegment.bodyA.mass = this.mass + 0.5 * this.previousSegment.previousSegment.mass; // then, bodyB is the climber (which does not carry rope mass), so the new bodyA (= bodyA of previous segment) must carry all the weight of this (new) segment and half of the previous' one
-          }
-        }
-        this.restLength += this.previousSegment.restLength; // sum rest lengths
-        this.previousSegment.springStates.pop().mergeInto(this.springStates[0]); // merge deflection point arrays of previous segment into this one
-        while (this.previousSegment.springStates.length > 0)
-          this.springStates.unshift(this.previousSegment.springStates.pop());
-        while (this.previousSegment.deflectionPointSlidingSpeeds.length > 0)
-          this.deflectionPointSlidingSpeeds.unshift(this.previousSegment.deflectionPointSlidingSpeeds.pop());
-        while (this.previousSegment.deflectionPoints.length > 0)
-          this.deflectionPoints.unshift(this.previousSegment.deflectionPoints.pop());
-        this.bodyA = this.previousSegment.bodyA; // the old bodyA of this segment is deleted and replaced by bodyA of the previousSegment (which will be deleted)
-        this.rope.removeRopeSegment(this.indexInRope - 1); // remove the previous segment from the rope
+        this.mergeWithPreviousSegment();
       }
     }
     // if the part between bodyB and the last deflection point has become too short
@@ -805,15 +1142,18 @@ class RopeSegment {
   postprocessTimeStepB() {
     for (let i = 0; i < this.springStates.length; i++) {
       if (this.springStates[i].restLength > this.maxRestLength) { // if segment is too long
-        if (this.deflectionPoints.length == 0) throw new Error(`segment without deflection points too long: ${this.springStates[i].restLength}`);
-        if (i == 0) { // part from rope segment end (closer to belayer) to first deflection point is too long
+        // only the first segment can grow without deflection points (if rope is fed in at the belayer's end, see Rope.feedRope),
+        // or a segment which has lost its deflection points (e.g. edges the rope has left or failed protection, see removeDeflectionPoint)
+        if (this.deflectionPoints.length == 0 && this.previousSegment !== null && !this.rope.deflectionPointsRemoved) throw new Error(`segment without deflection points too long: ${this.springStates[i].restLength}`);
+        if (i == 0) { // part from rope segment end (closer to belayer) to first deflection point (or bodyB) is too long
+          const nextPoint = (this.deflectionPoints.length > 0) ? this.deflectionPoints[0] : this.bodyB;
           const frac = this.defaultRestLength / this.springStates[0].restLength; // new segment with defaultRestLength will be inserted
           const newMass = this.defaultRestLength / this.restLength * this.mass; // mass of the new segment
           this.mass -= newMass; // this segment will be shortened; calculate its new mass
           // this segment will be shortened; see splitOffSpring call below
           this.restLength -= this.defaultRestLength;
           const nBody = new Body(
-            ...this.bodyA.pos.times(1-frac).plus(this.deflectionPoints[0].pos.times(frac)).arr,
+            ...this.bodyA.pos.times(1-frac).plus(nextPoint.pos.times(frac)).arr,
             ((this.previousSegment === null) ? 1 : 0.5) * newMass + ((this.followingSegment === null) ? 1 : 0.5) * this.mass,
             'rope joint'
           ); // create new body connecting this segment and the one which will be inserted
@@ -827,7 +1167,7 @@ class RopeSegment {
           const nRopeSeg = new RopeSegment(newBodyA, this.bodyA, newMass,
             this.defaultRestLength, this.minRestLength, this.maxRestLength,
             this.defaultRestLength, this.elasticityConstant, this.ropeModel,
-            this.dampingCoefficient, this.internalDamping
+            this.dampingCoefficient, this.internalDamping, this.modelParameters
           ); // create new rope segment (with default rest length)
           nRopeSeg.springStates = [this.springStates[0].splitOffSpring(this.defaultRestLength, nBody, 'start')];
           nRopeSeg.parentWorld = this.parentWorld; // copy parent world from this segment
@@ -854,7 +1194,7 @@ class RopeSegment {
           const nRopeSeg = new RopeSegment(this.bodyB, newBodyB, newMass,
             this.defaultRestLength, this.minRestLength, this.maxRestLength,
             this.defaultRestLength, this.elasticityConstant, this.ropeModel,
-            this.dampingCoefficient, this.internalDamping
+            this.dampingCoefficient, this.internalDamping, this.modelParameters
           ); // create new rope segment (with default rest length)
           nRopeSeg.springStates = [this.springStates[this.deflectionPoints.length].splitOffSpring(this.defaultRestLength, nBody, 'end')];
           nRopeSeg.parentWorld = this.parentWorld; // copy parent world from this segment
@@ -880,9 +1220,11 @@ class StaticSling extends Rope {
    * @param {Body} [end1] the body attached to one end of the sling (default is a body in the origin which is fixed, i.e., which cannot move)
    * @param {Body} [end2] the body attached to the other end (default is a point mass of 40 g, hanging straight below the other, fixed sling end (in y-direction))
    * @param {number} [maxExtension=0.005] the maximal extension tolerated for this sling beyond the assigned length in meters
+   *                                       (Infinity to let the sling stretch according to its elasticity constant only)
+   * @param {{elasticityConstant?: number, weightPerMeter?: number}} [settings] additional sling settings (see Rope)
    */
-  constructor(length = 0.2, segments = 3, end1 = new Body(0, 0, 0, 0, 'bolt'), end2 = new Body(0, -length, 0, 0.04, 'carabiner'), maxExtension = 0.005) {
-    super(length, segments, end1, end2);
+  constructor(length = 0.2, segments = 3, end1 = new Body(0, 0, 0, 0, 'bolt'), end2 = new Body(0, -length, 0, 0.04, 'carabiner'), maxExtension = 0.005, settings = {}) {
+    super(length, segments, end1, end2, settings);
     /** @type {string} a name for the body */
     this.name = 'sling';
     /** @type {number} the maximal extension tolerated for this sling beyond the assigned length in meters */
@@ -893,13 +1235,23 @@ class StaticSling extends Rope {
 
   /**
    * Execute a time step for all bodies in the sling. In addition to what the Rope's timeStep method does, this method
-   * ensures that the sling does not extend beyond the given maximal extension.
+   * ensures that the sling does not extend beyond the given maximal extension. If one of the sling ends is fixed, the force
+   * needed for stopping the other end is applied to it.
    * @param {number} delta the length of the time step in seconds
    * @param {boolean} [clearForces=true] whether to clear all forces currently applied to the bodies
    * @param {boolean} [noTimeStepsForEnds=false] whether to exclude the rope end bodies from time stepping (useful if they are time-stepped separately)
    */
   timeStep(delta, clearForces = true, noTimeStepsForEnds = false) {
     super.timeStep(delta, clearForces, noTimeStepsForEnds);
+    this.limitExtension(delta);
+  }
+
+  /**
+   * Ensure that the sling does not extend beyond the given maximal extension (called after each time step). Positions and
+   * velocities of the sling ends are corrected, and the impulse needed for this is recorded on both ends (see Body.recordConstraintImpulse).
+   * @param {number} delta the length of the time step in seconds
+   */
+  limitExtension(delta) {
     const bodyA = this.bodies[0]; // body at end 1
     const bodyB = this.bodies[this.bodies.length - 1]; // body at end 2
 
@@ -931,12 +1283,396 @@ class StaticSling extends Rope {
     const relativeVelocity = bodyB.velocity.minus(bodyA.velocity);
     const vRad = relativeVelocity.dot(dir);
     if (vRad > 0) {
-      const velocityCorr = dir.times(vRad);
+      const impulse = dir.times(vRad / invMassSum); // impulse (in Newton seconds) pulling end 1 towards end 2
       if (invMassA > 0)
-        bodyA.velocity = bodyA.velocity.plus(velocityCorr.times( invMassA / invMassSum));
+        bodyA.velocity = bodyA.velocity.plus(impulse.times(invMassA));
       if (invMassB > 0)
-        bodyB.velocity = bodyB.velocity.plus(velocityCorr.times(-invMassB / invMassSum));
+        bodyB.velocity = bodyB.velocity.plus(impulse.times(-invMassB));
+      // both ends report the impulse as a force, a fixed end (e.g. a bolt) takes the entire impulse which stops the other end
+      bodyA.recordConstraintImpulse(impulse, delta);
+      bodyB.recordConstraintImpulse(impulse.times(-1), delta);
+    }
+  }
+}
+
+/**
+ * An energy absorber (also called screamer or tearing sling), i.e., a sling with sewn-in folds which tear apart once the load
+ * exceeds the tearing force. While tearing, the absorber extends at a roughly constant force, until the entire tear length is used
+ * up; from then on, it behaves like a static sling.
+ */
+class EnergyAbsorber extends StaticSling {
+  /**
+   * Create a new energy absorber
+   * @param {number} [length=0.2] the length of the absorber (before tearing) in meters
+   * @param {number} [segments=3] the number of segments to use for modelling the absorber (see Rope)
+   * @param {Body} [end1] the body attached to one end of the absorber (see StaticSling)
+   * @param {Body} [end2] the body attached to the other end (see StaticSling)
+   * @param {number} [maxExtension=0.005] the maximal extension tolerated beyond the current length (see StaticSling)
+   * @param {{elasticityConstant?: number, weightPerMeter?: number}} [settings] additional sling settings (see Rope)
+   * @param {number} [tearingForce=2000] the force (in Newton) needed for tearing the absorber
+   * @param {number} [tearLength=0.4] the total length (in meters) by which the absorber can extend by tearing
+   * @param {number} [drawIndex=0] the index of the quickdraw to which the absorber belongs (0 for the lowest quickdraw)
+   */
+  constructor(length = 0.2, segments = 3, end1 = new Body(0, 0, 0, 0, 'bolt'), end2 = new Body(0, -length, 0, 0.04, 'carabiner'), maxExtension = 0.005, settings = {}, tearingForce = 2000, tearLength = 0.4, drawIndex = 0) {
+    super(length, segments, end1, end2, maxExtension, settings);
+    /** @type {string} a name for the body */
+    this.name = 'energy absorber';
+    /** @type {number} the force (in Newton) needed for tearing the absorber */
+    this.tearingForce = tearingForce;
+    /** @type {number} the total length (in meters) by which the absorber can extend by tearing */
+    this.tearLength = tearLength;
+    /** @type {number} the index of the quickdraw to which the absorber belongs (0 for the lowest quickdraw) */
+    this.drawIndex = drawIndex;
+    /** @type {number} the length (in meters) by which the absorber has extended by tearing so far */
+    this.tornLength = 0;
+    /** @type {number} the energy (in Joule) absorbed by tearing so far */
+    this.absorbedEnergy = 0;
+  }
+
+  /**
+   * Let the absorber tear if stopping its ends would need more than the tearing force: the absorber is lengthened by the excess
+   * length (as far as the remaining tear length allows), and the ends are only decelerated by the tearing force. Any remaining
+   * excess length is handled like for a static sling (see StaticSling.limitExtension).
+   * @param {number} delta the length of the time step in seconds
+   */
+  limitExtension(delta) {
+    const bodyA = this.bodies[0]; // body at end 1
+    const bodyB = this.bodies[this.bodies.length - 1]; // body at end 2
+    const diff = bodyB.pos.minus(bodyA.pos); // vector pointing from end 1 to end 2 of the absorber
+    const len = diff.norm(); // distance of the two absorber ends
+    const excess = len - (this.restLength + this.maxExtension); // excess absorber length
+    const remaining = this.tearLength - this.tornLength; // remaining tear length
+    const invMassA = bodyA.mass > 0 ? 1 / bodyA.mass : 0;
+    const invMassB = bodyB.mass > 0 ? 1 / bodyB.mass : 0;
+    if (len >= PHYSICS_GLOBALS.EPS && excess > 0 && remaining > 0 && invMassA + invMassB > 0) {
+      const dir = diff.times(1 / len); // vector of length 1 pointing from end 1 to end 2 of the absorber
+      const vRad = bodyB.velocity.minus(bodyA.velocity).dot(dir); // separating radial velocity
+      const reducedMass = 1 / (invMassA + invMassB);
+      if (reducedMass * vRad / delta > this.tearingForce) { // stopping the ends would need more than the tearing force => tear
+        this.tear(Math.min(excess, remaining));
+        // decelerate the ends by the tearing force, both ends report it (see StaticSling.limitExtension)
+        const impulse = dir.times(this.tearingForce * delta);
+        if (invMassA > 0)
+          bodyA.velocity = bodyA.velocity.plus(impulse.times(invMassA));
+        if (invMassB > 0)
+          bodyB.velocity = bodyB.velocity.plus(impulse.times(-invMassB));
+        bodyA.recordConstraintImpulse(impulse, delta);
+        bodyB.recordConstraintImpulse(impulse.times(-1), delta);
+      }
+    }
+    super.limitExtension(delta);
+  }
+
+  /**
+   * Lengthen the absorber by tearing. Unlike Rope.feedRope, the additional length is distributed evenly over all segments of the
+   * absorber (which makes them softer), and the mass of the absorber does not change.
+   * @param {number} length the length (in meters) by which the absorber tears
+   */
+  tear(length) {
+    const factor = (this.restLength + length) / this.restLength;
+    for (const seg of this.ropeSegments) {
+      seg.restLength *= factor;
+      seg.minRestLength *= factor;
+      seg.maxRestLength *= factor;
+      seg.defaultRestLength *= factor;
+      for (const spring of seg.springStates)
+        spring.restLength *= factor;
+    }
+    this.segmentLength *= factor;
+    this.minSegmentLength *= factor;
+    this.maxSegmentLength *= factor;
+    this.defaultSegmentLength *= factor;
+    this.restLength += length;
+    this.tornLength += length;
+    this.absorbedEnergy += this.tearingForce * length;
+  }
+
+  /**
+   * Capture information about the current state of the absorber (see Rope.captureSnapshot), including the tear length used and
+   * the energy absorbed so far
+   * @return {ObjectSnapshot} a snapshot of the current state of the absorber
+   */
+  captureSnapshot() {
+    const snapshot = super.captureSnapshot();
+    snapshot.absorber = {
+      drawIndex: this.drawIndex,
+      tearingForce: this.tearingForce,
+      tearLength: this.tearLength,
+      tornLength: this.tornLength,
+      absorbedEnergy: this.absorbedEnergy
+    };
+    return snapshot;
+  }
+}
+
+/**
+ * A belay device (e.g. a tube device) at the belayer's end of a rope. The belayer holds the rope with the braking hand, and the
+ * friction of the rope running around the device amplifies the braking hand force (see Capstan equation). If the rope tension at the
+ * device exceeds the resulting holding force, the rope slips through the device, which feeds additional rope into the system.
+ */
+class BelayDevice {
+  /**
+   * Create a new belay device
+   * @param {number} [brakeHandForce=200] the force (in Newton) with which the belayer's braking hand holds the rope
+   * @param {number} [frictionCoefficient=0.3] the friction coefficient between rope and device
+   * @param {number} [wrapAngle=360] the total angle (in degrees) by which the rope is deflected in the device
+   */
+  constructor(brakeHandForce = 200, frictionCoefficient = 0.3, wrapAngle = 360) {
+    /** @type {string} a name for the belay device */
+    this.name = 'belay device';
+    /** @type {number} the force (in Newton) with which the belayer's braking hand holds the rope */
+    this.brakeHandForce = brakeHandForce;
+    /** @type {number} the friction coefficient between rope and device */
+    this.frictionCoefficient = frictionCoefficient;
+    /** @type {number} the total angle (in degrees) by which the rope is deflected in the device */
+    this.wrapAngle = wrapAngle;
+    /** @type {number} the current speed (in m/s) at which the rope slips through the device (never negative, rope is not taken in) */
+    this.slipSpeed = 0;
+    /** @type {number} the length of rope (in meters) which has slipped through the device so far */
+    this.slippedRope = 0;
+    /** @type {number} local time of the device (in seconds), updated whenever a time step is performed */
+    this.time = 0;
+  }
+
+  /**
+   * The maximal rope tension (in Newton) which the device can hold without the rope slipping
+   * @type {number}
+   */
+  get holdingForce() {
+    return this.brakeHandForce * Math.exp(this.frictionCoefficient * Math.PI * this.wrapAngle / 180);
+  }
+
+  /**
+   * Execute a time step for the belay device: update the slip speed of the rope, which is accelerated by the rope tension
+   * exceeding the holding force (or decelerated by the holding force exceeding the tension)
+   * @param {number} delta the length of the time step in seconds
+   * @param {number} tension the current rope tension (in Newton) at the device
+   * @param {number} ropeMass the mass (in kilograms) of the rope which is set in motion when slipping
+   * @return {number} the length of rope (in meters) which slipped through the device during the time step
+   */
+  timeStep(delta, tension, ropeMass) {
+    const holdingForce = this.holdingForce;
+    if (this.slipSpeed > 0 || tension > holdingForce) // the rope already slips, or it starts slipping
+      this.slipSpeed = Math.max(0, this.slipSpeed + delta * (tension - holdingForce) / ropeMass);
+    const slip = this.slipSpeed * delta;
+    this.slippedRope += slip;
+    this.time += delta;
+    return slip;
+  }
+
+  /**
+   * Prepare the device for the next fall of a fall series (the belayer has taken in the rope): the rope is at rest in the device.
+   * The length of rope which has slipped through the device is kept.
+   */
+  reset() {
+    this.slipSpeed = 0;
+  }
+
+  /**
+   * Capture information about the current state of the belay device
+   * @return {BelayDeviceSnapshot} a snapshot of the current state of the belay device
+   */
+  captureSnapshot() {
+    return {
+      type: 'tube',
+      slipSpeed: this.slipSpeed,
+      holdingForce: this.holdingForce,
+      lockTime: null
+    };
+  }
+}
+
+/**
+ * An assisted-braking belay device (e.g. a Grigri). As long as the device is unlocked, it behaves like a tube device. Once the
+ * rope slips faster than a threshold speed or the rope tension exceeds a threshold tension, the cam of the device is triggered. After
+ * a delay, the cam starts pinching the rope, and the holding force increases gradually to the holding force of the locked device
+ * while a given length of rope slips through the device. The belayer can hold the cam open, which prevents the device from locking.
+ */
+class AssistedBrakingDevice extends BelayDevice {
+  /**
+   * Create a new assisted-braking belay device
+   * @param {number} [brakeHandForce=200] the force (in Newton) with which the belayer's braking hand holds the rope
+   * @param {number} [frictionCoefficient=0.3] the friction coefficient between rope and device (relevant while the device is unlocked)
+   * @param {number} [lockSpeed=0.5] the slip speed of the rope (in m/s) above which the cam is triggered
+   * @param {number} [lockTension=2000] the rope tension (in Newton) above which the cam is triggered (should exceed the holding force of
+   *                               the unlocked device, otherwise the cam is triggered before the rope slips)
+   * @param {number} [lockDelay=0.01] the time (in seconds) between the triggering of the cam and the cam starting to pinch the rope
+   * @param {number} [slipBeforeLock=0.05] the length of rope (in meters) slipping through the device while the cam closes
+   * @param {number} [camReleaseTime=0] the time (in seconds) up to which the belayer holds the cam open (0 if the cam is not held open)
+   * @param {number} [lockedHoldingForce=6000] the holding force (in Newton) of the locked device
+   */
+  constructor(brakeHandForce = 200, frictionCoefficient = 0.3, lockSpeed = 0.5, lockTension = 2000, lockDelay = 0.01, slipBeforeLock = 0.05, camReleaseTime = 0, lockedHoldingForce = 6000) {
+    super(brakeHandForce, frictionCoefficient);
+    /** @type {string} a name for the belay device */
+    this.name = 'assisted-braking device';
+    /** @type {number} the slip speed of the rope (in m/s) above which the cam is triggered */
+    this.lockSpeed = lockSpeed;
+    /** @type {number} the rope tension (in Newton) above which the cam is triggered */
+    this.lockTension = lockTension;
+    /** @type {number} the time (in seconds) between the triggering of the cam and the cam starting to pinch the rope */
+    this.lockDelay = lockDelay;
+    /** @type {number} the length of rope (in meters) slipping through the device while the cam closes */
+    this.slipBeforeLock = slipBeforeLock;
+    /** @type {number} the time (in seconds) up to which the belayer holds the cam open (0 if the cam is not held open) */
+    this.camReleaseTime = camReleaseTime;
+    /** @type {number} the holding force (in Newton) of the locked device */
+    this.lockedHoldingForce = lockedHoldingForce;
+    /** @type {number|null} the time (in seconds) at which the cam was triggered (null if not triggered yet) */
+    this.triggerTime = null;
+    /** @type {number|null} the length of rope (in meters) which had slipped through the device when the cam started pinching the rope */
+    this.engagementSlip = null;
+    /** @type {number} how far the cam has closed (0 = open, 1 = locked) */
+    this.engagement = 0;
+    /** @type {number|null} the time (in seconds) at which the device locked (null if the device has not locked yet) */
+    this.lockTime = null;
+  }
+
+  /**
+   * The maximal rope tension (in Newton) which the device can currently hold without the rope slipping
+   * @type {number}
+   */
+  get holdingForce() {
+    const unlockedHoldingForce = super.holdingForce;
+    return unlockedHoldingForce + this.engagement * (this.lockedHoldingForce - unlockedHoldingForce);
+  }
+
+  /**
+   * Execute a time step for the belay device: update the state of the cam, then update the slip speed of the rope (see BelayDevice)
+   * @param {number} delta the length of the time step in seconds
+   * @param {number} tension the current rope tension (in Newton) at the device
+   * @param {number} ropeMass the mass (in kilograms) of the rope which is set in motion when slipping
+   * @return {number} the length of rope (in meters) which slipped through the device during the time step
+   */
+  timeStep(delta, tension, ropeMass) {
+    if (this.lockTime === null) {
+      if (this.triggerTime === null && this.time >= this.camReleaseTime && (this.slipSpeed > this.lockSpeed || tension > this.lockTension))
+        this.triggerTime = this.time;
+      if (this.triggerTime !== null && this.time >= this.triggerTime + this.lockDelay) { // the cam pinches the rope
+        if (this.engagementSlip === null)
+          this.engagementSlip = this.slippedRope;
+        if (this.slipSpeed == 0 || this.slipBeforeLock <= 0) // the rope does not move, so the cam can close completely
+          this.engagement = 1;
+        else
+          this.engagement = Math.min(1, (this.slippedRope - this.engagementSlip) / this.slipBeforeLock);
+        if (this.engagement >= 1)
+          this.lockTime = this.time;
+      }
     }
+    return super.timeStep(delta, tension, ropeMass);
+  }
+
+  /**
+   * Prepare the device for the next fall of a fall series (see BelayDevice.reset): the cam is open again. The belayer does not
+   * hold the cam open any more (camReleaseTime only applies to the first fall).
+   */
+  reset() {
+    super.reset();
+    this.triggerTime = null;
+    this.engagementSlip = null;
+    this.engagement = 0;
+    this.lockTime = null;
+  }
+
+  /**
+   * Capture information about the current state of the belay device
+   * @return {BelayDeviceSnapshot} a snapshot of the current state of the belay device
+   */
+  captureSnapshot() {
+    return {
+      type: 'assisted-braking',
+      slipSpeed: this.slipSpeed,
+      holdingForce: this.holdingForce,
+      lockTime: this.lockTime
+    };
+  }
+}
+
+/**
+ * @typedef {Object} BelayAction an action of the belayer, scripted at a given time
+ * @property {'jump'|'step'|'pay-out'|'take-in'} type the type of the action: a jump (upwards), a step towards the wall, or paying out or taking in rope
+ * @property {number} time the time (in seconds) at which the action starts, measured from the moment the belayer reacts (see BelayActionTimeline)
+ * @property {number} amount the height of the jump, the length of the step, or the length of rope paid out or taken in (in meters)
+ * @property {number} duration the duration of the action in seconds
+ */
+
+/**
+ * A timeline of scripted actions of the belayer at end1 of a rope. Jumps and steps are modelled as forces applied to the belayer,
+ * paying out and taking in rope as rest length changes of the first rope segment (see Rope.feedRope). All actions are delayed by
+ * the reaction time of the belayer.
+ */
+class BelayActionTimeline {
+  /**
+   * Create a new timeline of belay actions
+   * @param {BelayAction[]} [actions] the scripted belay actions
+   * @param {number} [reactionDelay=0] the reaction time of the belayer in seconds (added to the start times of all actions)
+   * @param {V} [towardsWall] horizontal vector of length 1 pointing from the belayer towards the wall (direction of steps)
+   */
+  constructor(actions = [], reactionDelay = 0, towardsWall = new V(-1, 0, 0)) {
+    /** @type {BelayAction[]} the scripted belay actions */
+    this.actions = actions;
+    /** @type {number} the reaction time of the belayer in seconds (added to the start times of all actions) */
+    this.reactionDelay = reactionDelay;
+    /** @type {V} horizontal vector of length 1 pointing from the belayer towards the wall */
+    this.towardsWall = towardsWall;
+    /** @type {number} local time of the timeline (in seconds), updated whenever a time step is performed */
+    this.time = 0;
+    /** @type {boolean} whether the jumps and steps are applied to the belayer (false if the belayer also holds another rope whose timeline applies them) */
+    this.movesBelayer = true;
+  }
+
+  /**
+   * Get the part of a time interval during which a given action is executed
+   * @param {BelayAction} action the belay action
+   * @param {number} from the start of the time interval in seconds
+   * @param {number} to the end of the time interval in seconds
+   * @return {number} the length of the overlap of the time interval with the execution of the action (in seconds)
+   */
+  activeDuration(action, from, to) {
+    const start = this.reactionDelay + action.time;
+    return Math.max(0, Math.min(to, start + action.duration) - Math.max(from, start));
+  }
+
+  /**
+   * Apply the forces of the currently executed jumps and steps to the belayer. A jump pushes the belayer upwards with the force which
+   * would accelerate them (without rope) to the take-off speed of a jump of the given height within the duration of the action.
+   * A step accelerates the belayer towards the wall during the first half of the action, and decelerates them during the second half.
+   * @param {Body} belayer the body of the belayer
+   */
+  applyForces(belayer) {
+    if (belayer.mass <= 0 || !this.movesBelayer) return;
+    let stepping = false;
+    for (const action of this.actions) {
+      if (this.time < this.reactionDelay + action.time || this.time >= this.reactionDelay + action.time + action.duration) continue;
+      if (action.type === 'jump' && typeof belayer.lastGravityVector !== 'undefined') {
+        const gravity = belayer.lastGravityVector.norm();
+        const takeOffSpeed = Math.sqrt(2 * gravity * action.amount);
+        belayer.applyForce(belayer.lastGravityVector.normalize().times(-belayer.mass * (gravity + takeOffSpeed / action.duration)));
+      } else if (action.type === 'step') {
+        const acceleration = 4 * action.amount / (action.duration * action.duration); // covers the step length in the given duration
+        const accelerating = (this.time < this.reactionDelay + action.time + 0.5 * action.duration);
+        belayer.applyForce(this.towardsWall.times((accelerating ? 1 : -1) * belayer.mass * acceleration));
+        stepping = true;
+      }
+    }
+    if (belayer instanceof StandingBelayer)
+      belayer.stepping = stepping;
+  }
+
+  /**
+   * Execute a time step for the timeline
+   * @param {number} delta the length of the time step in seconds
+   * @return {number} the length of rope (in meters) paid out during the time step (negative if rope was taken in)
+   */
+  timeStep(delta) {
+    let fedRope = 0;
+    for (const action of this.actions) {
+      if (action.type === 'pay-out')
+        fedRope += action.amount * this.activeDuration(action, this.time, this.time + delta) / action.duration;
+      else if (action.type === 'take-in')
+        fedRope -= action.amount * this.activeDuration(action, this.time, this.time + delta) / action.duration;
+    }
+    this.time += delta;
+    return fedRope;
   }
 }
 
@@ -965,6 +1701,8 @@ class Body {
     this.velocity = new V(0, 0, 0);
     /** @type {V} current forces applied to the body (in Newton); forces are applied in every time step of the simulation */
     this.appliedForces = new V(0, 0, 0);
+    /** @type {V} force (in Newton) by which constraints have acted on the body since its last time step (see recordConstraintImpulse); only counted in the force readouts, not applied */
+    this.constraintForce = new V(0, 0, 0);
     /** @type {number} mass of the body (in kilograms) */
     this.mass = mass;
     /** @type {number} damping coefficient for the velocity (1 = no damping, 0 = body doesn't move, all velocity absorbed immediately) */
@@ -998,6 +1736,32 @@ class Body {
     this.drawingRadius = 0.07; // default is 7 cm
     /** @type {PhysicsWorld} the parent world of this body */
     this.parentWorld = null;
+
+    /** @type {V|null} velocity (in m/s) used for the position update in the next time step instead of the updated velocity (set by multi-stage integrators, see PhysicsWorld) */
+    this.driftVelocity = null;
+    /** @type {V|null} acceleration (in m/s^2) used in the last velocity Verlet step (null if there was no such step) */
+    this.verletAcceleration = null;
+    /** @type {number} length (in seconds) of the last velocity Verlet step */
+    this.verletDelta = 0;
+    /** @type {[V, V, V]|null} rows of the stiffness matrix (in N/m) of the springs currently pulling on the body (only tracked for the implicit Euler integrator) */
+    this.springStiffness = null;
+    /** @type {number} sum of the stiffnesses (in N/m) of the springs currently pulling on the body */
+    this.springStiffnessSum = 0;
+
+    /** @type {number} sum of the contact impulses (in Newton seconds) with barriers since the last snapshot was captured */
+    this.contactImpulse = 0;
+    /** @type {string[]} names of the barriers which the body has touched since the last snapshot was captured */
+    this.contactBarriers = [];
+    /** @type {number} running maximum of contactImpulse at the times when snapshots were captured */
+    this.maxContactImpulse = 0;
+  }
+
+  /**
+   * The numerical integrator used for the time steps of this body (determined by the parent world, semi-implicit Euler if there is no parent world)
+   * @type {Integrator}
+   */
+  get integrator() {
+    return (this.parentWorld !== null && typeof this.parentWorld === 'object') ? this.parentWorld.integrator : 'semi-implicit-euler';
   }
 
   /**
@@ -1005,6 +1769,8 @@ class Body {
    */
   clearForces() {
     this.appliedForces = new V(0, 0, 0);
+    this.springStiffness = null;
+    this.springStiffnessSum = 0;
   }
 
   /**
@@ -1025,9 +1791,54 @@ class Body {
     this.lastGravityVector = f;
   }
 
+  /**
+   * Record the impulse by which a constraint (e.g. a sling at its maximal extension, see StaticSling.limitExtension) has acted on
+   * the body. The velocity change has to be applied separately (if any), the impulse is only counted as a force in the next time step
+   * of the body, so that the force readouts (averaged over forceAvgWindow) include it.
+   * @param {V} impulse the impulse (in Newton seconds)
+   * @param {number} delta the length of the time step in seconds during which the constraint has acted
+   */
+  recordConstraintImpulse(impulse, delta) {
+    this.constraintForce = this.constraintForce.plus(impulse.times(1 / delta));
+  }
+
+  /**
+   * Record the impulse of a contact with a barrier (see PhysicsWorld.ensureBarrierConstraints)
+   * @param {V} impulse the contact impulse (in Newton seconds)
+   * @param {string} barrierName the name of the barrier
+   */
+  recordContactImpulse(impulse, barrierName) {
+    this.contactImpulse += impulse.norm();
+    if (!this.contactBarriers.includes(barrierName))
+      this.contactBarriers.push(barrierName);
+  }
+
+  /**
+   * Register the stiffness of a spring pulling on the body. The stiffness matrix is only tracked if the body uses the implicit Euler
+   * integrator, which needs it to treat the (stiff) spring forces implicitly; the sum of the stiffnesses is always tracked.
+   * @param {V} direction the direction of the spring at the body (length 1)
+   * @param {number} stiffness the stiffness of the spring in N/m (see Spring.stiffness)
+   */
+  addSpringStiffness(direction, stiffness) {
+    if (this.mass <= 0 || stiffness <= 0) return;
+    this.springStiffnessSum += stiffness;
+    if (this.integrator !== 'implicit-euler') return;
+    if (this.springStiffness === null)
+      this.springStiffness = [new V(0, 0, 0), new V(0, 0, 0), new V(0, 0, 0)];
+    // add stiffness * direction * direction^T
+    this.springStiffness = this.springStiffness.map((row, i) => row.plus(direction.times(stiffness * direction.arr[i])));
+  }
+
   /**
    * Execute a time step for this body. Accelerates the body according to the forces which are currently applied, and moves the body
-   * according to its current speed.
+   * according to its current speed. The details depend on the integrator of the parent world:
+   * - semi-implicit-euler: the velocity is updated first, and the updated velocity is used to move the body
+   * - velocity-verlet: the body is moved using the current velocity and acceleration, the velocity update is completed in the next
+   *   time step (when the acceleration at the new position is known); in between, the velocity is a prediction
+   * - rk4: like semi-implicit-euler, but the parent world supplies averaged forces and a drift velocity (see PhysicsWorld.prepareRungeKuttaStep)
+   * - implicit-euler: like semi-implicit-euler, but the spring forces are evaluated at the end of the time step (linearized,
+   *   using the registered spring stiffness), which damps the high-frequency oscillations of stiff springs. The linearized system is
+   *   solved for every body separately (the 3x3 system of its own velocity), so this is not a fully implicit step of the whole world
    * @param {number} delta the length of the time step in seconds
    * @param {boolean} [clearForces=true] whether to clear all forces currently applied to the body
    * @param {boolean} [applyChanges=true] whether to update the body position (default is true). Velocity is always updated
@@ -1035,7 +1846,8 @@ class Body {
    */
   timeStep(delta, clearForces = true, applyChanges = true) {
     this.time += delta; // update local body time
-    const cForce = this.appliedForces.norm(); // current force (in Newton) acting on the body
+    const cForce = this.appliedForces.plus(this.constraintForce).norm(); // current force (in Newton) acting on the body
+    this.constraintForce = new V(0, 0, 0);
     this.runningAvgForce += delta * cForce; // update weighted force sum
     this.runningForces.push(cForce); // push to forces array containing all forces within the averaging window
     this.runningTimeDeltas.push(delta); // do the same for the time step length
@@ -1046,11 +1858,31 @@ class Body {
       this.runningTimeDeltas.shift();
       this.runningForces.shift();
     }
+    let displacement = this.velocity.times(delta);
     if (this.mass > 0) { // if the body can move
       const acceleration = this.appliedForces.times(1 / this.mass); // calculate acceleration
-      this.velocity = this.velocity.plus(acceleration.times(delta)).times(Math.pow(this.velocityDamping, delta)); // update velocity, including potential damping
+      const integrator = this.integrator;
+      if (integrator === 'velocity-verlet') {
+        if (this.verletAcceleration !== null) // complete the velocity update of the previous step: v = v_old + (a_old + a) / 2 * delta_old
+          this.velocity = this.velocity.plus(acceleration.minus(this.verletAcceleration).times(0.5 * this.verletDelta));
+        displacement = this.velocity.times(delta).plus(acceleration.times(0.5 * delta * delta));
+        this.velocity = this.velocity.plus(acceleration.times(delta)).times(Math.pow(this.velocityDamping, delta)); // predicted velocity, corrected in the next step
+        this.verletAcceleration = acceleration;
+        this.verletDelta = delta;
+      } else if (integrator === 'implicit-euler' && this.springStiffness !== null) {
+        // solve (m + delta^2 * K) v_new = m * v + delta * F, where K is the stiffness matrix of the attached springs
+        const massRows = [new V(this.mass, 0, 0), new V(0, this.mass, 0), new V(0, 0, this.mass)];
+        const rows = this.springStiffness.map((row, i) => row.times(delta * delta).plus(massRows[i]));
+        const rhs = this.velocity.times(this.mass).plus(this.appliedForces.times(delta));
+        this.velocity = solveLinearSystem3(rows, rhs).times(Math.pow(this.velocityDamping, delta));
+        displacement = this.velocity.times(delta);
+      } else {
+        this.velocity = this.velocity.plus(acceleration.times(delta)).times(Math.pow(this.velocityDamping, delta)); // update velocity, including potential damping
+        displacement = (this.driftVelocity !== null ? this.driftVelocity : this.velocity).times(delta);
+      }
+      this.driftVelocity = null;
       if (applyChanges)
-        this.pos = this.pos.plus(this.velocity.times(delta)); // update body position
+        this.pos = this.pos.plus(displacement); // update body position
     }
     // update current averaged force and the maximum force the body has been subjected to
     this.currentAveragedForce = (this.runningAvgForce - (this.runningTimeSum - this.forceAvgWindow) * this.runningForces[0]) / this.forceAvgWindow;
@@ -1058,9 +1890,20 @@ class Body {
     this.maxSpeed = Math.max(this.maxSpeed, this.velocity.norm());
     if (clearForces) this.clearForces();
     if (!applyChanges)
-      return this.velocity.times(delta); // return displacement if the displacement was not actually applied
+      return displacement; // return displacement if the displacement was not actually applied
   }
   
+  /**
+   * Estimate of the largest time step (in seconds) for which the explicit integration of the springs currently pulling on the body
+   * remains stable (Infinity if the body cannot move or if the spring forces are treated implicitly)
+   * @type {number}
+   */
+  get maxStableTimeStep() {
+    if (this.mass <= 0 || this.springStiffnessSum <= 0 || this.integrator === 'implicit-euler')
+      return Infinity;
+    return Math.sqrt(2 * this.mass / this.springStiffnessSum); // the highest angular frequency is at most sqrt(2 * springStiffnessSum / mass)
+  }
+
   /**
    * The current kinetic energy of the body (in Joule)
    * @type {number}
@@ -1080,10 +1923,17 @@ class Body {
   }
 
   /**
-   * Capture information about the current state of the body
+   * Capture information about the current state of the body. Resets the contact impulse recorded since the last snapshot.
    * @return {ObjectSnapshot} a snapshot of the current state of the body
    */
   captureSnapshot() {
+    const contact = {
+      impulse: this.contactImpulse,
+      barriers: this.contactBarriers
+    };
+    this.maxContactImpulse = Math.max(this.maxContactImpulse, this.contactImpulse);
+    this.contactImpulse = 0;
+    this.contactBarriers = [];
     if (this.ignoreInGraphs) {
       return {
         type: 'point mass',
@@ -1123,8 +1973,396 @@ class Body {
       runningMaxima: {
         speed: this.maxSpeed,
         force: this.maxForce,
-        forceAvgWindow: this.forceAvgWindow
+        forceAvgWindow: this.forceAvgWindow,
+        contactImpulse: this.maxContactImpulse
+      },
+      contact
+    };
+  }
+}
+
+/**
+ * A belayer standing with their feet on the (horizontal) ground. The belayer stays on the ground as long as the forces applied to them
+ * (rope forces and gravity) push them against the ground, and the friction of the feet keeps them in place as long as the horizontal
+ * force does not exceed it. Otherwise, the belayer steps (slides) along the ground, or is lifted off. When falling back onto the ground,
+ * the belayer lands and stands still. Lift-off, lift height, travel towards the wall and landing speed are recorded.
+ */
+class StandingBelayer extends Body {
+  /**
+   * Create a new standing belayer
+   * @param {number} [x=0] x coordinate of the belayer (in meters)
+   * @param {number} [y=0] y coordinate of the belayer (in meters); the belayer stands on the ground if y is at most the ground height
+   * @param {number} [z=0] z coordinate of the belayer (in meters)
+   * @param {number} [mass=70] mass of the belayer (in kilograms)
+   * @param {number} [groundHeight=0] the height (y coordinate) of the ground in meters
+   * @param {V} [towardsWall] horizontal vector of length 1 pointing from the belayer towards the wall (used for measuring the travel of the belayer)
+   * @param {number} [footFriction=0.8] the friction coefficient between the belayer's feet and the ground
+   */
+  constructor(x = 0, y = 0, z = 0, mass = 70, groundHeight = 0, towardsWall = new V(-1, 0, 0), footFriction = 0.8) {
+    super(x, y, z, mass, 'belayer');
+    /** @type {number} the height (y coordinate) of the ground in meters */
+    this.groundHeight = groundHeight;
+    /** @type {V} horizontal vector of length 1 pointing from the belayer towards the wall */
+    this.towardsWall = towardsWall;
+    /** @type {number} the friction coefficient between the belayer's feet and the ground */
+    this.footFriction = footFriction;
+    /** @type {V} the initial position of the belayer (in meters) */
+    this.startPos = this.pos;
+    /** @type {boolean} whether the belayer currently stands on the ground */
+    this.grounded = (y <= groundHeight + PHYSICS_GLOBALS.EPS);
+    /** @type {number|null} the time (in seconds) at which the belayer was first lifted off the ground (null if not lifted off yet) */
+    this.liftOffTime = null;
+    /** @type {number} running maximum of the height (in meters) of the belayer above the ground */
+    this.maxLiftHeight = 0;
+    /** @type {number} running maximum of the distance (in meters) the belayer has moved towards the wall */
+    this.maxTravel = 0;
+    /** @type {number|null} the highest speed (in m/s) at which the belayer has landed on the ground (null if not landed yet) */
+    this.landingSpeed = null;
+    /** @type {boolean} whether the belayer is currently taking a step on purpose (the feet do not grip the ground, see BelayActionTimeline) */
+    this.stepping = false;
+  }
+
+  /**
+   * Execute a time step for the belayer (see Body.timeStep). While the belayer stands on the ground, the ground reaction force cancels
+   * the downward force, and the friction of the feet opposes the horizontal force.
+   * @param {number} delta the length of the time step in seconds
+   * @param {boolean} [clearForces=true] whether to clear all forces currently applied to the body
+   * @param {boolean} [applyChanges=true] whether to update the body position (default is true). Velocity is always updated
+   * @return {void|V} see Body.timeStep
+   */
+  timeStep(delta, clearForces = true, applyChanges = true) {
+    if (this.grounded && this.appliedForces.y > 0) { // the rope pulls the belayer up with more than their weight => lift-off
+      this.grounded = false;
+      if (this.liftOffTime === null)
+        this.liftOffTime = this.time;
+    }
+    let wasSliding = false;
+    if (this.grounded) {
+      const horizontalForce = new V(this.appliedForces.x, 0, this.appliedForces.z);
+      const frictionLimit = this.stepping ? 0 : this.footFriction * -this.appliedForces.y; // friction is proportional to the force pushing the feet against the ground
+      const horizontalVelocity = new V(this.velocity.x, 0, this.velocity.z);
+      wasSliding = horizontalVelocity.norm() > PHYSICS_GLOBALS.EPS;
+      if (wasSliding) // kinetic friction opposes the movement
+        this.appliedForces = horizontalForce.minus(horizontalVelocity.normalize().times(frictionLimit));
+      else if (horizontalForce.norm() > frictionLimit) // static friction is exceeded => the belayer starts stepping
+        this.appliedForces = horizontalForce.times(1 - frictionLimit / horizontalForce.norm());
+      else // static friction keeps the feet in place
+        this.appliedForces = new V(0, 0, 0);
+      this.velocity = horizontalVelocity;
+    }
+    const previousVelocity = this.velocity;
+    const result = super.timeStep(delta, clearForces, applyChanges);
+    if (this.grounded) {
+      // the belayer stops stepping once kinetic friction reverses the direction of movement
+      const velocity = (wasSliding && this.velocity.dot(previousVelocity) <= 0) ? new V(0, 0, 0) : new V(this.velocity.x, 0, this.velocity.z);
+      this.velocity = velocity;
+      this.pos = new V(this.pos.x, this.groundHeight, this.pos.z);
+    } else if (this.pos.y <= this.groundHeight && this.velocity.y < 0) { // landing
+      this.landingSpeed = Math.max(this.landingSpeed === null ? 0 : this.landingSpeed, this.velocity.norm());
+      this.grounded = true;
+      this.velocity = new V(0, 0, 0);
+      this.verletAcceleration = null;
+      this.pos = new V(this.pos.x, this.groundHeight, this.pos.z);
+    }
+    this.maxLiftHeight = Math.max(this.maxLiftHeight, this.pos.y - this.groundHeight);
+    this.maxTravel = Math.max(this.maxTravel, this.pos.minus(this.startPos).dot(this.towardsWall));
+    return result;
+  }
+
+  /**
+   * Capture information about the current state of the belayer, including the ground contact statistics
+   * @return {ObjectSnapshot} a snapshot of the current state of the belayer
+   */
+  captureSnapshot() {
+    const snapshot = super.captureSnapshot();
+    if (this.ignoreInGraphs)
+      return snapshot;
+    snapshot.groundContact = {
+      grounded: this.grounded,
+      liftOffTime: this.liftOffTime,
+      maxLiftHeight: this.maxLiftHeight,
+      maxTravel: this.maxTravel,
+      landingSpeed: this.landingSpeed
+    };
+    return snapshot;
+  }
+}
+
+/**
+ * A fixed obstacle of finite size (e.g. a volume, a ledge, or a part of a dihedral), given as a convex polyhedron. Movable bodies
+ * (with positive mass) which enter the obstacle are pushed out through its closest face (see PhysicsWorld.ensureBarrierConstraints).
+ */
+class Obstacle extends Body {
+  /**
+   * Create a new obstacle
+   * @param {ConvexPolyhedron} shape the shape of the obstacle
+   * @param {string} [name='obstacle'] a name for the obstacle
+   * @param {number} [friction=0] the friction coefficient for bodies sliding along the obstacle
+   * @param {number} [restitution=0] the restitution coefficient of the obstacle (0: bodies do not bounce off, 1: bodies bounce off without losing speed)
+   */
+  constructor(shape, name = 'obstacle', friction = 0, restitution = 0) {
+    super(...shape.anyPoint.arr, 0, name);
+    /** @type {ConvexPolyhedron} the shape of the obstacle */
+    this.shape = shape;
+    /** @type {number} the friction coefficient for bodies sliding along the obstacle */
+    this.friction = friction;
+    /** @type {number} the restitution coefficient of the obstacle */
+    this.restitution = restitution;
+    /** @type {[number, number, number][][]} the corners of every face of the obstacle (computed once, as the obstacle does not move) */
+    this.faceCorners = shape.faceVertices().map(face => face.map(v => v.arr));
+    this.drawingColor = new Color(62, 43, 62);
+    this.ignoreInGraphs = true;
+  }
+
+  /**
+   * Capture information about the obstacle
+   * @return {ObjectSnapshot} a snapshot of the obstacle
+   */
+  captureSnapshot() {
+    return {
+      type: 'obstacle',
+      id: `${this.name} [${this.id}]`,
+      name: this.name,
+      visibleState: {
+        faces: this.faceCorners,
+        color: this.drawingColor
       }
     };
   }
 }
+
+/**
+ * A point at which a rope bends over an edge of a barrier or an obstacle. It acts as a fixed deflection point of a rope segment,
+ * so that the rope slides over the edge with capstan friction. It is inserted and removed, and moved along the edge, by
+ * PhysicsWorld.updateRopeEdgeContacts.
+ */
+class EdgeContactPoint extends Body {
+  /**
+   * Create a new edge contact point
+   * @param {RopeEdge} edge the edge over which the rope bends
+   * @param {V} pos the position of the contact point on the edge
+   * @param {number} frictionCoefficient the friction coefficient between the rope and the edge
+   */
+  constructor(edge, pos, frictionCoefficient) {
+    super(...pos.arr, 0, 'edge');
+    /** @type {RopeEdge} the edge over which the rope bends */
+    this.edge = edge;
+    this.frictionCoefficient = frictionCoefficient;
+  }
+}
+
+/**
+ * A bolt or the carabiner of a quickdraw through which the rope runs. The resultant force vector acting on the protection point (the
+ * load) is averaged over small time frames (like the force magnitudes of bodies), and its peak is recorded together with its direction.
+ * The load on a carabiner is the vector sum of the rope tensions on both of its sides, which includes the friction of the rope running
+ * through it. The load on a bolt is the sum of all forces applied to it (i.e., by the sling of the quickdraw).
+ */
+class ProtectionPoint extends Body {
+  /**
+   * Create a new bolt or quickdraw carabiner
+   * @param {number} [x=0] x coordinate of the protection point (in meters)
+   * @param {number} [y=0] y coordinate of the protection point (in meters)
+   * @param {number} [z=0] z coordinate of the protection point (in meters)
+   * @param {number} [mass=0] mass of the protection point (in kilograms), 0 if it is fixed
+   * @param {string} [name='quickdraw'] a name for the protection point
+   * @param {number|null} [drawIndex=0] the index of the quickdraw to which the protection point belongs (0 for the lowest quickdraw, null
+   *                                    if it does not belong to a quickdraw)
+   * @param {'carabiner'|'bolt'} [component='carabiner'] whether the protection point is a carabiner (loaded by the rope) or a bolt
+   * @param {ProtectionRole} [role='draw'] what the protection point is part of
+   */
+  constructor(x = 0, y = 0, z = 0, mass = 0, name = 'quickdraw', drawIndex = 0, component = 'carabiner', role = 'draw') {
+    super(x, y, z, mass, name);
+    /** @type {ProtectionRole} what the protection point is part of */
+    this.role = role;
+    /** @type {number|null} the index of the quickdraw to which the protection point belongs (0 for the lowest quickdraw, null if it does not belong to a quickdraw) */
+    this.drawIndex = drawIndex;
+    /** @type {'carabiner'|'bolt'} whether the protection point is a carabiner (loaded by the rope) or a bolt */
+    this.component = component;
+    /** @type {V} sum of the rope forces (in Newton) currently applied to the protection point */
+    this.ropeForce = new V(0, 0, 0);
+    /** @type {V} the load vector (in Newton) during the last time step */
+    this.currentLoad = new V(0, 0, 0);
+    /** @type {{load: V, delta: number}[]} load vectors and time step lengths (in seconds) within the current averaging window */
+    this.runningLoads = [];
+    /** @type {V} weighted sum of the load vectors in runningLoads (weights are the corresponding time step lengths) */
+    this.runningLoadSum = new V(0, 0, 0);
+    /** @type {V} current load vector (in Newton), averaged over a small time frame */
+    this.averagedLoad = new V(0, 0, 0);
+    /** @type {number} running maximum of the magnitude of the averaged load vector (in Newton) */
+    this.maxLoad = 0;
+    /** @type {V|null} direction (length 1) of the averaged load vector at the time of its peak (null if there has been no load yet) */
+    this.maxLoadDirection = null;
+    /** @type {number} the magnitude of the averaged load (in Newton) at which the protection fails if it is loaded straight down */
+    this.strength = Infinity;
+    /** @type {number|null} the strength (in Newton) if the protection is loaded sideways or upwards (null if the strength does not depend on the direction) */
+    this.sideStrength = null;
+    /** @type {ProtectionPoint|null} the protection point holding this one on the wall (e.g. the bolt of a carabiner attached via a sling), which fails instead of this one */
+    this.anchor = null;
+    /** @type {number|null} the time (in seconds) at which the protection failed (null if it has not failed (yet)) */
+    this.failureTime = null;
+    /** @type {number|null} the magnitude of the averaged load (in Newton) at which the protection failed (null if it has not failed (yet)) */
+    this.failureLoad = null;
+  }
+
+  /**
+   * Whether the protection point has failed (or the protection point holding it on the wall, see anchor), i.e., whether a rope
+   * should no longer run through it
+   * @type {boolean}
+   */
+  get hasFailed() {
+    return (this.anchor !== null) ? this.anchor.hasFailed : (this.failureTime !== null);
+  }
+
+  /**
+   * Get the strength of the protection point for a load in a given direction. Between a load straight down (see strength) and a
+   * load orthogonal to it (see sideStrength), the strength is interpolated elliptically; upward loads are treated like sideways ones.
+   * @param {V} direction the direction of the load (length 1)
+   * @return {number} the strength in Newton
+   */
+  strengthInDirection(direction) {
+    if (this.sideStrength === null) return this.strength;
+    const cosAngle = -direction.y; // cosine of the angle between the load and straight down
+    if (cosAngle <= 0) return this.sideStrength;
+    const sinAngle = Math.sqrt(Math.max(0, 1 - cosAngle * cosAngle));
+    return 1 / Math.sqrt((cosAngle / this.strength) ** 2 + (sinAngle / this.sideStrength) ** 2);
+  }
+
+  /**
+   * Clear all forces currently applied to the protection point
+   */
+  clearForces() {
+    super.clearForces();
+    this.ropeForce = new V(0, 0, 0);
+  }
+
+  /**
+   * Record a force applied to the protection point by a rope running through it (the force itself has to be applied separately)
+   * @param {V} f the force (in Newton)
+   */
+  recordRopeForce(f) {
+    this.ropeForce = this.ropeForce.plus(f);
+  }
+
+  /**
+   * Execute a time step for this protection point (see Body.timeStep). Updates the averaged load vector and its running maximum.
+   * @param {number} delta the length of the time step in seconds
+   * @param {boolean} [clearForces=true] whether to clear all forces currently applied to the protection point
+   * @param {boolean} [applyChanges=true] whether to update the position (see Body.timeStep)
+   * @return {void|V} see Body.timeStep
+   */
+  timeStep(delta, clearForces = true, applyChanges = true) {
+    this.currentLoad = (this.component === 'carabiner') ? this.ropeForce : this.appliedForces.plus(this.constraintForce);
+    this.runningLoads.push({ load: this.currentLoad, delta });
+    this.runningLoadSum = this.runningLoadSum.plus(this.currentLoad.times(delta));
+    const displacement = super.timeStep(delta, clearForces, applyChanges);
+    while (this.runningLoads.length > this.runningTimeDeltas.length) { // forget the values which Body.timeStep has removed from the averaging window
+      const oldest = this.runningLoads.shift();
+      this.runningLoadSum = this.runningLoadSum.minus(oldest.load.times(oldest.delta));
+    }
+    // average the same way as the force magnitudes (see Body.timeStep)
+    this.averagedLoad = this.runningLoadSum.minus(this.runningLoads[0].load.times(this.runningTimeSum - this.forceAvgWindow)).times(1 / this.forceAvgWindow);
+    const averagedLoadNorm = this.averagedLoad.norm();
+    if (averagedLoadNorm > this.maxLoad) {
+      this.maxLoad = averagedLoadNorm;
+      this.maxLoadDirection = this.averagedLoad.times(1 / averagedLoadNorm);
+    }
+    if (this.failureTime === null && averagedLoadNorm > PHYSICS_GLOBALS.EPS && averagedLoadNorm > this.strengthInDirection(this.averagedLoad.times(1 / averagedLoadNorm))) {
+      this.failureTime = this.time;
+      this.failureLoad = averagedLoadNorm;
+    }
+    return displacement;
+  }
+
+  /**
+   * Capture information about the current state of the protection point (see Body.captureSnapshot). The forces and their running
+   * maximum refer to the load of the protection point.
+   * @return {ObjectSnapshot} a snapshot of the current state of the protection point
+   */
+  captureSnapshot() {
+    const snapshot = super.captureSnapshot();
+    if (snapshot.hasOwnProperty('forces')) {
+      snapshot.forces.current = this.currentLoad.norm();
+      snapshot.forces.average = this.averagedLoad.norm();
+      snapshot.runningMaxima.force = this.maxLoad;
+    }
+    snapshot.load = {
+      role: this.role,
+      drawIndex: this.drawIndex,
+      component: this.component,
+      current: this.averagedLoad.arr,
+      peak: this.maxLoad,
+      peakDirection: (this.maxLoadDirection !== null) ? this.maxLoadDirection.arr : null,
+      failureTime: this.failureTime,
+      failureLoad: this.failureLoad
+    };
+    return snapshot;
+  }
+}
+
+/**
+ * A climber or the falling mass of a drop test bench (see ClimbingFallWorld.setupDropTest), which records the results of a series of
+ * falls on the same rope (see ClimbingFallWorld.resetFall). The measurements are supplied by the climbing fall world, as they depend on the rope.
+ */
+class FallSeriesMass extends Body {
+  /**
+   * Create a new mass recording a fall series
+   * @param {number} [x=0] x coordinate of the mass (in meters)
+   * @param {number} [y=0] y coordinate of the mass (in meters)
+   * @param {number} [z=0] z coordinate of the mass (in meters)
+   * @param {number} [mass=80] the mass (in kilograms), 80 kg for single ropes according to the UIAA 101 standard
+   * @param {string} [name='falling mass'] a name for the mass
+   * @param {number} [ropeStrength=Infinity] the impact force (in Newton) beyond which the rope does not hold a fall
+   */
+  constructor(x = 0, y = 0, z = 0, mass = 80, name = 'falling mass', ropeStrength = Infinity) {
+    super(x, y, z, mass, name);
+    /** @type {number} the impact force (in Newton) beyond which the rope does not hold a fall */
+    this.ropeStrength = ropeStrength;
+    /** @type {FallResultSnapshot[]} the results of all falls so far (the last entry belongs to the current fall) */
+    this.fallResults = [];
+    this.startFall();
+  }
+
+  /**
+   * Start recording a new fall
+   */
+  startFall() {
+    this.fallResults.push({ impactForce: 0, anchorForce: 0, dynamicElongation: 0, held: true });
+  }
+
+  /**
+   * Record measurements of the current fall
+   * @param {number} impactForce the current rope tension (in Newton) at the mass
+   * @param {number} anchorForce the current rope tension (in Newton) at the belayer or the anchor
+   * @param {number} elongation the current elongation of the rope, relative to its rest length
+   */
+  recordFall(impactForce, anchorForce, elongation) {
+    const result = this.fallResults[this.fallResults.length - 1];
+    result.impactForce = Math.max(result.impactForce, impactForce);
+    result.anchorForce = Math.max(result.anchorForce, anchorForce);
+    result.dynamicElongation = Math.max(result.dynamicElongation, elongation);
+    result.held = (result.impactForce <= this.ropeStrength);
+  }
+
+  /**
+   * The number of falls the rope has held before the first fall it did not hold
+   * @type {number}
+   */
+  get fallsHeld() {
+    const firstFailure = this.fallResults.findIndex(result => !result.held);
+    return (firstFailure === -1) ? this.fallResults.length : firstFailure;
+  }
+
+  /**
+   * Capture information about the current state of the mass (see Body.captureSnapshot), including the results of the falls so far
+   * @return {ObjectSnapshot} a snapshot of the current state of the mass
+   */
+  captureSnapshot() {
+    const snapshot = super.captureSnapshot();
+    snapshot.fallSeries = {
+      fall: this.fallResults.length,
+      results: this.fallResults.map(result => ({ ...result })),
+      fallsHeld: this.fallsHeld
+    };
+    return snapshot;
+  }
+}
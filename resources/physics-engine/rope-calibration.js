@@ -0,0 +1,461 @@
+
+// Calibration of the rope model from the data which rope manufacturers provide for UIAA 101 (EN 892) certification: the virtual
+// drop test and a static elongation test are run through the physics engine, and the rope model parameters are fitted until the
+// simulated values match the manufacturer values (see calibrateRope). Alternatively, the rope and damping parameters and the friction
+// coefficient are fitted to a force curve measured during a real fall (see fitToMeasuredForce).
+
+/**
+ * @typedef {Object} RopeTestValues
+ * @property {number} impactForce the impact force of the first drop of the drop test in Newton
+ * @property {number} staticElongation the relative elongation of the rope under a static load of 80 kg
+ * @property {number} dynamicElongation the relative elongation of the rope during the first drop of the drop test
+ */
+
+/**
+ * @typedef {Object} RopeCalibrationResult
+ * @property {number} elasticityConstant the fitted elasticity constant in 10^-3 per Newton (as elasticity-constant in ClimbingFallSetup)
+ * @property {number} linearFraction the linear fraction of the SLS model (fitted for the SLS model only, otherwise the value of the rope setup)
+ * @property {number} relaxationTime the relaxation time of the SLS model in seconds (fitted for the SLS model only, otherwise the value of the rope setup)
+ * @property {RopeTestValues} simulated the values of the virtual rope tests with the fitted parameters
+ * @property {RopeTestValues} relativeErrors the relative deviations of the simulated values from the manufacturer values
+ * @property {number} maxError the largest absolute relative deviation of a simulated value from the manufacturer value
+ * @property {number} evaluations the number of times the virtual rope tests were run
+ */
+
+/**
+ * @typedef {'belayer'|'top-draw'} ForceMeasurementLocation where the force of a measured force curve was measured: the rope tension at the
+ *          belayer (load cell between the belayer and the rope), or the load of the top draw (load cell between the bolt and the quickdraw)
+ */
+
+/**
+ * @typedef {Object} MeasurementFitResult
+ * @property {number} elasticityConstant the fitted elasticity constant in 10^-3 per Newton (as elasticity-constant in ClimbingFallSetup)
+ * @property {number} bendDamping the fitted rope bend damping (as rope-bend-damping in ClimbingFallSetup)
+ * @property {number} stretchDamping the fitted rope stretch damping (as rope-stretch-damping in ClimbingFallSetup)
+ * @property {number} frictionCoefficient the fitted friction coefficient of all draws
+ * @property {number} startError the root mean square deviation of the simulated from the measured force curve with the parameters of the setup,
+ *                               relative to the measured peak force
+ * @property {number} rmsError the root mean square deviation of the simulated from the measured force curve with the fitted parameters,
+ *                             relative to the measured peak force
+ * @property {number} peakForce the simulated peak force with the fitted parameters in Newton
+ * @property {number} measuredPeakForce the measured peak force in Newton
+ * @property {number} timeOffset the time in seconds which is added to the times of the measurement, so that its peak coincides with the simulated peak
+ * @property {number} evaluations the number of times the simulation was run
+ */
+
+/**
+ * Settings of the virtual rope tests used for the calibration. The drop test uses a coarser discretization than the default simulation
+ * setup (the fitted parameters hardly depend on it). The static elongation test is simplified: without the conditioning cycles of the
+ * standard, the rope is loaded with the preload, then with the test load, and the elongation between the two is measured.
+ */
+const ROPE_CALIBRATION_TESTS = {
+  dropTestSetup: { 'drop-test': true, 'climber-weight': 80, 'friction-coefficient': 0.125, 'rope-segments': 6, 'physics-step-size': 0.05 },
+  maxDropTestDuration: 2, // seconds, the drop test stops as soon as the mass rebounds
+  staticPreload: 5, // kg
+  staticLoad: 80, // kg
+  staticLoadDuration: 60 // seconds for which the preload and the test load are applied
+};
+
+/**
+ * Limits of the fitted parameters (elasticity constant in 10^-3 per Newton, relaxation time in seconds)
+ */
+const ROPE_CALIBRATION_LIMITS = {
+  elasticityConstant: [0.001, 10],
+  linearFraction: [0.02, 0.98],
+  relaxationTime: [0.005, 10]
+};
+
+/**
+ * Limits of the parameters fitted to a measured force curve (elasticity constant in 10^-3 per Newton)
+ */
+const MEASUREMENT_FIT_LIMITS = {
+  elasticityConstant: [0.001, 10],
+  bendDamping: [0.001, 2],
+  stretchDamping: [0.001, 2],
+  frictionCoefficient: [0.001, 1]
+};
+
+/**
+ * Additional starting points for fitting the SLS model (see calibrateRope); the first starting point are the values of the rope setup
+ */
+const ROPE_CALIBRATION_SLS_STARTS = [
+  { linearFraction: 0.4, relaxationTime: 1 },
+  { linearFraction: 0.4, relaxationTime: 0.03 }
+];
+
+/**
+ * Simulate the first drop of the UIAA 101 (EN 892) drop test with the given rope (see ClimbingFallWorld.setupDropTest)
+ * @param {ClimbingFallSetup} ropeSetup the rope setup (the settings of the rope-setup step; all other settings are replaced by the test settings)
+ * @return {{impactForce: number, dynamicElongation: number}} the impact force in Newton and the relative dynamic elongation
+ */
+function simulateCalibrationDropTest(ropeSetup) {
+  const climbingFallWorld = new ClimbingFallWorld({ ...ropeSetup, ...ROPE_CALIBRATION_TESTS.dropTestSetup }, new PhysicsWorld());
+  const physicsWorld = climbingFallWorld.physicsWorld;
+  physicsWorld.timeStep(0);
+  for (let time = 0; time < ROPE_CALIBRATION_TESTS.maxDropTestDuration; time += climbingFallWorld.maxStep) {
+    physicsWorld.timeStep(climbingFallWorld.maxStep);
+    climbingFallWorld.fallSeriesTimeStep(climbingFallWorld.maxStep);
+    if (climbingFallWorld.climber.velocity.y > 0) break; // the mass rebounds: the peak force and the peak elongation have passed
+  }
+  const { impactForce, dynamicElongation } = climbingFallWorld.climber.fallResults[0];
+  return { impactForce, dynamicElongation };
+}
+
+/**
+ * Simulate the static elongation test on one meter of the given rope. The loads are applied quasi-statically: in every time step, the
+ * rope is stretched until its tension equals the load, and then the internal state of the rope model is advanced.
+ * @param {ClimbingFallSetup} ropeSetup the rope setup (the settings of the rope-setup step)
+ * @return {number} the relative static elongation
+ */
+function simulateCalibrationStaticTest(ropeSetup) {
+  const anchor = new Body(0, 0, 0, 0, 'anchor');
+  const mass = new Body(0, -1, 0, 0, 'mass');
+  const rope = new Rope(1, 1, anchor, mass, ropeSettings(ropeSetup));
+  const spring = rope.ropeSegments[0].springStates[0];
+  const delta = Math.min(0.01, rope.modelParameters.relaxationTime / 10);
+  const applyLoad = (load) => {
+    const force = load * GRAVITY_OF_EARTH;
+    for (let time = 0; time < ROPE_CALIBRATION_TESTS.staticLoadDuration; time += delta) {
+      spring.updateTension();
+      for (let i = 0; i < 20 && Math.abs(spring.tension - force) > 1e-6 * force; i++) { // Newton's method
+        mass.pos = new V(0, mass.pos.y - (force - spring.tension) / spring.stiffness, 0);
+        spring.updateTension();
+      }
+      spring.timeStep(delta);
+    }
+    return spring.currentLength;
+  };
+  const preloadLength = applyLoad(ROPE_CALIBRATION_TESTS.staticPreload);
+  return (applyLoad(ROPE_CALIBRATION_TESTS.staticLoad) - preloadLength) / preloadLength;
+}
+
+/**
+ * Run the virtual rope tests (drop test and static elongation test) with the given rope
+ * @param {ClimbingFallSetup} ropeSetup the rope setup (the settings of the rope-setup step)
+ * @return {RopeTestValues} the simulated test values
+ */
+function simulateRopeTests(ropeSetup) {
+  const { impactForce, dynamicElongation } = simulateCalibrationDropTest(ropeSetup);
+  return { impactForce, staticElongation: simulateCalibrationStaticTest(ropeSetup), dynamicElongation };
+}
+
+/**
+ * Solve a system of linear equations with Gaussian elimination (with partial pivoting)
+ * @param {number[][]} matrix the rows of the (regular, square) coefficient matrix
+ * @param {number[]} rhs the right-hand side of the system
+ * @return {number[]} the solution vector
+ */
+function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  const rows = matrix.map((row, i) => [...row, rhs[i]]); // augmented matrix
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Minimize the sum of the squared residuals of simulation runs with the Levenberg-Marquardt method. The Jacobian matrix is approximated
+ * by finite differences. The simulation results scatter slightly (by about 1 % for tiny parameter changes, the simulated falls are somewhat
+ * chaotic), so the finite difference step must not be too small, and the steps are limited in size, as the Jacobian matrix is only a local
+ * approximation. The parameters should be transformed so that they can be varied freely (e.g. logarithms of positive parameters).
+ * @param {(x: number[]) => Promise<{x: number[], residuals: number[], cost: number}>} evaluate runs the simulation with the parameters x and
+ *                                                                                           returns the residuals and their sum of squares (cost)
+ * @param {number[]} start the parameters at which the fit starts
+ * @param {(x: number[]) => number[]} clampParameters returns the closest parameters which are within the parameter limits
+ * @param {number} maxIterations the maximal number of iterations
+ * @param {() => boolean} isDone checked before every iteration, the fit stops once it returns true
+ * @return {Promise<{x: number[], residuals: number[], cost: number}>} resolves to the evaluation of the final parameters
+ */
+async function fitLeastSquares(evaluate, start, clampParameters, maxIterations, isDone) {
+  const differenceStep = 0.1; // step of the parameters for the finite difference approximation of the Jacobian matrix
+  const maxStepLimit = 0.5; // maximal change of a parameter per step, halved after every failed step
+  const minStepLimit = 0.01; // the fit stops once the steps are this small without any improvement
+  let current = await evaluate(start); // the point around which the residuals are linearized
+  let stepLimit = maxStepLimit;
+  let damping = 0.01;
+  for (let iteration = 0; iteration < maxIterations && !isDone(); iteration++) {
+    const jacobianColumns = [];
+    for (let j = 0; j < current.x.length; j++) {
+      const x = [...current.x];
+      x[j] += differenceStep;
+      const evaluation = await evaluate(x);
+      jacobianColumns.push(evaluation.residuals.map((r, i) => (r - current.residuals[i]) / differenceStep));
+    }
+    // normal equations of the damped least squares problem: (J^T J + damping * diag(J^T J)) step = -J^T r
+    const normalMatrix = jacobianColumns.map(colA => jacobianColumns.map(colB => colA.reduce((sum, a, i) => sum + a * colB[i], 0)));
+    const gradient = jacobianColumns.map(col => col.reduce((sum, a, i) => sum + a * current.residuals[i], 0));
+    let improved = false;
+    for (let attempt = 0; attempt < 3 && !improved; attempt++) {
+      const dampedMatrix = normalMatrix.map((row, i) => row.map((value, j) => (i === j) ? value * (1 + damping) + 1e-12 : value));
+      const step = solveLinearSystem(dampedMatrix, gradient.map(g => -g));
+      const stepScale = Math.min(1, stepLimit / Math.max(...step.map(Math.abs)));
+      const trial = await evaluate(clampParameters(current.x.map((value, j) => value + stepScale * step[j])));
+      if (trial.cost < current.cost) {
+        current = trial;
+        damping /= 3;
+        stepLimit = Math.min(2 * stepLimit, maxStepLimit);
+        improved = true;
+      } else {
+        damping *= 4;
+        stepLimit /= 2;
+      }
+    }
+    if (stepLimit < minStepLimit) break; // no further improvement possible from this starting point
+  }
+  return current;
+}
+
+/**
+ * Fit the parameters of the rope model to the manufacturer data, using the Levenberg-Marquardt method on the relative deviations of the
+ * simulated test values (see simulateRopeTests) from the manufacturer values. For the SLS model, the elasticity constant, the linear
+ * fraction and the relaxation time are fitted. For the linear and the hybrid model, only the elasticity constant is fitted (the hybrid
+ * model behaves like a linear spring as long as the rope is loaded further, so the other parameters do not influence the tests).
+ * The tabulated model cannot be calibrated.
+ * @param {ClimbingFallSetup} ropeSetup the rope setup (the settings of the rope-setup step); the values of the fitted parameters are used as starting point
+ * @param {RopeTestValues} manufacturerData the values given by the rope manufacturer
+ * @param {(evaluations: number, maxError: number) => void} [progressCallback] called after every run of the virtual rope tests with the
+ *                                                                             number of runs so far and the largest relative deviation of the best fit so far
+ * @param {number} [tolerance=0.01] the calibration stops once no simulated value deviates more than this fraction from the manufacturer value
+ * @param {number} [maxIterations=10] the maximal number of iterations of the Levenberg-Marquardt method (per starting point)
+ * @return {Promise<RopeCalibrationResult>} resolves to the calibrated rope parameters
+ */
+async function calibrateRope(ropeSetup, manufacturerData, progressCallback = () => {}, tolerance = 0.01, maxIterations = 10) {
+  if (ropeSetup['rope-model'] === 'tabulated')
+    throw new Error('The tabulated rope model cannot be calibrated, its behavior is given by the stress-strain curves');
+  const testKeys = ['impactForce', 'staticElongation', 'dynamicElongation'];
+  for (const key of testKeys) {
+    if (!(manufacturerData[key] > 0))
+      throw new Error(`Invalid manufacturer data: ${key} ${manufacturerData[key]}`);
+  }
+  const limits = ROPE_CALIBRATION_LIMITS;
+  const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+  const logit = p => Math.log(p / (1 - p));
+  const fitViscoelastic = (ropeSetup['rope-model'] === 'sls');
+  const linearFraction = ropeSetup.hasOwnProperty('sls-linear-fraction') ? ropeSetup['sls-linear-fraction'] : 0.6;
+  const relaxationTime = ropeSetup.hasOwnProperty('sls-relaxation-time') ? ropeSetup['sls-relaxation-time'] : 0.1;
+
+  // the fitted parameters are transformed so that they can be varied freely: logarithms of the elasticity constant and the relaxation
+  // time, logit of the linear fraction (the limits are enforced after every step)
+  const clampParameters = x => [
+    clamp(x[0], limits.elasticityConstant.map(Math.log)),
+    clamp(x[1], limits.linearFraction.map(logit)),
+    clamp(x[2], limits.relaxationTime.map(Math.log))
+  ].slice(0, x.length);
+  const parameterSetup = x => fitViscoelastic ? {
+    ...ropeSetup,
+    'elasticity-constant': Math.exp(x[0]),
+    'sls-linear-fraction': 1 / (1 + Math.exp(-x[1])),
+    'sls-relaxation-time': Math.exp(x[2])
+  } : { ...ropeSetup, 'elasticity-constant': Math.exp(x[0]) };
+
+  let evaluations = 0;
+  let best = null; // the best fit of all runs so far
+  const maxError = evaluation => Math.max(...evaluation.residuals.map(Math.abs));
+  const evaluate = async (x) => {
+    await new Promise(resolve => setTimeout(resolve, 0)); // keep the user interface (or the worker) responsive between two runs
+    const setup = parameterSetup(x);
+    const simulated = simulateRopeTests(setup);
+    const residuals = testKeys.map(key => simulated[key] / manufacturerData[key] - 1);
+    const evaluation = { x, setup, simulated, residuals, cost: residuals.reduce((sum, r) => sum + r * r, 0) };
+    if (best === null || evaluation.cost < best.cost) best = evaluation;
+    evaluations++;
+    progressCallback(evaluations, maxError(best));
+    return evaluation;
+  };
+
+  const fitFrom = start => fitLeastSquares(evaluate, start, clampParameters, maxIterations, () => maxError(best) <= tolerance);
+
+  const startElasticityConstant = clamp(ropeSetup['elasticity-constant'], limits.elasticityConstant);
+  if (!fitViscoelastic) {
+    await fitFrom([Math.log(startElasticityConstant)]);
+  } else {
+    // the fit of the SLS model may end in a local minimum, so it is repeated from other starting points if the tolerance is not met
+    const starts = [{ linearFraction, relaxationTime }, ...ROPE_CALIBRATION_SLS_STARTS];
+    for (let k = 0; k < starts.length && (best === null || maxError(best) > tolerance); k++) {
+      const elasticityConstant = (best === null) ? Math.log(startElasticityConstant) : best.x[0];
+      await fitFrom([
+        elasticityConstant,
+        logit(clamp(starts[k].linearFraction, limits.linearFraction)),
+        Math.log(clamp(starts[k].relaxationTime, limits.relaxationTime))
+      ]);
+    }
+  }
+
+  const relativeErrors = {};
+  testKeys.forEach((key, i) => relativeErrors[key] = best.residuals[i]);
+  return {
+    elasticityConstant: best.setup['elasticity-constant'],
+    linearFraction: fitViscoelastic ? best.setup['sls-linear-fraction'] : linearFraction,
+    relaxationTime: fitViscoelastic ? best.setup['sls-relaxation-time'] : relaxationTime,
+    simulated: best.simulated,
+    relativeErrors,
+    maxError: maxError(best),
+    evaluations
+  };
+}
+
+/**
+ * Parse a force curve measured with a load cell, given as CSV data: every line contains the time in seconds and the force in kilonewton,
+ * separated by a comma, a semicolon or whitespace. The times must increase from line to line. A header line (e.g. "time,force") is
+ * skipped, and everything after a # is ignored.
+ * @param {string} text the measured force curve
+ * @return {[number, number][]} the points of the curve as pairs of time (in seconds) and force (in Newton)
+ */
+function parseForceMeasurement(text) {
+  const points = [];
+  let firstLine = true;
+  for (const line of text.split('\n')) {
+    const content = line.split('#')[0].trim();
+    if (content === '') continue;
+    const parts = content.split(/\s*[,;]\s*|\s+/);
+    const [time, force] = parts.map(Number);
+    if (firstLine && parts.length === 2 && isNaN(time) && isNaN(force)) { // header line
+      firstLine = false;
+      continue;
+    }
+    firstLine = false;
+    if (parts.length !== 2 || !isFinite(time) || !isFinite(force) || (points.length > 0 && time <= points[points.length - 1][0]))
+      throw new Error(`Invalid force measurement: ${line.trim()}`);
+    points.push([time, force * 1000]);
+  }
+  if (points.length === 1)
+    throw new Error('A force measurement requires at least two points');
+  return points;
+}
+
+/**
+ * Run a climbing fall simulation and record the force at the given location after every time step
+ * @param {ClimbingFallSetup} setup the setup parameters for the climbing fall
+ * @param {ForceMeasurementLocation} location where the force is recorded
+ * @return {{times: number[], forces: number[]}} the times in seconds and the forces in Newton
+ */
+function simulateForceCurve(setup, location) {
+  const climbingFallWorld = new ClimbingFallWorld(setup, new PhysicsWorld());
+  const physicsWorld = climbingFallWorld.physicsWorld;
+  if (location === 'top-draw' && climbingFallWorld.deflectionPoint === null)
+    throw new Error('A force measured at the top draw requires at least one draw');
+  const currentForce = () => (location === 'top-draw')
+    ? climbingFallWorld.deflectionPoint.averagedLoad.norm()
+    : climbingFallWorld.ropes.reduce((force, rope) => force + Math.max(rope.ropeSegments[0].springStates[0].tension, 0), 0); // both ropes of a double rope system
+  physicsWorld.timeStep(0);
+  const times = [0];
+  const forces = [0];
+  let time = 0;
+  while (time < setup['simulation-duration']) {
+    const delta = (physicsWorld.adaptiveStepping !== null) ? physicsWorld.nextStepSize : climbingFallWorld.maxStep;
+    physicsWorld.timeStep(delta);
+    climbingFallWorld.fallSeriesTimeStep(delta);
+    time += delta;
+    times.push(time);
+    forces.push(currentForce());
+  }
+  return { times, forces };
+}
+
+/**
+ * Fit the elasticity constant, the rope bend damping, the rope stretch damping and the friction coefficient of the draws to a measured
+ * force curve, with the Levenberg-Marquardt method (see fitLeastSquares) on the deviations of the simulated from the measured force. The
+ * measurement is shifted in time so that its peak coincides with the simulated peak (the time at which the climber was released is
+ * usually not known exactly). The start positions of the simulation are not randomized (see seededRandom), so that the runs only differ
+ * in the fitted parameters.
+ * @param {ClimbingFallSetup} setup the setup parameters of the measured fall; the parameters of the setup are used as starting point
+ * @param {[number, number][]} measurement the measured force curve (see parseForceMeasurement)
+ * @param {ForceMeasurementLocation} location where the force was measured
+ * @param {(evaluations: number, rmsError: number) => void} [progressCallback] called after every simulation run with the number of runs so far and
+ *                                                                             the relative root mean square deviation of the best fit so far
+ * @param {number} [tolerance=0.01] the fit stops once the relative root mean square deviation is below this value
+ * @param {number} [maxIterations=8] the maximal number of iterations of the Levenberg-Marquardt method
+ * @return {Promise<MeasurementFitResult>} resolves to the fitted parameters
+ */
+async function fitToMeasuredForce(setup, measurement, location, progressCallback = () => {}, tolerance = 0.01, maxIterations = 8) {
+  if (measurement.length < 2)
+    throw new Error('A force measurement requires at least two points');
+  const measuredPeak = measurement.reduce((peak, point) => (point[1] > peak[1]) ? point : peak);
+  if (!(measuredPeak[1] > 0))
+    throw new Error('The measured force curve does not contain any positive force');
+  const limits = MEASUREMENT_FIT_LIMITS;
+  const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+  // all fitted parameters are positive, so their logarithms are fitted
+  const limitKeys = ['elasticityConstant', 'bendDamping', 'stretchDamping', 'frictionCoefficient'];
+  const clampParameters = x => x.map((value, j) => clamp(value, limits[limitKeys[j]].map(Math.log)));
+  const parameterSetup = (x) => {
+    const [elasticityConstant, bendDamping, stretchDamping, frictionCoefficient] = x.map(Math.exp);
+    const fitSetup = {
+      'random-seed': 1,
+      ...setup,
+      'elasticity-constant': elasticityConstant,
+      'rope-bend-damping': bendDamping,
+      'rope-stretch-damping': stretchDamping,
+      'friction-coefficient': frictionCoefficient
+    };
+    for (let i = 0; i < setup['draw-number']; i++) {
+      if (setup.hasOwnProperty(`draw-${i}-friction`)) fitSetup[`draw-${i}-friction`] = frictionCoefficient;
+    }
+    return fitSetup;
+  };
+
+  let evaluations = 0;
+  let best = null; // the best fit of all runs so far
+  const rmsError = evaluation => Math.sqrt(evaluation.cost);
+  const evaluate = async (x) => {
+    await new Promise(resolve => setTimeout(resolve, 0)); // keep the user interface (or the worker) responsive between two runs
+    const fitSetup = parameterSetup(x);
+    const { times, forces } = simulateForceCurve(fitSetup, location);
+    let peakIndex = 0;
+    for (let k = 1; k < forces.length; k++) {
+      if (forces[k] > forces[peakIndex]) peakIndex = k;
+    }
+    const timeOffset = times[peakIndex] - measuredPeak[0];
+    // the residuals are the deviations at the measured points relative to the measured peak force, scaled so that the cost is their mean square
+    const scale = 1 / (measuredPeak[1] * Math.sqrt(measurement.length));
+    const residuals = [];
+    let k = 0;
+    for (const [measuredTime, measuredForce] of measurement) {
+      const time = measuredTime + timeOffset;
+      while (k + 2 < times.length && times[k + 1] <= time) k++;
+      const fraction = Math.min(Math.max((time - times[k]) / (times[k + 1] - times[k]), 0), 1);
+      const simulatedForce = forces[k] + fraction * (forces[k + 1] - forces[k]);
+      residuals.push((simulatedForce - measuredForce) * scale);
+    }
+    const evaluation = { x, setup: fitSetup, residuals, cost: residuals.reduce((sum, r) => sum + r * r, 0), peakForce: forces[peakIndex], timeOffset };
+    if (best === null || evaluation.cost < best.cost) best = evaluation;
+    evaluations++;
+    progressCallback(evaluations, rmsError(best));
+    return evaluation;
+  };
+
+  const start = [
+    setup['elasticity-constant'], setup['rope-bend-damping'], setup['rope-stretch-damping'],
+    setup.hasOwnProperty('friction-coefficient') ? setup['friction-coefficient'] : 0.125
+  ].map(Math.log);
+  const startEvaluation = await evaluate(clampParameters(start));
+  await fitLeastSquares(evaluate, startEvaluation.x, clampParameters, maxIterations, () => rmsError(best) <= tolerance);
+
+  return {
+    elasticityConstant: best.setup['elasticity-constant'],
+    bendDamping: best.setup['rope-bend-damping'],
+    stretchDamping: best.setup['rope-stretch-damping'],
+    frictionCoefficient: best.setup['friction-coefficient'],
+    startError: rmsError(startEvaluation),
+    rmsError: rmsError(best),
+    peakForce: best.peakForce,
+    measuredPeakForce: measuredPeak[1],
+    timeOffset: best.timeOffset,
+    evaluations
+  };
+}
@@ -0,0 +1,85 @@
+
+// Web worker running a climbing fall simulation in the background, so that the user interface stays responsive.
+// Messages sent to the worker:
+//   {type: 'start', setup: ClimbingFallSetup} starts the simulation (only one simulation should be started per worker)
+//   {type: 'calibrate-rope', ropeSetup: ClimbingFallSetup, manufacturerData: RopeTestValues} starts a rope calibration instead (see calibrateRope)
+//   {type: 'fit-measurement', setup: ClimbingFallSetup, measurement: [number, number][], location: ForceMeasurementLocation} starts a fit of
+//     the rope and damping parameters and the friction coefficient to a measured force curve instead (see fitToMeasuredForce)
+// Messages sent by the worker:
+//   {type: 'ready'} the worker has loaded its scripts (sent once, before any other message; until then, errors mean that the scripts could not be loaded)
+//   {type: 'progress', percent: number, time: number, snapshots: string[]} progress report with the snapshots captured since the last message
+//   {type: 'done', completed: boolean, time: number, snapshots: string[]} the simulation has finished, includes the remaining snapshots
+//   {type: 'calibration-progress', evaluations: number, maxError: number} progress report of the rope calibration
+//   {type: 'calibration-done', calibration: RopeCalibrationResult} the rope calibration has finished
+//   {type: 'fit-progress', evaluations: number, rmsError: number} progress report of the fit to a measured force curve
+//   {type: 'fit-done', fit: MeasurementFitResult} the fit to a measured force curve has finished
+//   {type: 'error', message: string} the simulation (or the rope calibration or the fit) could not be run
+// Snapshots are serialized with JSON.stringify (one string per snapshot) because Color objects cannot be transferred otherwise.
+// Use deserializeObjectSnapshot on every body of a parsed snapshot to restore them.
+// The worker does not need to be asked to stop a running simulation: it can simply be terminated, all snapshots which
+// have already been sent remain valid.
+
+importScripts(
+  '../colors.js',
+  'vec.js',
+  'geometry.js',
+  'physics-materials.js',
+  'physics.js',
+  'physics-world.js',
+  'rope-calibration.js',
+  '../globals.js',
+  '../units.js'
+);
+self.postMessage({ type: 'ready' });
+
+/** @type {number} number of snapshots which have already been sent to the main thread */
+let snapshotsSent = 0;
+
+/**
+ * Serialize all the snapshots which have not yet been sent to the main thread
+ * @param {{time: number, bodies: ObjectSnapshot[]}[]} snapshots all snapshots captured so far
+ * @return {string[]} the serialized snapshots which have not yet been sent
+ */
+function takeUnsentSnapshots(snapshots) {
+  const batch = [];
+  for (; snapshotsSent < snapshots.length; snapshotsSent++)
+    batch.push(JSON.stringify(snapshots[snapshotsSent]));
+  return batch;
+}
+
+self.addEventListener('message', (evt) => {
+  if (evt.data.type === 'calibrate-rope') {
+    calibrateRope(evt.data.ropeSetup, evt.data.manufacturerData, (evaluations, maxError) => {
+      self.postMessage({ type: 'calibration-progress', evaluations, maxError });
+    }).then(calibration => {
+      self.postMessage({ type: 'calibration-done', calibration });
+    }).catch(e => {
+      self.postMessage({ type: 'error', message: String(e) });
+    });
+    return;
+  }
+  if (evt.data.type === 'fit-measurement') {
+    fitToMeasuredForce(evt.data.setup, evt.data.measurement, evt.data.location, (evaluations, rmsError) => {
+      self.postMessage({ type: 'fit-progress', evaluations, rmsError });
+    }).then(fit => {
+      self.postMessage({ type: 'fit-done', fit });
+    }).catch(e => {
+      self.postMessage({ type: 'error', message: String(e) });
+    });
+    return;
+  }
+  if (evt.data.type !== 'start') return;
+  const setup = evt.data.setup;
+  try {
+    const climbingFallWorld = new ClimbingFallWorld(setup, new PhysicsWorld());
+    climbingFallWorld.precalculatePositions((percent, time, snapshots) => {
+      self.postMessage({ type: 'progress', percent, time, snapshots: takeUnsentSnapshots(snapshots) });
+    }, (completed, time, snapshots) => {
+      self.postMessage({ type: 'done', completed, time, snapshots: takeUnsentSnapshots(snapshots) });
+    }, setup['simulation-duration'], setup['frame-rate'], [], 0, 0, 200, (e) => {
+      self.postMessage({ type: 'error', message: String(e) });
+    });
+  } catch (e) {
+    self.postMessage({ type: 'error', message: String(e) });
+  }
+});
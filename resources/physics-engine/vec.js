@@ -151,3 +151,16 @@ class V {
     return `(${numToStr(this.x)}, ${numToStr(this.y)}, ${numToStr(this.z)})`;
   }
 }
+
+/**
+ * Solve a system of three linear equations with three unknowns (using Cramer's rule)
+ * @param {[V, V, V]} rows the rows of the (regular) coefficient matrix
+ * @param {V} rhs the right-hand side of the system
+ * @return {V} the solution vector x satisfying rows[i].dot(x) = rhs[i] for every row i
+ */
+function solveLinearSystem3(rows, rhs) {
+  const [r0, r1, r2] = rows;
+  const det = r0.dot(r1.cross(r2));
+  // the columns of the inverse matrix are the cross products of the rows (divided by the determinant)
+  return r1.cross(r2).times(rhs.x / det).plus(r2.cross(r0).times(rhs.y / det)).plus(r0.cross(r1).times(rhs.z / det));
+}
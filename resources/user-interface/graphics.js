@@ -80,12 +80,26 @@ class WorldGraphics {
   /**
    * Draw a barrier according to the current settings
    * @param {CanvasRenderingContext2D} ctx the canvas context onto which to draw
+   * @param {Barrier} barrier the barrier to draw (a half-space or a profile barrier)
+   * @param {Color} [color] the barrier color
+   * @param {number} [thickness] the barrier thickness (in meters)
+   */
+  drawBarrier(ctx, barrier, color = new Color(62, 43, 62), thickness = 0.1) {
+    if (barrier.profile === null)
+      this.drawHalfSpaceBarrier(ctx, barrier.normal, barrier.shift, color, thickness);
+    else
+      this.drawProfileBarrier(ctx, barrier.profile, color, thickness);
+  }
+
+  /**
+   * Draw a barrier blocking a half-space according to the current settings
+   * @param {CanvasRenderingContext2D} ctx the canvas context onto which to draw
    * @param {V} normal the normal vector of the barrier, which must have length 1 and should point away from the half-space which is blocked
    * @param {number} shift the dot product of the normal vector and a point in the barrier
    * @param {Color} [color] the barrier color
    * @param {number} [thickness] the barrier thickness (in meters)
    */
-  drawBarrier(ctx, normal, shift, color = new Color(62, 43, 62), thickness = 0.1) {
+  drawHalfSpaceBarrier(ctx, normal, shift, color = new Color(62, 43, 62), thickness = 0.1) {
     const normalLR = this.xyProjectionMode ? new V(1, 0, 0) : new V(0, 0, 1); // normal pointing from left camera side to right camera side
     const normalTB = new V(0, 1, 0); // normal pointing from bottom side to top side of camera
     const normalCam = this.xyProjectionMode ? new V(0, 0, 1) : new V(-1, 0, 0); // normal pointing from the camera towards the scene
@@ -151,6 +165,81 @@ class WorldGraphics {
     }
   }
 
+  /**
+   * Draw a barrier given by a polygonal profile in the x-y plane according to the current settings (see PhysicsWorld.addProfileBarrier).
+   * In the side view, the profile is drawn as a line. In the front view, every section of the profile is drawn as an area between its
+   * lowest and its highest point, horizontal sections are drawn as lines.
+   * @param {CanvasRenderingContext2D} ctx the canvas context onto which to draw
+   * @param {V[]} profile the corner points of the profile, from bottom to top (the first and the last section extend infinitely)
+   * @param {Color} [color] the barrier color
+   * @param {number} [thickness] the barrier thickness (in meters)
+   */
+  drawProfileBarrier(ctx, profile, color = new Color(62, 43, 62), thickness = 0.1) {
+    const can = this.can;
+    const extension = 100; // the first and the last section are extended by 100 meters, which is beyond the bounding box for barriers
+    const points = profile.slice();
+    points[0] = profile[0].plus(profile[0].minus(profile[1]).normalize().times(extension));
+    points[points.length - 1] = profile[profile.length - 1].plus(profile[profile.length - 1].minus(profile[profile.length - 2]).normalize().times(extension));
+    // bounding box for barriers (in the front view)
+    const leftBoundary = -30; // left boundary: 30 meters to the left of origin
+    const rightBoundary = 30; // right boundary: 30 meters to the right of origin
+
+    if (this.xyProjectionMode) { // the profile is seen from the side
+      ctx.beginPath();
+      ctx.moveTo(...this.p(points[0]));
+      for (let i = 1; i < points.length; i++)
+        ctx.lineTo(...this.p(points[i]));
+      ctx.strokeStyle = color.toString();
+      ctx.lineWidth = Math.ceil(can.l(thickness, this.scale));
+      ctx.stroke();
+      ctx.closePath();
+    } else { // the profile is seen from the front
+      const areaColor = new Color(color.r, color.g, color.b, color.a * 0.3);
+      for (let i = 0; i + 1 < points.length; i++) {
+        ctx.beginPath();
+        if (Math.abs(points[i + 1].y - points[i].y) < GEOMETRY_EPS) { // horizontal section
+          ctx.moveTo(...this.p(0, points[i].y, leftBoundary));
+          ctx.lineTo(...this.p(0, points[i].y, rightBoundary));
+          ctx.strokeStyle = color.toString();
+          ctx.lineWidth = Math.ceil(can.l(thickness, this.scale));
+          ctx.stroke();
+        } else {
+          ctx.moveTo(...this.p(0, points[i].y, leftBoundary));
+          ctx.lineTo(...this.p(0, points[i].y, rightBoundary));
+          ctx.lineTo(...this.p(0, points[i + 1].y, rightBoundary));
+          ctx.lineTo(...this.p(0, points[i + 1].y, leftBoundary));
+          ctx.fillStyle = areaColor.toString();
+          ctx.fill();
+        }
+        ctx.closePath();
+      }
+    }
+  }
+
+  /**
+   * Draw an obstacle (a convex polyhedron) according to the current settings. All faces are drawn as translucent areas with outlines,
+   * so that the obstacle can be seen from any direction.
+   * @param {CanvasRenderingContext2D} ctx the canvas context onto which to draw
+   * @param {ObjectSnapshot} objSnap the snapshot of the obstacle
+   * @param {number} [thickness] the thickness of the outlines (in meters)
+   */
+  drawObstacle(ctx, objSnap, thickness = 0.02) {
+    const color = objSnap.visibleState.color;
+    const areaColor = new Color(color.r, color.g, color.b, color.a * 0.3);
+    for (const face of objSnap.visibleState.faces) {
+      ctx.beginPath();
+      ctx.moveTo(...this.p(face[0]));
+      for (let i = 1; i < face.length; i++)
+        ctx.lineTo(...this.p(face[i]));
+      ctx.closePath();
+      ctx.fillStyle = areaColor.toString();
+      ctx.fill();
+      ctx.strokeStyle = color.toString();
+      ctx.lineWidth = Math.ceil(this.can.l(thickness, this.scale));
+      ctx.stroke();
+    }
+  }
+
   /**
    * Draw the current scene snapshot
    */
@@ -166,7 +255,12 @@ class WorldGraphics {
 
     if (this.physicsWorld !== null) { // draw barriers
       for (const barrier of this.physicsWorld.barriers)
-        this.drawBarrier(ctx, barrier.normal, barrier.shift);
+        this.drawBarrier(ctx, barrier);
+    }
+
+    for (const objSnap of this.currentSnapshot) { // draw obstacles
+      if (objSnap.type === 'obstacle')
+        this.drawObstacle(ctx, objSnap);
     }
 
     for (const objSnap of this.currentSnapshot) { // draw bodies
@@ -2,7 +2,7 @@
 const GRAPH_PROPERTIES = {
   'forces' : {
     property: 'forces',
-    subProperties: ['current', 'average'],
+    subProperties: ['current', 'average', 'edgeFriction'],
     unit: 'N',
     legend: 'Forces:'
   },
@@ -32,6 +32,18 @@ const GRAPH_PROPERTIES = {
   }
 };
 
+/**
+ * The name of a body to show in graph legends and tables. The bolts and the carabiners of all quickdraws have the same names
+ * ('bolt' and 'quickdraw'), so they are numbered by their draw index (see LoadSnapshot).
+ * @param {ObjectSnapshot} bodySnapshot the snapshot of the body
+ * @return {string} the name to show
+ */
+function objectSnapshotLabel(bodySnapshot) {
+  if (bodySnapshot.hasOwnProperty('load') && bodySnapshot.load.role === 'draw')
+    return `${bodySnapshot.name} ${bodySnapshot.load.drawIndex + 1}`;
+  return bodySnapshot.name;
+}
+
 /**
  * A canvas for drawing graphs
  */
@@ -96,6 +108,8 @@ class GraphCanvas {
     this.showLineTypeLegend = false;
     /** @type {number} force averaging window in seconds */
     this.forceAvgWindow = 0;
+    /** @type {{time: number, label: string}[]} events which are marked by vertical lines in time-based graphs (e.g. the moment a belay device locks) */
+    this.eventMarkers = [];
     const checkGraphInitialized = (idx, visibleState, prop, name) => {
       while (idx >= this.graphs.length)
         this.graphs.push({ hidden: false, lines: [], coordinates: [] });
@@ -145,6 +159,9 @@ class GraphCanvas {
         }
         for (let i = 0; i < snapshot.bodies.length; i++) {
           const bodySnapshot = snapshot.bodies[i];
+          if (type === 'forces' && bodySnapshot.belayDevice && typeof bodySnapshot.belayDevice.lockTime === 'number'
+              && !this.eventMarkers.some(marker => marker.time === bodySnapshot.belayDevice.lockTime))
+            this.eventMarkers.push({ time: bodySnapshot.belayDevice.lockTime, label: 'belay device locked' });
           let j = 0;
           if (typeof bodySnapshot[ GRAPH_PROPERTIES[type].property ] === 'object') {
             for (const subProp of GRAPH_PROPERTIES[type].subProperties) {
@@ -156,7 +173,7 @@ class GraphCanvas {
                   ? bodySnapshot.forces.averageWindow / 2 : 0;
                 if (type === 'forces' && subProp === 'average' && typeof bodySnapshot.forces.averageWindow === 'number')
                   this.forceAvgWindow = bodySnapshot.forces.averageWindow;
-                checkGraphInitialized(i, bodySnapshot.visibleState, subProp, bodySnapshot.name);
+                checkGraphInitialized(i, bodySnapshot.visibleState, subProp, objectSnapshotLabel(bodySnapshot));
                 addPlotCoordinatePair(i, subProp, snapshot.time - timeShift, bodySnapshot[ GRAPH_PROPERTIES[type].property ][subProp] * factor);
                 if (type === 'energy')
                   totalEnergy[subProp] += bodySnapshot[ GRAPH_PROPERTIES[type].property ][subProp];
@@ -164,7 +181,7 @@ class GraphCanvas {
               } else if (Array.isArray(bodySnapshot[ GRAPH_PROPERTIES[type].property ][subProp])) {
                 this.minY = Math.min(this.minY, bodySnapshot[ GRAPH_PROPERTIES[type].property ][subProp][1]); // we only plot the height (y-coordinate, index = 1)
                 this.maxY = Math.max(this.maxY, bodySnapshot[ GRAPH_PROPERTIES[type].property ][subProp][1]);
-                checkGraphInitialized(i, bodySnapshot.visibleState, subProp, bodySnapshot.name);
+                checkGraphInitialized(i, bodySnapshot.visibleState, subProp, objectSnapshotLabel(bodySnapshot));
                 addPlotCoordinatePair(i, subProp, snapshot.time, bodySnapshot[ GRAPH_PROPERTIES[type].property ][subProp][1]);
                 j++;
               }
@@ -172,23 +189,23 @@ class GraphCanvas {
           }
           if (!legendcreated && j > 0) {
             const color = (typeof bodySnapshot.visibleState.color !== 'undefined') ? bodySnapshot.visibleState.color.toString() : 'black';
-            if (!(color in createdLegends) || createdLegends[color].indexOf(bodySnapshot.name) == -1) {
+            if (!(color in createdLegends) || createdLegends[color].indexOf(objectSnapshotLabel(bodySnapshot)) == -1) {
               const legendSpan = document.createElement('span');
               legendSpan.classList.add('legend-box');
               const colorBox = document.createElement('span');
               colorBox.classList.add('legend-color-dot');
               colorBox.style.backgroundColor = color;
               const nameSpan = document.createElement('span');
-              nameSpan.textContent = bodySnapshot.name;
+              nameSpan.textContent = objectSnapshotLabel(bodySnapshot);
               legendSpan.appendChild(colorBox);
               legendSpan.appendChild(nameSpan);
               legendSpan.setAttribute('title', 'Click to hide plot');
               legendSpan.addEventListener('click', ((color, name, legend) => {
                 return () => togglePlot(color, name, legend);
-              })(color, bodySnapshot.name, legendSpan));
+              })(color, objectSnapshotLabel(bodySnapshot), legendSpan));
               this.legendContainer.appendChild(legendSpan);
               if (!(color in createdLegends)) createdLegends[color] = [];
-              createdLegends[color].push(bodySnapshot.name);
+              createdLegends[color].push(objectSnapshotLabel(bodySnapshot));
             }
           }
         }
@@ -266,14 +283,14 @@ class GraphCanvas {
                 this.maxX = Math.max(this.maxX, xval);
                 this.minY = Math.min(this.minY, yval);
                 this.maxY = Math.max(this.maxY, yval);
-                checkGraphInitialized(i, bodySnapshot.visibleState, `${GRAPH_PROPERTIES[type].subProperties[0]}_${GRAPH_PROPERTIES[type].subProperties[1]}`, bodySnapshot.name);
+                checkGraphInitialized(i, bodySnapshot.visibleState, `${GRAPH_PROPERTIES[type].subProperties[0]}_${GRAPH_PROPERTIES[type].subProperties[1]}`, objectSnapshotLabel(bodySnapshot));
                 addPlotCoordinatePair(i, `${GRAPH_PROPERTIES[type].subProperties[0]}_${GRAPH_PROPERTIES[type].subProperties[1]}`, xval, yval, snapshot.time);
                 j++;
               }
             }
             if (!legendcreated && j > 0) {
               const color = (typeof bodySnapshot.visibleState.color !== 'undefined') ? bodySnapshot.visibleState.color.toString() : 'black';
-              if (!(color in createdLegends) || createdLegends[color].indexOf(bodySnapshot.name) == -1) {
+              if (!(color in createdLegends) || createdLegends[color].indexOf(objectSnapshotLabel(bodySnapshot)) == -1) {
                 const legendSpan = document.createElement('span');
                 legendSpan.classList.add('legend-box');
                 const colorBox = document.createElement('span');
@@ -281,16 +298,16 @@ class GraphCanvas {
                 colorBox.classList.add('rainbow-gradient');
                 // colorBox.style.backgroundColor = color;
                 const nameSpan = document.createElement('span');
-                nameSpan.textContent = bodySnapshot.name;
+                nameSpan.textContent = objectSnapshotLabel(bodySnapshot);
                 legendSpan.appendChild(colorBox);
                 legendSpan.appendChild(nameSpan);
                 legendSpan.setAttribute('title', 'Click to hide plot');
                 legendSpan.addEventListener('click', ((color, name, legend) => {
                   return () => togglePlot(color, name, legend);
-                })(color, bodySnapshot.name, legendSpan));
+                })(color, objectSnapshotLabel(bodySnapshot), legendSpan));
                 this.legendContainer.appendChild(legendSpan);
                 if (!(color in createdLegends)) createdLegends[color] = [];
-                createdLegends[color].push(bodySnapshot.name);
+                createdLegends[color].push(objectSnapshotLabel(bodySnapshot));
               }
             }
           }
@@ -371,6 +388,27 @@ class GraphCanvas {
       }
     }
 
+    // draw event markers
+    if (this.eventMarkers.length > 0) {
+      ctx.strokeStyle = 'gray';
+      ctx.fillStyle = 'gray';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([8, 4]);
+      ctx.font = `${0.75 * can.pxToCanPx}em ${getComputedStyle(can.canvas).fontFamily}`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      for (const marker of this.eventMarkers) {
+        const [px, pyTop] = can.p(marker.time, this.maxY, [this.scaleX, this.scaleY], this.xOrigin, this.yOrigin);
+        ctx.beginPath();
+        ctx.moveTo(...can.p(marker.time, this.minY, [this.scaleX, this.scaleY], this.xOrigin, this.yOrigin));
+        ctx.lineTo(px, pyTop);
+        ctx.stroke();
+        ctx.closePath();
+        ctx.fillText(marker.label, px + ctx.measureText('o').width, pyTop);
+      }
+      ctx.setLineDash([]);
+    }
+
     // draw graphs
     for (const graphObj of this.graphs) {
       if (graphObj.hidden) continue;
@@ -382,6 +420,7 @@ class GraphCanvas {
         else if (graphObj.lines[i] === 'kinetic') ctx.setLineDash([2, 2]);
         else if (graphObj.lines[i] === 'potential') ctx.setLineDash([6, 2]);
         else if (graphObj.lines[i] === 'elastic') ctx.setLineDash([4, 2]);
+        else if (graphObj.lines[i] === 'edgeFriction') ctx.setLineDash([1, 3]);
         else ctx.setLineDash([]);
         if (typeof GRAPH_PROPERTIES[this.graphType].property === 'string') {
           ctx.beginPath();
@@ -431,7 +470,8 @@ class GraphCanvas {
         ],
         'forces' : [
           ['current force', []],
-          [`force averaged over ${numToUnitStr(this.forceAvgWindow, 's', 1)}`, [4, 2]]
+          [`force averaged over ${numToUnitStr(this.forceAvgWindow, 's', 1)}`, [4, 2]],
+          ['friction at edges', [1, 3]]
         ]
       };
       const legendMetrics = [];
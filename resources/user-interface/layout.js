@@ -170,6 +170,8 @@ class FallSimulationLayout {
     this.snapshots = null;
     /** @type {number} frame rate of the snapshots in the snapshots array */
     this.snapshotFPS = 0;
+    /** @type {Map<string, HTMLTableCellElement>} the cells of the protection load table showing running maxima, by id of the body snapshot */
+    this.protectionRunningCells = new Map();
     /** @type {number} actual number of seconds for which the simulation was run */
     this.simulationDuration = 0;
     /** @type {number} current speed at which the animation should be run */
@@ -190,6 +192,16 @@ class FallSimulationLayout {
     this.physicsWorld = new PhysicsWorld();
     /** @type {ClimbingFallWorld} an object containing all relevant setup information for the climbing fall */
     this.climbingFallWorld = null;
+    /** @type {Worker|null} the web worker running the current simulation (null if no simulation is running in a worker) */
+    this.simulationWorker = null;
+    /** @type {(() => void)|null} stops the simulation running in the web worker and shows the partial results */
+    this.stopSimulationWorker = null;
+    /** @type {(() => void)|null} stops the currently running rope calibration (null if no rope calibration is running, see startRopeCalibration) */
+    this.stopRopeCalibration = null;
+    /** @type {boolean} whether the rope model has been calibrated to the current rope manufacturer data (see startRopeCalibration) */
+    this.ropeCalibrated = false;
+    /** @type {boolean} whether a fit to a measured force curve is currently running (see startMeasurementFit) */
+    this.measurementFitRunning = false;
   }
 
   /**
@@ -350,8 +362,7 @@ class FallSimulationLayout {
           const drawSetupStep = this.stepFormTypes.indexOf('draw-setup');
           if (drawSetupStep != -1 && drawSetupStep > this.currentSetupStep) {
             const table = this.stepForms[drawSetupStep].getElementsByClassName('step-form-table')[0];
-            table.replaceChildren(table.getElementsByTagName('tr')[0], table.getElementsByTagName('tr')[1],
-              table.getElementsByTagName('tr')[2], table.getElementsByTagName('tr')[3], table.getElementsByTagName('tr')[4]);
+            for (const row of Array.from(table.getElementsByClassName('draw-row'))) row.remove(); // remove the rows generated for the draws, keep the static rows from index.html
           }
         }
         const currentSettings = this.setupMaskSettings;
@@ -372,6 +383,19 @@ class FallSimulationLayout {
       return (evt) => {
         evt.preventDefault();
         if (idx !== this.currentSetupStep) return;
+        if (this.stepFormTypes[this.currentSetupStep] === 'rope-setup') {
+          const table = this.stepForms[this.currentSetupStep].getElementsByClassName('step-form-table')[0];
+          if (table.classList.contains('rope-manufacturer-info') && !this.ropeCalibrated && document.getElementById('rope-model').value !== 'tabulated') {
+            // the elasticity constant only fits the rope manufacturer data after a calibration (the tabulated model does not use it)
+            const resultInfo = document.getElementById('rope-calibration-result');
+            if (this.stopRopeCalibration === null)
+              resultInfo.textContent = 'Please calibrate the rope model to fit the rope parameters to the manufacturer data before you continue.';
+            resultInfo.scrollIntoView();
+            return;
+          }
+          if (this.stopRopeCalibration !== null) // a calibration for the rope step must not change its inputs after leaving it
+            this.stopRopeCalibration();
+        }
         if (this.currentSetupStep === this.stepElements.length - 1) {
           verifySetupMaskStep(this.currentSetupStep, this.setupMaskSettings);
           this.prepareAndStartSimulation();
@@ -385,12 +409,12 @@ class FallSimulationLayout {
           if (this.stepFormTypes[this.currentSetupStep] === 'draw-setup') { // draw setup step
             const numDraws = this.setupMaskSettings['draw-number'];
             const table = this.stepForms[this.currentSetupStep].getElementsByClassName('step-form-table')[0];
-            table.replaceChildren(table.getElementsByTagName('tr')[0], table.getElementsByTagName('tr')[1],
-              table.getElementsByTagName('tr')[2], table.getElementsByTagName('tr')[3], table.getElementsByTagName('tr')[4]);
+            for (const row of Array.from(table.getElementsByClassName('draw-row'))) row.remove(); // remove the rows generated for the draws, keep the static rows from index.html
             table.style.marginBottom = '1em';
 
             if (numDraws == 0) {
               const tr = document.createElement('tr');
+              tr.classList.add('draw-row');
               const td = document.createElement('td');
               td.setAttribute('colspan', '2');
               td.classList.add('fullwidth-text');
@@ -399,8 +423,111 @@ class FallSimulationLayout {
               table.appendChild(tr);
 
             } else {
+              const addInputRow = (labelText, forId, ...elements) => { // add a table row with a label and input elements
+                const tr = document.createElement('tr');
+                tr.classList.add('draw-row');
+                const leftTd = document.createElement('td');
+                const label = document.createElement('label');
+                if (forId !== null) label.setAttribute('for', forId);
+                label.textContent = labelText;
+                leftTd.appendChild(label);
+                const rightTd = document.createElement('td');
+                for (const element of elements) {
+                  if (typeof element === 'string') rightTd.appendChild(document.createTextNode(element));
+                  else rightTd.appendChild(element);
+                }
+                tr.appendChild(leftTd);
+                tr.appendChild(rightTd);
+                table.appendChild(tr);
+              };
+              const createNumberInput = (id, min, max, step, value) => {
+                const input = document.createElement('input');
+                input.setAttribute('id', id);
+                input.setAttribute('type', 'number');
+                input.setAttribute('min', min);
+                input.setAttribute('max', max);
+                input.setAttribute('step', step);
+                input.value = value;
+                input.defaultValue = value;
+                return input;
+              };
+              const createMaterialSelect = (id, value) => {
+                const select = document.createElement('select');
+                select.setAttribute('id', id);
+                for (const [material, materialName] of [['dyneema', 'Dyneema'], ['nylon', 'Nylon']]) {
+                  const option = document.createElement('option');
+                  option.value = material;
+                  option.textContent = materialName;
+                  option.defaultSelected = (material === value);
+                  select.appendChild(option);
+                }
+                return select;
+              };
+              const createRopeSelect = (id, value) => { // which of the two half ropes is clipped to a draw
+                const select = document.createElement('select');
+                select.setAttribute('id', id);
+                for (const rope of [1, 2]) {
+                  const option = document.createElement('option');
+                  option.value = rope;
+                  option.textContent = `Rope ${rope}`;
+                  option.defaultSelected = (rope === Number(value));
+                  select.appendChild(option);
+                }
+                return select;
+              };
+              const createCheckbox = (id, checked) => {
+                const input = document.createElement('input');
+                input.setAttribute('id', id);
+                input.setAttribute('type', 'checkbox');
+                input.checked = checked;
+                input.defaultChecked = checked;
+                return input;
+              };
+              const createBulkButton = (text, onClick) => {
+                const button = document.createElement('button');
+                button.setAttribute('type', 'button');
+                button.textContent = text;
+                button.addEventListener('click', () => {
+                  onClick();
+                  this.stepForms[this.currentSetupStep].dispatchEvent(new Event('input')); // update the preview
+                });
+                return button;
+              };
+              const defaultFriction = document.getElementById('friction-coefficient').value;
+
+              // bulk-edit helpers: set a value for all draws at once
+              const bulkSlingLength = createNumberInput('bulk-sling-length', '0.05', '2', '0.01', 0.2);
+              addInputRow('Sling length of all draws:', 'bulk-sling-length', bulkSlingLength, ' meters ', createBulkButton('Apply', () => {
+                for (let i = 0; i < numDraws; i++) document.getElementById(`draw-${i}-sling-length`).value = bulkSlingLength.value;
+              }));
+              const bulkSlingMaterial = createMaterialSelect('bulk-sling-material', 'dyneema');
+              addInputRow('Sling material of all draws:', 'bulk-sling-material', bulkSlingMaterial, ' ', createBulkButton('Apply', () => {
+                for (let i = 0; i < numDraws; i++) document.getElementById(`draw-${i}-sling-material`).value = bulkSlingMaterial.value;
+              }));
+              const bulkAbsorber = createCheckbox('bulk-absorber', false);
+              addInputRow('Energy absorbers on all draws:', 'bulk-absorber', bulkAbsorber, ' ', createBulkButton('Apply', () => {
+                for (let i = 0; i < numDraws; i++) document.getElementById(`draw-${i}-absorber`).checked = bulkAbsorber.checked;
+              }));
+              const bulkStrength = createNumberInput('bulk-strength', '0.1', '100', '0.1', 25);
+              const bulkSideStrength = createNumberInput('bulk-side-strength', '0.1', '100', '0.1', 25);
+              addInputRow('Strength of all draws:', 'bulk-strength', bulkStrength, ' kN down, ', bulkSideStrength, ' kN sideways ', createBulkButton('Apply', () => {
+                for (let i = 0; i < numDraws; i++) {
+                  document.getElementById(`draw-${i}-strength`).value = bulkStrength.value;
+                  document.getElementById(`draw-${i}-side-strength`).value = bulkSideStrength.value;
+                }
+              }));
+              const bulkFriction = createNumberInput('bulk-friction', '0', '10', '0.001', defaultFriction);
+              addInputRow('Friction of all draws:', 'bulk-friction', bulkFriction, ' ', createBulkButton('Apply', () => {
+                for (let i = 0; i < numDraws; i++) document.getElementById(`draw-${i}-friction`).value = bulkFriction.value;
+              }));
+              addInputRow('Heights of all draws:', null, createBulkButton('Space evenly', () => {
+                for (let i = 0; i < numDraws - 1; i++)
+                  document.getElementById(`draw-${i}-height`).value = Math.round(100 * (i+1) * this.setupMaskSettings['last-draw-height'] / numDraws) / 100;
+              }));
+
               for (let i = 0; i < numDraws; i++) {
                 const tr = document.createElement('tr');
+                tr.classList.add('draw-row');
                 const leftTd = document.createElement('td');
                 const label = document.createElement('label');
                 label.setAttribute('for', `draw-${i}-height`);
@@ -429,6 +556,7 @@ class FallSimulationLayout {
                 table.appendChild(tr);
                 
                 const tr2 = document.createElement('tr');
+                tr2.classList.add('draw-row');
                 const leftTd2 = document.createElement('td');
                 const label2 = document.createElement('label');
                 label2.setAttribute('for', `draw-${i}-sideways`);
@@ -454,6 +582,21 @@ class FallSimulationLayout {
                 tr2.appendChild(leftTd2);
                 tr2.appendChild(rightTd2);
                 table.appendChild(tr2);
+
+                const defaultOrSetting = (prop, defaultValue) => this.setupMaskDefaultSettings.hasOwnProperty(prop) ? this.setupMaskDefaultSettings[prop] : defaultValue;
+                addInputRow(`Sling length of draw ${(i+1)}:`, `draw-${i}-sling-length`,
+                  createNumberInput(`draw-${i}-sling-length`, '0.05', '2', '0.01', defaultOrSetting(`draw-${i}-sling-length`, 0.2)), ' meters');
+                addInputRow(`Sling material of draw ${(i+1)}:`, `draw-${i}-sling-material`,
+                  createMaterialSelect(`draw-${i}-sling-material`, defaultOrSetting(`draw-${i}-sling-material`, 'dyneema')));
+                addInputRow(`Energy absorber on draw ${(i+1)}:`, `draw-${i}-absorber`,
+                  createCheckbox(`draw-${i}-absorber`, defaultOrSetting(`draw-${i}-absorber`, false)));
+                addInputRow(`Friction of draw ${(i+1)}:`, `draw-${i}-friction`,
+                  createNumberInput(`draw-${i}-friction`, '0', '10', '0.001', defaultOrSetting(`draw-${i}-friction`, defaultFriction)));
+                addInputRow(`Strength of draw ${(i+1)}:`, `draw-${i}-strength`,
+                  createNumberInput(`draw-${i}-strength`, '0.1', '100', '0.1', defaultOrSetting(`draw-${i}-strength`, 25)), ' kN down, ',
+                  createNumberInput(`draw-${i}-side-strength`, '0.1', '100', '0.1', defaultOrSetting(`draw-${i}-side-strength`, 25)), ' kN sideways');
+                if (this.setupMaskSettings['rope-system'] === 'half')
+                  addInputRow(`Rope clipped to draw ${(i+1)}:`, `draw-${i}-rope`, createRopeSelect(`draw-${i}-rope`, defaultOrSetting(`draw-${i}-rope`, (i % 2) + 1)));
               }
             }
 
@@ -528,6 +671,8 @@ class FallSimulationLayout {
                   return;
                 }
                 if (this.currentSetupStep === 0) return;
+                if (this.stopRopeCalibration !== null) // a calibration for the rope step must not change its inputs after leaving it
+                  this.stopRopeCalibration();
                 deleteSetupMaskStepSettings(this.currentSetupStep, this.setupMaskSettings);
                 this.stepElements[this.currentSetupStep].getElementsByClassName('step-body')[0].style.display = 'none';
                 this.currentSetupStep--;
@@ -551,14 +696,16 @@ class FallSimulationLayout {
         this.stepElements[i].getElementsByClassName('step-body')[0].style.display = 'none';
 
       if (this.stepFormTypes[i] === 'saved-configs') { // setup options for loading stored results
-        document.getElementById('uiaa-norm-fall-setup').addEventListener('click', () => {
-          this.setupMaskDefaultSettings = UIAA_NORM_FALL_SETUP;
-          changeSetupDefaults(UIAA_NORM_FALL_SETUP);
-          const ropeIdx = SETUP_MASK_STEPS.order.indexOf('rope-setup');
-          while (this.currentSetupStep < ropeIdx)
-            formSubmitEvtListener(this.currentSetupStep)({ preventDefault: () => {} });
-          (drawPreview(this.currentSetupStep))({});
-        });
+        for (const [buttonId, presetSettings] of [['uiaa-norm-fall-setup', UIAA_NORM_FALL_SETUP], ['uiaa-drop-test-setup', UIAA_DROP_TEST_SETUP]]) {
+          document.getElementById(buttonId).addEventListener('click', () => {
+            this.setupMaskDefaultSettings = presetSettings;
+            changeSetupDefaults(presetSettings);
+            const ropeIdx = SETUP_MASK_STEPS.order.indexOf('rope-setup');
+            while (this.currentSetupStep < ropeIdx)
+              formSubmitEvtListener(this.currentSetupStep)({ preventDefault: () => {} });
+            (drawPreview(this.currentSetupStep))({});
+          });
+        }
         const createSavedResultsTable = (table, savedResults, automatic = false) => {
           const firstChild = table.getElementsByTagName('tr')[0];
           table.replaceChildren(firstChild);
@@ -669,18 +816,60 @@ class FallSimulationLayout {
         const manufacturerDataInput = ((idx) => {
           return () => {
             if (idx !== this.currentSetupStep) return;
-            const impactForce = readNumberFromInput(document.getElementById('impact-force'), 'float') * 1000;
-            const staticElongation = readNumberFromInput(document.getElementById('static-elongation'), 'float') / 100;
-            const dynamicElongation = readNumberFromInput(document.getElementById('dynamic-elongation'), 'float') / 100;
-            const staticElConst = staticElongation / (80 * GRAVITY_OF_EARTH);
-            const dynamicElConst = dynamicElongation / impactForce;
-            const estimatedElConst = Math.round(1000 * 1000 * (0.3 * staticElConst + 0.7 * dynamicElConst)) / 1000;
-            document.getElementById('elasticity-constant').value = estimatedElConst;
-            document.getElementById('elasticity-constant-hint').innerHTML = `The static elongation leads to an approximate elasticity constant of ${
-              Math.round(1000 * 1000 * staticElConst) / 1000}&times;10<sup>-3</sup> per Newton. The dynamic elongation and impact force lead to an approximate elasticity constant of ${
-              Math.round(1000 * 1000 * dynamicElConst) / 1000}&times;10<sup>-3</sup> per Newton. A weighted average of the two will be used as elasticity constant (30 % weight on static value, 70 % weight on dynamic value).`;
+            if (this.stopRopeCalibration !== null) // the running calibration is for outdated values
+              this.stopRopeCalibration();
+            this.ropeCalibrated = false;
+            document.getElementById('rope-calibration-result').textContent = 'Please calibrate the rope model to fit the rope parameters to the manufacturer data.';
           };
         })(i);
+        document.getElementById('calibrate-rope').addEventListener('click', ((idx) => {
+          return () => {
+            if (idx !== this.currentSetupStep || this.stopRopeCalibration !== null) return;
+            const manufacturerData = {
+              impactForce: readNumberFromInput(document.getElementById('impact-force'), 'float') * 1000,
+              staticElongation: readNumberFromInput(document.getElementById('static-elongation'), 'float') / 100,
+              dynamicElongation: readNumberFromInput(document.getElementById('dynamic-elongation'), 'float') / 100
+            };
+            const ropeSetup = {};
+            for (const input of SETUP_MASK_STEPS['rope-setup'].inputs) {
+              const inputElement = document.getElementById(input.id);
+              ropeSetup[input.id] = (input.type === 'float') ? readNumberFromInput(inputElement, 'float') : inputElement.value;
+            }
+            const resultInfo = document.getElementById('rope-calibration-result');
+            const calibrateButton = document.getElementById('calibrate-rope');
+            calibrateButton.setAttribute('disabled', 'disabled');
+            resultInfo.textContent = 'Calibrating the rope model…';
+            const stopCalibration = this.startRopeCalibration(ropeSetup, manufacturerData, (evaluations, maxError) => {
+              resultInfo.textContent = `Calibrating the rope model… ${evaluations} runs of the virtual rope tests, largest deviation so far ${(100 * maxError).toFixed(2)} %.`;
+            }, (calibration) => {
+              this.stopRopeCalibration = null;
+              this.ropeCalibrated = true;
+              calibrateButton.removeAttribute('disabled');
+              document.getElementById('elasticity-constant').value = Math.round(10000 * calibration.elasticityConstant) / 10000;
+              if (ropeSetup['rope-model'] === 'sls') {
+                document.getElementById('sls-linear-fraction').value = Math.round(1000 * calibration.linearFraction) / 1000;
+                document.getElementById('sls-relaxation-time').value = Math.round(1000 * calibration.relaxationTime) / 1000;
+              }
+              const { simulated, relativeErrors } = calibration;
+              const deviation = (key) => `${relativeErrors[key] >= 0 ? '+' : ''}${(100 * relativeErrors[key]).toFixed(2)} %`;
+              resultInfo.innerHTML = `Calibration result: elasticity constant ${numToStr(calibration.elasticityConstant, 4)}&times;10<sup>-3</sup> per Newton${
+                (ropeSetup['rope-model'] === 'sls') ? `, linear fraction ${numToStr(calibration.linearFraction, 3)}, relaxation time ${numToStr(calibration.relaxationTime, 3)} s` : ''
+                }. With these parameters, the simulated impact force is ${(simulated.impactForce / 1000).toFixed(2)} kN (${deviation('impactForce')}), the static elongation ${
+                (100 * simulated.staticElongation).toFixed(2)} % (${deviation('staticElongation')}), and the dynamic elongation ${
+                (100 * simulated.dynamicElongation).toFixed(2)} % (${deviation('dynamicElongation')}), i.e., the remaining error is ${(100 * calibration.maxError).toFixed(2)} %.`;
+            }, (message) => {
+              this.stopRopeCalibration = null;
+              calibrateButton.removeAttribute('disabled');
+              resultInfo.textContent = `Calibration failed: ${message}`;
+            });
+            this.stopRopeCalibration = () => {
+              stopCalibration();
+              this.stopRopeCalibration = null;
+              calibrateButton.removeAttribute('disabled');
+              resultInfo.textContent = 'The calibration of the rope model has been stopped.';
+            };
+          };
+        })(i));
         document.getElementById('change-elasticity-setup').addEventListener('click', ((idx) => {
           return () => {
             if (idx !== this.currentSetupStep) return;
@@ -697,15 +886,79 @@ class FallSimulationLayout {
               manufacturerDataInput();
             } else {
               document.getElementById('change-elasticity-setup').textContent = 'Enter rope manufacturer data';
+              if (this.stopRopeCalibration !== null) // the calibration would overwrite the elasticity constant entered directly
+                this.stopRopeCalibration();
               document.getElementById('elasticity-constant').removeAttribute('disabled');
-              document.getElementById('elasticity-constant-hint').textContent = '';
               document.getElementById('change-elasticity-setup').scrollIntoView();
             }
           };
         })(i));
-        document.getElementById('impact-force').addEventListener('input', manufacturerDataInput);
-        document.getElementById('static-elongation').addEventListener('input', manufacturerDataInput);
-        document.getElementById('dynamic-elongation').addEventListener('input', manufacturerDataInput);
+        form.addEventListener('input', (evt) => { // all rope settings except the fitted ones and those of the second rope enter the virtual rope tests
+          const id = evt.target.getAttribute('id');
+          if (id !== null && id !== 'elasticity-constant' && !id.startsWith('second-'))
+            manufacturerDataInput();
+        });
+        form.addEventListener('reset', manufacturerDataInput);
+
+      } else if (this.stepFormTypes[i] === 'simulation-start') { // fit of the rope, damping and friction parameters to a measured force curve
+        document.getElementById('measured-force-file').addEventListener('change', async (e) => {
+          const file = e.target.files && e.target.files[0];
+          if (!file) return; // user canceled
+          document.getElementById('measured-force-curve').value = await file.text();
+        });
+        document.getElementById('fit-measured-force').addEventListener('click', ((idx) => {
+          return () => {
+            if (idx !== this.currentSetupStep || this.measurementFitRunning) return;
+            const resultInfo = document.getElementById('measured-force-fit-result');
+            let measurement;
+            try {
+              measurement = parseForceMeasurement(document.getElementById('measured-force-curve').value);
+            } catch (e) {
+              resultInfo.textContent = e.message;
+              return;
+            }
+            if (measurement.length === 0) {
+              resultInfo.textContent = 'Please enter or load a measured force curve first.';
+              return;
+            }
+            const setup = { ...this.setupMaskSettings };
+            verifySetupMaskStep(this.currentSetupStep, setup);
+            const location = document.getElementById('measured-force-location').value;
+            const fitButton = document.getElementById('fit-measured-force');
+            this.measurementFitRunning = true;
+            fitButton.setAttribute('disabled', 'disabled');
+            resultInfo.textContent = 'Fitting the parameters to the measurement…';
+            this.startMeasurementFit(setup, measurement, location, (evaluations, rmsError) => {
+              resultInfo.textContent = `Fitting the parameters to the measurement… ${evaluations} simulation runs, smallest deviation so far ${(100 * rmsError).toFixed(2)} %.`;
+            }, (fit) => {
+              this.measurementFitRunning = false;
+              fitButton.removeAttribute('disabled');
+              const fittedValues = {
+                'elasticity-constant': Math.round(10000 * fit.elasticityConstant) / 10000,
+                'rope-bend-damping': Math.round(1000 * fit.bendDamping) / 1000,
+                'rope-stretch-damping': Math.round(1000 * fit.stretchDamping) / 1000,
+                'friction-coefficient': Math.round(1000 * fit.frictionCoefficient) / 1000
+              };
+              for (let k = 0; k < setup['draw-number']; k++) {
+                if (setup.hasOwnProperty(`draw-${k}-friction`)) fittedValues[`draw-${k}-friction`] = fittedValues['friction-coefficient'];
+              }
+              for (const [id, value] of Object.entries(fittedValues)) {
+                this.setupMaskSettings[id] = value;
+                const input = document.getElementById(id);
+                if (input !== null) input.value = value;
+              }
+              resultInfo.innerHTML = `Fit result: elasticity constant ${numToStr(fit.elasticityConstant, 4)}&times;10<sup>-3</sup> per Newton, rope bend damping ${
+                numToStr(fit.bendDamping, 3)}, rope stretch damping ${numToStr(fit.stretchDamping, 3)}, friction coefficient ${numToStr(fit.frictionCoefficient, 3)
+                }. With these parameters, the simulated peak force is ${(fit.peakForce / 1000).toFixed(2)} kN (measured: ${(fit.measuredPeakForce / 1000).toFixed(2)
+                } kN), and the deviation from the measured force curve is ${(100 * fit.rmsError).toFixed(2)} % of the measured peak force (before the fit: ${
+                (100 * fit.startError).toFixed(2)} %).`;
+            }, (message) => {
+              this.measurementFitRunning = false;
+              fitButton.removeAttribute('disabled');
+              resultInfo.textContent = `Fit failed: ${message}`;
+            });
+          };
+        })(i));
       }
     }
   }
@@ -726,14 +979,15 @@ class FallSimulationLayout {
       for (const pm of this.previewManagers)
         pm.destroy();
       this.setupSimulationRunningLayout();
-      this.climbingFallWorld.precalculatePositions((progPercent, progTime) => {
+      const progressCallback = (progPercent, progTime) => {
         if (this.progressBar !== null)
           this.progressBar.style.width = `${progPercent}%`;
         if (this.progressBarText !== null)
           this.progressBarText.textContent = `${numToStr(progPercent, 2, 5)} %`;
         if (this.progressInfoText !== null)
           this.progressInfoText.textContent = `Progress: ${numToStr(progPercent, 2, 5)} %, currently at time ${numToStr(progTime, 2, 11)} s`;
-      }, (completed, simTime, snapshots) => {
+      };
+      const doneCallback = (completed, simTime, snapshots) => {
         this.simulationDuration = simTime;
         this.setupMaskSettings['simulation-duration'] = this.simulationDuration;
         /** @type {boolean} whether the simulation result was saved automatically */
@@ -743,10 +997,187 @@ class FallSimulationLayout {
         
         this.progressInfoText.textContent = `Simulation ${completed ? '' : '(partially) '}completed, up to time ${numToStr(this.simulationDuration, 2, 11)} s`;
         this.setupSimulationResultLoop(snapshots, FPS);
-      }, targetTime, FPS);
+      };
+      const runInMainThread = () => this.climbingFallWorld.precalculatePositions(progressCallback, doneCallback, targetTime, FPS);
+      this.startSimulationWorker(progressCallback, doneCallback, runInMainThread);
     }
   }
 
+  /**
+   * Start a web worker running simulation-worker.js and send it a message once it has loaded its scripts (the worker reports this
+   * with a message of type 'ready'). If the worker cannot be started (e.g. if web workers are not supported, or if the page was opened
+   * from the local file system, so that the worker scripts cannot be loaded), the fallback is called instead of the handlers.
+   * @param {Object} message the message to send to the worker once it is ready (see simulation-worker.js)
+   * @param {(data: Object) => void} messageHandler called with the data of every further message of the worker
+   * @param {(message: string) => void} errorHandler called if an uncaught error occurs in the worker after it is ready
+   * @param {() => void} fallback called if the worker cannot be started (immediately if it cannot be created at all)
+   * @return {Worker|null} the worker, or null if it could not be created
+   */
+  startWorker(message, messageHandler, errorHandler, fallback) {
+    let worker;
+    try {
+      if (typeof Worker === 'undefined') throw new Error('web workers are not supported');
+      worker = new Worker('resources/physics-engine/simulation-worker.js');
+    } catch (e) {
+      fallback();
+      return null;
+    }
+    let ready = false;
+    worker.addEventListener('message', (evt) => {
+      if (evt.data.type === 'ready') {
+        ready = true;
+        worker.postMessage(message);
+      } else {
+        messageHandler(evt.data);
+      }
+    });
+    worker.addEventListener('error', (evt) => {
+      evt.preventDefault();
+      if (ready) {
+        errorHandler(evt.message);
+      } else { // the worker scripts could not be loaded
+        worker.terminate();
+        fallback();
+      }
+    });
+    return worker;
+  }
+
+  /**
+   * Run the simulation configured in the setupMaskSettings property in a web worker, so that the user interface stays responsive
+   * (see startWorker). The callbacks are called in the same way as by ClimbingFallWorld.precalculatePositions.
+   * @param {(percent: number, time: number) => void} progressCallback called to report on intermediate progress
+   * @param {(completed: boolean, time: number, snapshots: {time: number, bodies: ObjectSnapshot[]}[]) => void} doneCallback called when the simulation is completed,
+   *                                                                     stopped, or failed (then with the snapshots received so far, and the error is shown in the progress information text)
+   * @param {() => void} runInMainThread runs the simulation in the main thread instead, called if the worker cannot be started
+   */
+  startSimulationWorker(progressCallback, doneCallback, runInMainThread) {
+    const snapshots = [];
+    const addSnapshots = (serializedSnapshots) => {
+      for (const serialized of serializedSnapshots) {
+        const snapshot = JSON.parse(serialized);
+        for (let i = 0; i < snapshot.bodies.length; i++)
+          snapshot.bodies[i] = deserializeObjectSnapshot(snapshot.bodies[i]);
+        snapshots.push(snapshot);
+      }
+    };
+    let worker = null;
+    const finish = () => {
+      if (worker !== null) worker.terminate();
+      this.simulationWorker = null;
+      this.stopSimulationWorker = null;
+    };
+    const showPartialResults = () => { // stop the worker and show the snapshots received so far
+      finish();
+      if (snapshots.length == 0) { // nothing received yet: show the initial state
+        this.physicsWorld.timeStep(0);
+        snapshots.push({ time: 0, bodies: this.physicsWorld.captureSnapshot() });
+      }
+      doneCallback(false, snapshots[snapshots.length - 1].time, snapshots);
+    };
+    const fail = (message) => { // show the partial results together with the error
+      showPartialResults();
+      if (this.progressInfoText !== null)
+        this.progressInfoText.textContent = `Simulation failed at time ${numToStr(snapshots[snapshots.length - 1].time, 2, 11)} s: ${message}`;
+    };
+    worker = this.startWorker({ type: 'start', setup: this.setupMaskSettings }, (data) => {
+      if (data.type === 'progress') {
+        addSnapshots(data.snapshots);
+        progressCallback(data.percent, data.time);
+      } else if (data.type === 'done') {
+        addSnapshots(data.snapshots);
+        finish();
+        doneCallback(data.completed, data.time, snapshots);
+      } else if (data.type === 'error') {
+        fail(data.message);
+      }
+    }, fail, () => {
+      finish();
+      runInMainThread();
+    });
+    if (worker !== null) {
+      this.stopSimulationWorker = showPartialResults;
+      this.simulationWorker = worker;
+    }
+  }
+
+  /**
+   * Calibrate the rope model to the rope manufacturer data (see calibrateRope). The calibration runs in a web worker, so that the
+   * user interface stays responsive (see startFitInWorker).
+   * @param {ClimbingFallSetup} ropeSetup the settings of the rope-setup step
+   * @param {RopeTestValues} manufacturerData the values given by the rope manufacturer
+   * @param {(evaluations: number, maxError: number) => void} progressCallback called to report on intermediate progress
+   * @param {(calibration: RopeCalibrationResult) => void} doneCallback called with the result once the calibration is completed
+   * @param {(message: string) => void} errorCallback called if the calibration failed
+   * @return {() => void} stops the calibration (none of the callbacks is called afterwards)
+   */
+  startRopeCalibration(ropeSetup, manufacturerData, progressCallback, doneCallback, errorCallback) {
+    return this.startFitInWorker({ type: 'calibrate-rope', ropeSetup, manufacturerData }, 'calibration',
+      isStopped => calibrateRope(ropeSetup, manufacturerData, (evaluations, maxError) => {
+        if (isStopped()) throw new Error('Calibration stopped');
+        progressCallback(evaluations, maxError);
+      }),
+      data => progressCallback(data.evaluations, data.maxError), doneCallback, errorCallback);
+  }
+
+  /**
+   * Fit the rope and damping parameters and the friction coefficient to a measured force curve (see fitToMeasuredForce). The fit runs
+   * in a web worker, so that the user interface stays responsive (see startFitInWorker).
+   * @param {ClimbingFallSetup} setup the complete setup of the measured fall
+   * @param {[number, number][]} measurement the measured force curve (see parseForceMeasurement)
+   * @param {ForceMeasurementLocation} location where the force was measured
+   * @param {(evaluations: number, rmsError: number) => void} progressCallback called to report on intermediate progress
+   * @param {(fit: MeasurementFitResult) => void} doneCallback called with the result once the fit is completed
+   * @param {(message: string) => void} errorCallback called if the fit failed
+   * @return {() => void} stops the fit (none of the callbacks is called afterwards)
+   */
+  startMeasurementFit(setup, measurement, location, progressCallback, doneCallback, errorCallback) {
+    return this.startFitInWorker({ type: 'fit-measurement', setup, measurement, location }, 'fit',
+      isStopped => fitToMeasuredForce(setup, measurement, location, (evaluations, rmsError) => {
+        if (isStopped()) throw new Error('Fit stopped');
+        progressCallback(evaluations, rmsError);
+      }),
+      data => progressCallback(data.evaluations, data.rmsError), doneCallback, errorCallback);
+  }
+
+  /**
+   * Run a parameter fit (a rope calibration or a fit to a measured force curve) in a web worker, so that the user interface stays
+   * responsive; if the worker cannot be started, the fit runs in the main thread instead (see startWorker).
+   * @param {Object} message the message starting the fit in the worker (see simulation-worker.js)
+   * @param {'calibration'|'fit'} resultType the worker reports progress in messages of type `${resultType}-progress`, and the result
+   *                                         in the property resultType of the message of type `${resultType}-done`
+   * @param {(isStopped: () => boolean) => Promise<Object>} runInMainThread runs the fit in the main thread instead, resolving to its result
+   *                                                                    (it should check isStopped regularly and throw an error once it returns true)
+   * @param {(data: Object) => void} progressMessage called with every progress message of the worker
+   * @param {(result: Object) => void} doneCallback called with the result once the fit is completed
+   * @param {(message: string) => void} errorCallback called if the fit failed
+   * @return {() => void} stops the fit (none of the callbacks is called afterwards)
+   */
+  startFitInWorker(message, resultType, runInMainThread, progressMessage, doneCallback, errorCallback) {
+    let stopped = false;
+    const fallBack = () => runInMainThread(() => stopped)
+      .then(result => { if (!stopped) doneCallback(result); })
+      .catch(e => { if (!stopped) errorCallback(String(e)); });
+    const worker = this.startWorker(message, (data) => {
+      if (data.type === `${resultType}-progress`) {
+        progressMessage(data);
+      } else if (data.type === `${resultType}-done`) {
+        worker.terminate();
+        doneCallback(data[resultType]);
+      } else if (data.type === 'error') {
+        worker.terminate();
+        errorCallback(data.message);
+      }
+    }, (errorMessage) => {
+      worker.terminate();
+      errorCallback(errorMessage);
+    }, fallBack);
+    return () => { // stop the fit
+      stopped = true;
+      if (worker !== null) worker.terminate();
+    };
+  }
+
   /**
    * Setup the layout to show information about the currently running simulation
    */
@@ -767,7 +1198,9 @@ class FallSimulationLayout {
     this.stopCalculationBtn.setAttribute('type', 'button');
     this.stopCalculationBtn.setAttribute('value', 'Stop');
     this.stopCalculationBtn.addEventListener('click', (evt) => {
-      if (this.climbingFallWorld !== null)
+      if (this.stopSimulationWorker !== null)
+        this.stopSimulationWorker();
+      else if (this.climbingFallWorld !== null)
         this.climbingFallWorld.interruptSimulation = true;
     });
     this.headPanel.appendChild(this.stopCalculationBtn);
@@ -930,6 +1363,32 @@ class FallSimulationLayout {
     this.setupSimulationResultLayout();
     
     const lastSnapshot = this.snapshots[this.snapshots.length - 1];
+    document.getElementById('peak-force-ground-anchor').textContent = 'no ground anchor'; // overwritten below if the belayer is tethered
+    document.getElementById('peak-force-ground-anchor-hint').textContent = '';
+    document.getElementById('peak-force-ground-anchor-running').textContent = '';
+    for (const id of ['belayer-lift-off-time', 'belayer-max-lift', 'belayer-travel', 'belayer-landing-speed']) {
+      document.getElementById(id).textContent = 'belayer not standing'; // overwritten below if the belayer stands on the ground
+      document.getElementById(`${id}-running`).textContent = '';
+    }
+    document.getElementById('peak-force-top-bolt').textContent = 'no quickdraws'; // overwritten below if there are quickdraws
+    document.getElementById('peak-force-top-bolt-hint').textContent = '';
+    document.getElementById('peak-force-top-bolt-running').textContent = '';
+    const topProtection = this.findTopProtection(lastSnapshot.bodies);
+    if (topProtection.bolt !== null) {
+      document.getElementById('peak-force-top-bolt').textContent = numToUnitStr(topProtection.bolt.load.peak, 'N', 2);
+      document.getElementById('peak-force-top-bolt-hint').textContent = ` (averaged over ${numToUnitStr(topProtection.bolt.forces.averageWindow, 's', 1)})`;
+    }
+    document.getElementById('peak-force-station-bolt').textContent = 'no belay station'; // overwritten below if the belayer hangs from a belay station
+    document.getElementById('peak-force-station-bolt-hint').textContent = '';
+    document.getElementById('peak-force-station-bolt-running').textContent = '';
+    const stationBolt = this.findMostLoadedStationBolt(lastSnapshot.bodies);
+    if (stationBolt !== null) {
+      document.getElementById('peak-force-station-bolt').textContent = numToUnitStr(stationBolt.load.peak, 'N', 2);
+      document.getElementById('peak-force-station-bolt-hint').textContent = ` (averaged over ${numToUnitStr(stationBolt.forces.averageWindow, 's', 1)})`;
+    }
+    this.fillProtectionTable(lastSnapshot.bodies);
+    this.fillFallSeriesTable(lastSnapshot.bodies);
+    this.showRopeStats(lastSnapshot.bodies, '');
     for (const bodySnap of lastSnapshot.bodies) {
       if (!bodySnap.hasOwnProperty('runningMaxima')) continue;
       if (bodySnap.name === 'climber') {
@@ -937,16 +1396,22 @@ class FallSimulationLayout {
         document.getElementById('peak-speed-climber').textContent = numToUnitStr(bodySnap.runningMaxima.speed * 3600, 'm/h', 2);
         if (bodySnap.runningMaxima.hasOwnProperty('forceAvgWindow'))
           document.getElementById('peak-force-climber-hint').textContent = ` (averaged over ${numToUnitStr(bodySnap.runningMaxima.forceAvgWindow, 's', 1)})`;
+        if (bodySnap.runningMaxima.hasOwnProperty('contactImpulse')) {
+          document.getElementById('peak-contact-climber').textContent = numToUnitStr(bodySnap.runningMaxima.contactImpulse, 'Ns', 2);
+          document.getElementById('peak-contact-climber-hint').textContent = ` (per ${numToUnitStr(1 / this.snapshotFPS, 's', 1)})`;
+        }
       } else if (bodySnap.name === 'belayer') {
         document.getElementById('peak-force-belayer').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
         document.getElementById('peak-speed-belayer').textContent = numToUnitStr(bodySnap.runningMaxima.speed * 3600, 'm/h', 2);
         if (bodySnap.runningMaxima.hasOwnProperty('forceAvgWindow'))
           document.getElementById('peak-force-belayer-hint').textContent = ` (averaged over ${numToUnitStr(bodySnap.runningMaxima.forceAvgWindow, 's', 1)})`;
-      } else if (bodySnap.name === 'rope') {
-        document.getElementById('peak-impact-climber').textContent = numToUnitStr(bodySnap.runningMaxima.climberStretching, 'N', 2);
-        document.getElementById('peak-impact-belayer').textContent = numToUnitStr(bodySnap.runningMaxima.belayerStretching, 'N', 2);
-        document.getElementById('peak-rope-elongation').textContent = numToStr(bodySnap.runningMaxima.relativeElongation * 100) + ' %';
-      } else if (bodySnap.name === 'quickdraw') {
+        if (bodySnap.hasOwnProperty('groundContact'))
+          this.showGroundContactStats(bodySnap.groundContact, '');
+      } else if (bodySnap.name === 'ground anchor') {
+        document.getElementById('peak-force-ground-anchor').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
+        if (bodySnap.runningMaxima.hasOwnProperty('forceAvgWindow'))
+          document.getElementById('peak-force-ground-anchor-hint').textContent = ` (averaged over ${numToUnitStr(bodySnap.runningMaxima.forceAvgWindow, 's', 1)})`;
+      } else if ((topProtection.carabiner === null) ? (bodySnap.name === 'quickdraw') : (bodySnap === topProtection.carabiner)) { // results of older versions have no loads, but only the top quickdraw has running maxima
         document.getElementById('peak-force-draw').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
         if (bodySnap.runningMaxima.hasOwnProperty('forceAvgWindow'))
           document.getElementById('peak-force-draw-hint').textContent = ` (averaged over ${numToUnitStr(bodySnap.runningMaxima.forceAvgWindow, 's', 1)})`;
@@ -959,6 +1424,199 @@ class FallSimulationLayout {
     window.requestAnimationFrame(() => this.playInLoop());
   }
 
+  /**
+   * Find the snapshots of the topmost quickdraw carabiner and of the topmost bolt (a Jesus point counts as a quickdraw below the lowest
+   * one, the bolts of a multi-pitch belay station are not considered, see findMostLoadedStationBolt)
+   * @param {ObjectSnapshot[]} bodySnaps the snapshots of all bodies at a given time
+   * @return {{carabiner: ObjectSnapshot|null, bolt: ObjectSnapshot|null}} the snapshots (null if there are no quickdraws). If the
+   *                                                                      quickdraws are not attached to their bolts with slings, the
+   *                                                                      carabiner is fixed to the bolt, and both are the same snapshot.
+   */
+  findTopProtection(bodySnaps) {
+    const topProtection = { carabiner: null, bolt: null };
+    for (const bodySnap of bodySnaps) {
+      if (!bodySnap.hasOwnProperty('load') || bodySnap.load.role === 'belay-station') continue;
+      const component = bodySnap.load.component;
+      if (topProtection[component] === null || this.compareProtectionOrder(topProtection[component].load, bodySnap.load) < 0)
+        topProtection[component] = bodySnap;
+    }
+    if (topProtection.bolt === null || (topProtection.carabiner !== null && this.compareProtectionOrder(topProtection.carabiner.load, topProtection.bolt.load) > 0))
+      topProtection.bolt = topProtection.carabiner; // e.g. a Jesus point above the draws with slings (the carabiner is fixed to its bolt)
+    return topProtection;
+  }
+
+  /**
+   * Compare the order of two protection points along the rope: the quickdraws (from the lowest to the topmost) lie above a Jesus point,
+   * which lies above the bolts of a multi-pitch belay station
+   * @param {LoadSnapshot} loadA the load snapshot of the first protection point
+   * @param {LoadSnapshot} loadB the load snapshot of the second protection point
+   * @return {number} positive if the first protection point lies above the second one, negative if it lies below, and 0 if both
+   *                  belong to the same quickdraw (or to the Jesus point, or to the belay station)
+   */
+  compareProtectionOrder(loadA, loadB) {
+    const roleOrder = ['belay-station', 'jesus-point', 'draw']; // from the bottom to the top
+    if (loadA.role !== loadB.role)
+      return roleOrder.indexOf(loadA.role) - roleOrder.indexOf(loadB.role);
+    return (loadA.role === 'draw') ? loadA.drawIndex - loadB.drawIndex : 0;
+  }
+
+  /**
+   * Find the snapshot of the bolt of a multi-pitch belay station with the highest peak load
+   * @param {ObjectSnapshot[]} bodySnaps the snapshots of all bodies at a given time
+   * @return {ObjectSnapshot|null} the snapshot (null if the belayer does not hang from a belay station)
+   */
+  findMostLoadedStationBolt(bodySnaps) {
+    let stationBolt = null;
+    for (const bodySnap of bodySnaps) {
+      if (!bodySnap.hasOwnProperty('load') || bodySnap.load.role !== 'belay-station') continue;
+      if (stationBolt === null || stationBolt.load.peak < bodySnap.load.peak)
+        stationBolt = bodySnap;
+    }
+    return stationBolt;
+  }
+
+  /**
+   * Describe the direction of a load by its angle to the vertical
+   * @param {number[]|null} direction the direction of the load (length 1), null if there has been no load
+   * @return {string} the description of the direction
+   */
+  loadDirectionStr(direction) {
+    if (direction === null) return 'no load';
+    const angle = Math.acos(Math.max(-1, Math.min(1, -direction[1]))) * 180 / Math.PI;
+    if (angle < 1) return 'straight down';
+    return `${numToStr(angle, 0)}° ${(direction[0] > 0) ? 'away from the wall' : 'towards the wall'}`;
+  }
+
+  /**
+   * Fill the table containing the peak loads on all bolts and quickdraw carabiners
+   * @param {ObjectSnapshot[]} bodySnaps the snapshots of all bodies at the end of the simulation
+   */
+  fillProtectionTable(bodySnaps) {
+    const table = document.getElementById('menu-protection-table');
+    table.replaceChildren();
+    this.protectionRunningCells.clear();
+    const addRow = (cellTexts, isHeader = false) => {
+      const row = document.createElement('tr');
+      const cells = cellTexts.map(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (isHeader) cell.classList.add('centered');
+        row.appendChild(cell);
+        return cell;
+      });
+      table.appendChild(row);
+      return cells;
+    };
+    const protectionSnaps = bodySnaps.filter(bodySnap => bodySnap.hasOwnProperty('load'))
+      .sort((snapA, snapB) => this.compareProtectionOrder(snapB.load, snapA.load) || snapA.load.component.localeCompare(snapB.load.component));
+    if (protectionSnaps.length === 0) {
+      addRow(['no quickdraws']);
+      return;
+    }
+    addRow(['', 'Height', 'Peak load', 'Direction of peak load', 'Failure', 'Running maximum'], true);
+    for (const bodySnap of protectionSnaps) {
+      const failed = bodySnap.load.hasOwnProperty('failureTime') && bodySnap.load.failureTime !== null; // older results do not contain failures
+      const cells = addRow([
+        objectSnapshotLabel(bodySnap),
+        numToUnitStr(bodySnap.visibleState.position[1], 'm', 2),
+        numToUnitStr(bodySnap.load.peak, 'N', 2),
+        this.loadDirectionStr(bodySnap.load.peakDirection),
+        failed ? `at ${numToUnitStr(bodySnap.load.failureTime, 's', 3)} (${numToUnitStr(bodySnap.load.failureLoad, 'N', 2)})` : 'held',
+        ''
+      ]);
+      this.protectionRunningCells.set(bodySnap.id, cells[5]);
+    }
+    const absorberSnaps = bodySnaps.filter(bodySnap => bodySnap.hasOwnProperty('absorber'))
+      .sort((snapA, snapB) => snapB.absorber.drawIndex - snapA.absorber.drawIndex);
+    if (absorberSnaps.length === 0) return;
+    addRow(['', 'Tearing force', 'Tear length used', 'Energy absorbed', '', 'Running values'], true);
+    for (const bodySnap of absorberSnaps) {
+      const cells = addRow([
+        `energy absorber ${bodySnap.absorber.drawIndex + 1}`,
+        numToUnitStr(bodySnap.absorber.tearingForce, 'N', 2),
+        `${numToUnitStr(bodySnap.absorber.tornLength, 'm', 2)} of ${numToUnitStr(bodySnap.absorber.tearLength, 'm', 2)}`,
+        numToUnitStr(bodySnap.absorber.absorbedEnergy, 'J', 2),
+        '',
+        ''
+      ]);
+      this.protectionRunningCells.set(bodySnap.id, cells[5]);
+    }
+  }
+
+  /**
+   * Fill the table containing the results of all falls of a fall series or drop test series (the fall series section is hidden if
+   * only a single fall has been simulated)
+   * @param {ObjectSnapshot[]} bodySnaps the snapshots of all bodies at the end of the simulation
+   */
+  fillFallSeriesTable(bodySnaps) {
+    const massSnap = bodySnaps.find(bodySnap => bodySnap.hasOwnProperty('fallSeries'));
+    document.getElementById('menu-fall-series').style.display = (massSnap === undefined) ? 'none' : 'block';
+    if (massSnap === undefined) return;
+    const table = document.getElementById('menu-fall-series-table');
+    table.replaceChildren();
+    const addRow = (cellTexts, isHeader = false) => {
+      const row = document.createElement('tr');
+      for (const text of cellTexts) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (isHeader) cell.classList.add('centered');
+        row.appendChild(cell);
+      }
+      table.appendChild(row);
+    };
+    addRow(['Fall', 'Impact force', 'Anchor force', 'Dynamic elongation', 'Held'], true);
+    massSnap.fallSeries.results.forEach((result, i) => addRow([
+      `${i + 1}`,
+      numToUnitStr(result.impactForce, 'N', 2),
+      numToUnitStr(result.anchorForce, 'N', 2),
+      `${numToStr(100 * result.dynamicElongation, 1)} %`,
+      result.held ? 'yes' : 'no'
+    ]));
+    document.getElementById('fall-series-falls-held').textContent = `${massSnap.fallSeries.fallsHeld}`;
+  }
+
+  /**
+   * Get a short description of the state of an energy absorber, as shown in the running values of the protection table
+   * @param {AbsorberSnapshot} absorber the snapshot of the energy absorber
+   * @return {string} the tear length used and the energy absorbed
+   */
+  absorberStateStr(absorber) {
+    return `${numToUnitStr(absorber.tornLength, 'm', 2)}, ${numToUnitStr(absorber.absorbedEnergy, 'J', 2)}`;
+  }
+
+  /**
+   * Show the running maxima of the climbing ropes in the key statistics table. The values of the two ropes of a double rope system
+   * are separated by a slash.
+   * @param {ObjectSnapshot[]} bodySnaps the snapshots of all bodies at a given time
+   * @param {''|'-running'} idSuffix the suffix of the ids of the table cells to fill ('' for the final values, '-running' for the values at the current time)
+   */
+  showRopeStats(bodySnaps, idSuffix) {
+    const ropeSnaps = bodySnaps.filter(bodySnap => /^rope( \d+)?$/.test(bodySnap.name) && bodySnap.hasOwnProperty('runningMaxima'));
+    if (ropeSnaps.length === 0) return;
+    const showValues = (id, valueStr) => {
+      document.getElementById(id + idSuffix).textContent = ropeSnaps.map(ropeSnap => valueStr(ropeSnap.runningMaxima)).join(' / ');
+    };
+    showValues('peak-impact-climber', runningMaxima => numToUnitStr(runningMaxima.climberStretching, 'N', 2));
+    showValues('peak-impact-belayer', runningMaxima => numToUnitStr(runningMaxima.belayerStretching, 'N', 2));
+    showValues('peak-rope-elongation', runningMaxima => numToStr(runningMaxima.relativeElongation * 100) + ' %');
+    if (ropeSnaps[0].runningMaxima.hasOwnProperty('slippedRope'))
+      showValues('slipped-rope', runningMaxima => numToUnitStr(runningMaxima.slippedRope, 'm', 2));
+    else
+      document.getElementById('slipped-rope' + idSuffix).textContent = (idSuffix === '') ? 'no belay device' : '';
+  }
+
+  /**
+   * Show the ground contact statistics of a standing belayer in the key statistics table
+   * @param {GroundContactSnapshot} groundContact the ground contact statistics of the belayer
+   * @param {''|'-running'} idSuffix the suffix of the ids of the table cells to fill ('' for the final values, '-running' for the values at the current time)
+   */
+  showGroundContactStats(groundContact, idSuffix) {
+    document.getElementById(`belayer-lift-off-time${idSuffix}`).textContent = (groundContact.liftOffTime !== null) ? numToUnitStr(groundContact.liftOffTime, 's', 3) : 'no lift-off';
+    document.getElementById(`belayer-max-lift${idSuffix}`).textContent = numToUnitStr(groundContact.maxLiftHeight, 'm', 2);
+    document.getElementById(`belayer-travel${idSuffix}`).textContent = numToUnitStr(groundContact.maxTravel, 'm', 2);
+    document.getElementById(`belayer-landing-speed${idSuffix}`).textContent = (groundContact.landingSpeed !== null) ? numToUnitStr(groundContact.landingSpeed * 3600, 'm/h', 2) : 'no landing';
+  }
+
   /**
    * Animate the simulation results in a loop
    */
@@ -1000,19 +1658,32 @@ class FallSimulationLayout {
   drawSnapshotAtIndex(idx) {
     const cSnapshot = this.snapshots[idx];
     document.getElementById('menu-stats-time').textContent = `${numToStr(cSnapshot.time, 2, 5, 2, true)} s`;
+    const topProtection = this.findTopProtection(cSnapshot.bodies);
+    this.showRopeStats(cSnapshot.bodies, '-running');
+    if (topProtection.bolt !== null)
+      document.getElementById('peak-force-top-bolt-running').textContent = numToUnitStr(topProtection.bolt.load.peak, 'N', 2);
+    const stationBolt = this.findMostLoadedStationBolt(cSnapshot.bodies);
+    if (stationBolt !== null)
+      document.getElementById('peak-force-station-bolt-running').textContent = numToUnitStr(stationBolt.load.peak, 'N', 2);
     for (const bodySnap of cSnapshot.bodies) {
+      if (bodySnap.hasOwnProperty('load') && this.protectionRunningCells.has(bodySnap.id))
+        this.protectionRunningCells.get(bodySnap.id).textContent = numToUnitStr(bodySnap.load.peak, 'N', 2);
+      if (bodySnap.hasOwnProperty('absorber') && this.protectionRunningCells.has(bodySnap.id))
+        this.protectionRunningCells.get(bodySnap.id).textContent = this.absorberStateStr(bodySnap.absorber);
       if (!bodySnap.hasOwnProperty('runningMaxima')) continue;
       if (bodySnap.name === 'climber') {
         document.getElementById('peak-force-climber-running').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
         document.getElementById('peak-speed-climber-running').textContent = numToUnitStr(bodySnap.runningMaxima.speed * 3600, 'm/h', 2);
+        if (bodySnap.runningMaxima.hasOwnProperty('contactImpulse'))
+          document.getElementById('peak-contact-climber-running').textContent = numToUnitStr(bodySnap.runningMaxima.contactImpulse, 'Ns', 2);
       } else if (bodySnap.name === 'belayer') {
         document.getElementById('peak-force-belayer-running').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
         document.getElementById('peak-speed-belayer-running').textContent = numToUnitStr(bodySnap.runningMaxima.speed * 3600, 'm/h', 2);
-      } else if (bodySnap.name === 'rope') {
-        document.getElementById('peak-impact-climber-running').textContent = numToUnitStr(bodySnap.runningMaxima.climberStretching, 'N', 2);
-        document.getElementById('peak-impact-belayer-running').textContent = numToUnitStr(bodySnap.runningMaxima.belayerStretching, 'N', 2);
-        document.getElementById('peak-rope-elongation-running').textContent = numToStr(bodySnap.runningMaxima.relativeElongation * 100) + ' %';
-      } else if (bodySnap.name === 'quickdraw') {
+        if (bodySnap.hasOwnProperty('groundContact'))
+          this.showGroundContactStats(bodySnap.groundContact, '-running');
+      } else if (bodySnap.name === 'ground anchor') {
+        document.getElementById('peak-force-ground-anchor-running').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
+      } else if ((topProtection.carabiner === null) ? (bodySnap.name === 'quickdraw') : (bodySnap === topProtection.carabiner)) {
         document.getElementById('peak-force-draw-running').textContent = numToUnitStr(bodySnap.runningMaxima.force, 'N', 2);
       }
     }
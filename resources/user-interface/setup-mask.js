@@ -6,24 +6,60 @@ const SETUP_MASK_STEPS = {
   },
   'basic-setup': {
     inputs: [
+      { type: 'boolean', id: 'drop-test' },
+      { type: 'float', id: 'drop-test-interval' },
+      { type: 'float', id: 'drop-test-rope-strength' },
+      { type: 'boolean', id: 'fall-series' },
+      { type: 'float', id: 'fall-series-interval' },
+      { type: 'float', id: 'fall-recovery-time' },
       { type: 'float', id: 'wall-angle' },
+      { type: 'text', id: 'wall-profile' },
+      { type: 'float', id: 'wall-friction' },
+      { type: 'float', id: 'wall-restitution' },
+      { type: 'boolean', id: 'rope-edge-contact' },
+      { type: 'float', id: 'rope-wall-friction' },
+      { type: 'text', id: 'obstacles' },
+      { type: 'boolean', id: 'multi-pitch' },
+      { type: 'float', id: 'belay-station-height' },
+      { type: 'float', id: 'belay-station-bolt-spacing' },
+      { type: 'select', id: 'belay-station-sling-material' },
+      { type: 'boolean', id: 'jesus-point' },
+      { type: 'float', id: 'jesus-point-height' },
       { type: 'boolean', id: 'ground-present' },
       { type: 'float', id: 'ground-level' },
+      { type: 'float', id: 'ground-friction' },
+      { type: 'float', id: 'ground-restitution' },
       { type: 'float', id: 'climber-height' },
       { type: 'float', id: 'climber-sideways' },
       { type: 'float', id: 'climber-weight' },
       { type: 'float', id: 'last-draw-height' },
       { type: 'int', id: 'draw-number' },
+      { type: 'select', id: 'rope-system' },
       { type: 'boolean', id: 'fixed-anchor' },
       { type: 'boolean', id: 'belayer-fixed' },
+      { type: 'float', id: 'tether-length' },
+      { type: 'float', id: 'tether-stiffness' },
       { type: 'float', id: 'belayer-weight' },
+      { type: 'select', id: 'belay-device' },
+      { type: 'float', id: 'brake-hand-force' },
+      { type: 'float', id: 'belay-device-friction' },
+      { type: 'float', id: 'lock-speed' },
+      { type: 'float', id: 'lock-tension' },
+      { type: 'float', id: 'lock-delay' },
+      { type: 'float', id: 'slip-before-lock' },
+      { type: 'boolean', id: 'cam-held-open' },
+      { type: 'float', id: 'cam-release-time' },
+      { type: 'text', id: 'belay-actions' },
+      { type: 'float', id: 'belay-reaction-delay' },
       { type: 'float', id: 'slack' }
     ]
   },
   'draw-setup': {
     inputs: [
       { type: 'float', id: 'friction-coefficient' },
-      { type: 'boolean', id: 'draw-slings' }
+      { type: 'boolean', id: 'draw-slings' },
+      { type: 'float', id: 'absorber-tearing-force' },
+      { type: 'float', id: 'absorber-tear-length' }
     ]
   },
   'distance-setup': {
@@ -36,7 +72,13 @@ const SETUP_MASK_STEPS = {
     inputs: [
       { type: 'float', id: 'elasticity-constant' },
       { type: 'float', id: 'rope-weight' },
+      { type: 'float', id: 'second-elasticity-constant' },
+      { type: 'float', id: 'second-rope-weight' },
       { type: 'select', id: 'rope-model' },
+      { type: 'float', id: 'sls-linear-fraction' },
+      { type: 'float', id: 'sls-relaxation-time' },
+      { type: 'text', id: 'rope-loading-curve' },
+      { type: 'text', id: 'rope-unloading-curve' },
       { type: 'float', id: 'rope-bend-damping' },
       { type: 'float', id: 'rope-stretch-damping' }
     ]
@@ -44,7 +86,11 @@ const SETUP_MASK_STEPS = {
   'physics-setup': {
     inputs: [
       { type: 'int', id: 'rope-segments' },
-      { type: 'float', id: 'physics-step-size' }
+      { type: 'float', id: 'physics-step-size' },
+      { type: 'select', id: 'integrator' },
+      { type: 'boolean', id: 'adaptive-step-size' },
+      { type: 'float', id: 'max-step-size' },
+      { type: 'float', id: 'step-error-tolerance' }
     ]
   },
   'simulation-start': {
@@ -56,7 +102,10 @@ const SETUP_MASK_STEPS = {
 }
 
 const UIAA_NORM_FALL_SETUP = {
+  "drop-test": false,
+  "fall-series": false,
   "wall-angle": 0,
+  "multi-pitch": false,
   "ground-present": true,
   "ground-level": -8,
   "climber-height": 2.56,
@@ -64,6 +113,7 @@ const UIAA_NORM_FALL_SETUP = {
   "climber-weight": 80,
   "last-draw-height": 0.26,
   "draw-number": 1,
+  "rope-system": "single",
   "fixed-anchor": true,
   "belayer-fixed": false,
   "belayer-weight": 70,
@@ -77,6 +127,14 @@ const UIAA_NORM_FALL_SETUP = {
   "draw-0-wall-distance": 0.7
 };
 
+const UIAA_DROP_TEST_SETUP = {
+  ...UIAA_NORM_FALL_SETUP,
+  "drop-test": true,
+  "drop-test-interval": 3,
+  "fall-recovery-time": 300,
+  "simulation-duration": 15
+};
+
 /**
  * Ensure that a number value read from an input element meets the specified input limits
  * @param {HTMLInputElement} input the input element the number was read from
@@ -139,25 +197,33 @@ function verifySetupMaskStep(stepNumber, settingsObject) {
   const stepId = SETUP_MASK_STEPS.order[stepNumber];
   for (const { type, id } of SETUP_MASK_STEPS[stepId].inputs) {
     if (type === 'float' || type === 'int') {
-      if (settingsObject['ground-present'] && (id === 'climber-height' || id === 'last-draw-height'))
+      if (settingsObject['ground-present'] && !settingsObject['multi-pitch'] && (id === 'climber-height' || id === 'last-draw-height'))
         settingsObject[id] = readNumberFromInput(document.getElementById(id), type, settingsObject['ground-level']);
       else
         settingsObject[id] = readNumberFromInput(document.getElementById(id), type);
     } else if (type === 'boolean') {
       const val = document.getElementById(id).checked;
       settingsObject[id] = val;
-    } else if (type === 'select') {
+    } else if (type === 'select' || type === 'text') {
       settingsObject[id] = document.getElementById(id).value;
     }
   }
   if (stepId === 'draw-setup') {
     let i = 0;
     while (document.getElementById(`draw-${i}-height`) !== null) {
-      if (settingsObject['ground-present'])
+      if (settingsObject['ground-present'] && !settingsObject['multi-pitch'])
         settingsObject[`draw-${i}-height`] = readNumberFromInput(document.getElementById(`draw-${i}-height`), 'float', settingsObject['ground-level']);
       else
         settingsObject[`draw-${i}-height`] = readNumberFromInput(document.getElementById(`draw-${i}-height`), 'float');
       settingsObject[`draw-${i}-sideways`] = readNumberFromInput(document.getElementById(`draw-${i}-sideways`), 'float');
+      settingsObject[`draw-${i}-sling-length`] = readNumberFromInput(document.getElementById(`draw-${i}-sling-length`), 'float');
+      settingsObject[`draw-${i}-sling-material`] = document.getElementById(`draw-${i}-sling-material`).value;
+      settingsObject[`draw-${i}-absorber`] = document.getElementById(`draw-${i}-absorber`).checked;
+      settingsObject[`draw-${i}-friction`] = readNumberFromInput(document.getElementById(`draw-${i}-friction`), 'float');
+      settingsObject[`draw-${i}-strength`] = readNumberFromInput(document.getElementById(`draw-${i}-strength`), 'float');
+      settingsObject[`draw-${i}-side-strength`] = readNumberFromInput(document.getElementById(`draw-${i}-side-strength`), 'float');
+      if (document.getElementById(`draw-${i}-rope`) !== null) // only for half ropes
+        settingsObject[`draw-${i}-rope`] = readNumberFromInput(document.getElementById(`draw-${i}-rope`), 'int');
       i++;
     }
   } else if (stepId === 'distance-setup') {
@@ -184,6 +250,13 @@ function deleteSetupMaskStepSettings(stepNumber, settingsObject) {
     while (settingsObject.hasOwnProperty(`draw-${i}-height`)) {
       delete settingsObject[`draw-${i}-height`];
       delete settingsObject[`draw-${i}-sideways`];
+      delete settingsObject[`draw-${i}-sling-length`];
+      delete settingsObject[`draw-${i}-sling-material`];
+      delete settingsObject[`draw-${i}-absorber`];
+      delete settingsObject[`draw-${i}-friction`];
+      delete settingsObject[`draw-${i}-strength`];
+      delete settingsObject[`draw-${i}-side-strength`];
+      delete settingsObject[`draw-${i}-rope`];
       i++;
     }
   } else if (stepId === 'distance-setup') {
@@ -233,6 +306,13 @@ function fillWithRemainingSteps(stepNumber, settingsObject, defaultObject = {})
       for (let k = 0; k < retObj['draw-number']; k++) {
         retObj[`draw-${k}-height`] = defaultObject.hasOwnProperty(`draw-${k}-height`) ? defaultObject[`draw-${k}-height`] : Math.round(100 * (k+1) * retObj['last-draw-height'] / retObj['draw-number']) / 100;
         retObj[`draw-${k}-sideways`] = defaultObject.hasOwnProperty(`draw-${k}-sideways`) ? defaultObject[`draw-${k}-sideways`] : Math.round(100 * (k+1) * retObj['climber-sideways'] / (retObj['draw-number'] + 1)) / 100;
+        for (const [prop, defaultValue] of [['sling-length', 0.2], ['sling-material', 'dyneema'], ['absorber', false], ['friction', retObj['friction-coefficient']]])
+          retObj[`draw-${k}-${prop}`] = defaultObject.hasOwnProperty(`draw-${k}-${prop}`) ? defaultObject[`draw-${k}-${prop}`] : defaultValue;
+        for (const prop of ['strength', 'side-strength']) // left unset by default, i.e. the protection never fails (see ClimbingFallSetup)
+          if (defaultObject.hasOwnProperty(`draw-${k}-${prop}`))
+            retObj[`draw-${k}-${prop}`] = defaultObject[`draw-${k}-${prop}`];
+        if (retObj['rope-system'] === 'half')
+          retObj[`draw-${k}-rope`] = defaultObject.hasOwnProperty(`draw-${k}-rope`) ? defaultObject[`draw-${k}-rope`] : (k % 2) + 1;
       }
     } else if ((SETUP_MASK_STEPS.order[i] === 'distance-setup') && (retObj['draw-number'] > 0) && (!retObj.hasOwnProperty('draw-0-wall-distance'))) {
       for (let k = 0; k < retObj['draw-number']; k++) {